@@ -19,6 +19,11 @@
 //   node scripts/iterate-client.js --url http://localhost:3000 \
 //     --click 480,270 --iterations 2
 //
+// Deterministic runs (real loop suspended, advanceTime steps the simulation;
+// add &seed=<n> to pick the street layout):
+//   node scripts/iterate-client.js --url 'http://localhost:3000/?test=1' \
+//     --actions-file scripts/example-actions.json
+//
 // Multi-restart testing:
 //   node scripts/iterate-client.js --url http://localhost:3000 \
 //     --restart-cycles 3 --restart-key Space
@@ -1,8 +1,9 @@
 import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
+import { saveProfile } from '../core/SaveProfile.js';
 import { audioManager } from './AudioManager.js';
-import { gameplayBGM, gameOverTheme } from './music.js';
-import { throwSfx, hitSfx, comboSfx, damageSfx, collectSfx, nearMissSfx } from './sfx.js';
+import { gameplayBGM, gameOverTheme, menuTheme } from './music.js';
+import { throwSfx, hitSfx, comboSfx, damageSfx, collectSfx, nearMissSfx, jumpSfx, slideSfx, splashSfx, bellSfx, powerUpSfx, shieldSfx, stunSfx, knockoutSfx, alertSfx, signThrowSfx, bossAlarmSfx, bossHitSfx, bossDefeatSfx, districtSfx, houseDamagedSfx, rejectSfx, barkSfx, counterOfferSfx, crowdSfx, missionSfx } from './sfx.js';
 
 export function initAudioBridge() {
   // Init Strudel on first user interaction (browser autoplay policy)
@@ -12,13 +13,25 @@ export function initAudioBridge() {
   eventBus.on(Events.GAME_START, () => audioManager.playMusic(gameplayBGM));
   eventBus.on(Events.GAME_RESTART, () => audioManager.playMusic(gameplayBGM));
   eventBus.on(Events.GAME_OVER, () => audioManager.playMusic(gameOverTheme));
+  eventBus.on(Events.MUSIC_MENU, () => audioManager.playMusic(menuTheme));
   eventBus.on(Events.MUSIC_GAMEPLAY, () => audioManager.playMusic(gameplayBGM));
   eventBus.on(Events.MUSIC_GAMEOVER, () => audioManager.playMusic(gameOverTheme));
   eventBus.on(Events.MUSIC_STOP, () => audioManager.stopMusic());
+  eventBus.on(Events.PAUSE_CHANGED, ({ paused }) => {
+    if (paused) audioManager.pauseMusic();
+    else audioManager.resumeMusic();
+  });
 
   // --- SFX (Web Audio API -- direct one-shot calls) ---
   eventBus.on(Events.ENVELOPE_THROWN, () => throwSfx());
   eventBus.on(Events.HOUSE_HIT, () => hitSfx());
+  eventBus.on(Events.HOUSE_DAMAGED, () => houseDamagedSfx());
+  eventBus.on(Events.HOUSE_REJECTED, () => rejectSfx());
+  eventBus.on(Events.GUARD_DOG_RELEASED, () => barkSfx());
+  eventBus.on(Events.COUNTER_OFFER_THROWN, () => throwSfx());
+  eventBus.on(Events.COUNTER_OFFER_HIT, () => counterOfferSfx());
+  eventBus.on(Events.HOMEOWNER_CROWD, () => crowdSfx());
+  eventBus.on(Events.MISSION_COMPLETED, () => missionSfx());
   eventBus.on(Events.COMBO_CHANGED, (data) => {
     if (data && data.combo >= 3) {
       comboSfx(data.combo);
@@ -27,16 +40,34 @@ export function initAudioBridge() {
   eventBus.on(Events.PLAYER_HIT, () => damageSfx());
   eventBus.on(Events.PANIC_COLLECTED, () => collectSfx());
   eventBus.on(Events.SPECTACLE_NEAR_MISS, () => nearMissSfx());
+  eventBus.on(Events.PLAYER_JUMP, () => jumpSfx());
+  eventBus.on(Events.PLAYER_SLIDE, () => slideSfx());
+  eventBus.on(Events.OBSTACLE_HIT, ({ type }) => {
+    if (type === 'sprinkler') splashSfx();
+    else if (type === 'tricycle') bellSfx();
+  });
+  eventBus.on(Events.POWERUP_ACTIVATED, () => powerUpSfx());
+  eventBus.on(Events.SHIELD_BLOCKED, () => shieldSfx());
+  eventBus.on(Events.AGENT_STUNNED, ({ knockedOut }) => (knockedOut ? knockoutSfx() : stunSfx()));
+  eventBus.on(Events.AGENT_TELEGRAPH, () => alertSfx());
+  eventBus.on(Events.SIGN_THROWN, () => signThrowSfx());
+  eventBus.on(Events.BIOME_CHANGED, () => districtSfx());
+  eventBus.on(Events.BOSS_SPAWNED, () => bossAlarmSfx());
+  eventBus.on(Events.BOSS_ATTACK, () => alertSfx());
+  eventBus.on(Events.BOSS_DAMAGED, () => bossHitSfx());
+  eventBus.on(Events.BOSS_DEFEATED, () => bossDefeatSfx());
 
   // --- Mute toggle ---
   eventBus.on(Events.AUDIO_TOGGLE_MUTE, () => {
     gameState.isMuted = !gameState.isMuted;
-    try { localStorage.setItem('lowball-blitz-muted', gameState.isMuted); } catch (_) { /* noop */ }
+    saveProfile.setMuted(gameState.isMuted);
     if (gameState.isMuted) {
       audioManager.stopMusic();
-    } else if (gameState.started && !gameState.gameOver) {
+    } else if (gameState.started && !gameState.gameOver && !gameState.paused) {
       // Resume gameplay music when unmuting during active gameplay
       audioManager.playMusic(gameplayBGM);
+    } else if (gameState.inMenu) {
+      audioManager.playMusic(menuTheme);
     }
     // Update mute button icon
     _updateMuteButton();
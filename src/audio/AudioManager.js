@@ -5,6 +5,8 @@ class AudioManager {
   constructor() {
     this.initialized = false;
     this.currentMusic = null;
+    this._lastPattern = null;
+    this._paused = false;
   }
 
   init() {
@@ -19,10 +21,14 @@ class AudioManager {
   }
 
   playMusic(patternFn) {
+    // An explicit new track supersedes a pause (e.g. restarting from the pause menu)
+    this._paused = false;
+    this._lastPattern = patternFn;
     if (!this.initialized || gameState.isMuted) return;
     this.stopMusic();
     // hush() needs a scheduler tick to process before new pattern starts
     setTimeout(() => {
+      if (this._paused) return; // paused before the track got going
       try {
         this.currentMusic = patternFn();
       } catch (e) {
@@ -31,6 +37,21 @@ class AudioManager {
     }, 100);
   }
 
+  /** Silence the current track but remember it for resumeMusic() */
+  pauseMusic() {
+    if (this._paused) return;
+    this._paused = true;
+    if (!this.initialized) return;
+    try { hush(); } catch (e) { /* noop */ }
+    this.currentMusic = null;
+  }
+
+  resumeMusic() {
+    if (!this._paused) return;
+    this._paused = false;
+    if (this._lastPattern) this.playMusic(this._lastPattern);
+  }
+
   stopMusic() {
     if (!this.initialized) return;
     try { hush(); } catch (e) { /* noop */ }
@@ -56,6 +56,44 @@ export function gameplayBGM() {
   ).cpm(130).play();
 }
 
+/**
+ * Menu theme (~100 cpm) -- laid-back, sneaky suburban stroll for the title screen.
+ * Walking bass + lazy lead + soft pad, gentler than gameplay so the run feels like a lift-off.
+ */
+export function menuTheme() {
+  return stack(
+    // Lazy lead -- 2 alternating phrases (triangle, relaxed)
+    note('<[e4 ~ g4 ~ a4 ~ g4 e4 ~ ~ d4 ~ e4 ~ ~ ~] [g4 ~ a4 ~ b4 ~ a4 g4 ~ ~ e4 ~ g4 ~ ~ ~]>')
+      .s('triangle')
+      .gain(0.12)
+      .decay(0.2)
+      .sustain(0.2)
+      .release(0.4)
+      .lpf(2000),
+    // Walking bass (triangle)
+    note('<[e2 g2 a2 b2] [a2 g2 e2 d2]>')
+      .s('triangle')
+      .gain(0.18)
+      .lpf(600),
+    // Soft pad -- slow chord changes
+    note('<[e3,g3,b3] [a2,c3,e3] [d3,f#3,a3] [e3,g3,b3]>')
+      .s('sine')
+      .attack(0.3)
+      .release(1.2)
+      .gain(0.06)
+      .room(0.4)
+      .slow(2),
+    // Light shaker -- probabilistic
+    note('c6? c6 c6? c6')
+      .s('square')
+      .gain(0.025)
+      .decay(0.02)
+      .sustain(0)
+      .lpf(6000)
+      .fast(2)
+  ).cpm(100).play();
+}
+
 /**
  * Game over theme (~60 cpm) -- somber, descending, short looping phrase.
  * 3 alternating descending melodies + dark pad + ghostly texture.
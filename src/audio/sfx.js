@@ -123,6 +123,56 @@ export function hitSfx() {
   playTone(987.77, 'square', 0.1, 0.12, 6000);
 }
 
+/**
+ * Partial house hit SFX -- the thump without the sparkle.
+ */
+export function houseDamagedSfx() {
+  if (gameState.isMuted) return;
+  playTone(82.41, 'sine', 0.12, 0.25, 800);
+}
+
+/**
+ * Rejected offer SFX -- flat two-note buzzer.
+ */
+export function rejectSfx() {
+  if (gameState.isMuted) return;
+  playNotes([220, 146.83], 'sawtooth', 0.12, 0.03, 0.14, 1200);
+}
+
+/**
+ * Guard dog SFX -- two short gruff barks.
+ */
+export function barkSfx() {
+  if (gameState.isMuted) return;
+  playNotes([311.13, 277.18], 'square', 0.08, 0.1, 0.18, 900);
+  playNoise(0.08, 0.1, 1500, 300);
+}
+
+/**
+ * Counter-offer caught SFX -- paper slap and a descending "nope".
+ */
+export function counterOfferSfx() {
+  if (gameState.isMuted) return;
+  playNoise(0.06, 0.2, 5000, 1500);
+  playNotes([523.25, 392], 'triangle', 0.1, 0.02, 0.18, 3000);
+}
+
+/**
+ * Panic crowd SFX -- quick rising chatter.
+ */
+export function crowdSfx() {
+  if (gameState.isMuted) return;
+  playNotes([659.25, 739.99, 830.61, 880], 'square', 0.05, 0.02, 0.1, 4000);
+}
+
+/**
+ * Mission complete SFX -- short fanfare.
+ */
+export function missionSfx() {
+  if (gameState.isMuted) return;
+  playNotes([523.25, 659.25, 783.99, 1046.5], 'triangle', 0.1, 0.06, 0.18, 6000);
+}
+
 /**
  * Combo SFX -- ascending arpeggio.
  * Scales with combo count (higher combos = more notes).
@@ -155,6 +205,122 @@ export function collectSfx() {
   playNotes([659.25, 987.77], 'square', 0.12, 0.07, 0.25, 5000);
 }
 
+/**
+ * Jump SFX -- springy two-note hop.
+ */
+export function jumpSfx() {
+  if (gameState.isMuted) return;
+  playNotes([392.00, 587.33], 'square', 0.08, 0.04, 0.18, 4000);
+}
+
+/**
+ * Slide SFX -- low scuff along the asphalt.
+ */
+export function slideSfx() {
+  if (gameState.isMuted) return;
+  playNoise(0.2, 0.12, 1200, 200);
+}
+
+/**
+ * Sprinkler SFX -- wet hiss.
+ */
+export function splashSfx() {
+  if (gameState.isMuted) return;
+  playNoise(0.35, 0.14, 6000, 2000);
+}
+
+/**
+ * Tricycle SFX -- little bell ring as you trip over it.
+ */
+export function bellSfx() {
+  if (gameState.isMuted) return;
+  playNotes([1318.51, 1318.51], 'triangle', 0.15, 0.09, 0.16, 8000);
+}
+
+/**
+ * Power-up SFX -- bright rising arpeggio.
+ */
+export function powerUpSfx() {
+  if (gameState.isMuted) return;
+  playNotes([523.25, 659.25, 783.99, 1046.50], 'square', 0.08, 0.05, 0.2, 6000);
+}
+
+/**
+ * Shield block SFX -- glassy ping instead of the damage buzz.
+ */
+export function shieldSfx() {
+  if (gameState.isMuted) return;
+  playTone(1567.98, 'triangle', 0.25, 0.22, 8000);
+  playNoise(0.1, 0.1, 8000, 3000);
+}
+
+/**
+ * Agent stun SFX -- cartoon bonk (falling square blip).
+ */
+export function stunSfx() {
+  if (gameState.isMuted) return;
+  playNotes([880, 587.33], 'square', 0.07, 0.05, 0.2, 3000);
+}
+
+/**
+ * Agent knockout SFX -- heavy thud + descending whistle.
+ */
+export function knockoutSfx() {
+  if (gameState.isMuted) return;
+  playTone(55, 'sine', 0.25, 0.32, 600);
+  playNotes([1174.66, 880, 659.25, 493.88], 'triangle', 0.08, 0.05, 0.16, 5000);
+}
+
+/**
+ * Agent telegraph SFX -- two-tone alarm blip before a special move.
+ */
+export function alertSfx() {
+  if (gameState.isMuted) return;
+  playNotes([1318.51, 1318.51], 'square', 0.05, 0.03, 0.1, 4000);
+}
+
+/**
+ * Sign throw SFX -- whooshing swing.
+ */
+export function signThrowSfx() {
+  if (gameState.isMuted) return;
+  playNoise(0.2, 0.14, 2000, 300);
+}
+
+/**
+ * Boss arrival SFX -- low klaxon, three pulses.
+ */
+export function bossAlarmSfx() {
+  if (gameState.isMuted) return;
+  playNotes([220, 185, 220, 185, 220, 185], 'sawtooth', 0.14, 0.02, 0.16, 1400);
+}
+
+/**
+ * Boss hit SFX -- meaty thump with a bright crack.
+ */
+export function bossHitSfx() {
+  if (gameState.isMuted) return;
+  playTone(90, 'sine', 0.15, 0.3, 500);
+  playNoise(0.06, 0.12, 6000, 1500);
+}
+
+/**
+ * Boss defeat SFX -- rumble into a rising fanfare.
+ */
+export function bossDefeatSfx() {
+  if (gameState.isMuted) return;
+  playNoise(0.8, 0.25, 800, 40);
+  playNotes([523.25, 659.25, 783.99, 1046.5, 1318.51], 'square', 0.12, 0.06, 0.18, 5000);
+}
+
+/**
+ * New district SFX -- bright welcome chime.
+ */
+export function districtSfx() {
+  if (gameState.isMuted) return;
+  playNotes([783.99, 987.77, 1174.66], 'triangle', 0.16, 0.08, 0.14, 6000);
+}
+
 /**
  * Near miss SFX -- quick swoosh.
  * Dodging an agent at the last moment.
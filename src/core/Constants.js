@@ -2,7 +2,9 @@ export const GAME = {
   FOV: 60,
   NEAR: 0.1,
   FAR: 200,
-  MAX_DELTA: 0.05,
+  MAX_DELTA: 0.05,        // frame time clamp (guards the step accumulator after a stall)
+  FIXED_TIMESTEP: 1 / 120, // simulation step in seconds, independent of frame rate
+  STEP_EPSILON: 1e-9,      // float slack so 1000/60 ms always yields exactly two steps
   MAX_DPR: 2,
 };
 
@@ -27,6 +29,14 @@ export const PLAYER = {
   COLLISION_RADIUS: 0.5,
   INVINCIBILITY_DURATION: 1.5, // seconds after getting hit
   FLASH_RATE: 10,              // flashes per second during invincibility
+  // Vertical moves -- obstacles test against getVerticalExtent()
+  HEIGHT: 1.8,                 // standing collision height
+  JUMP_VELOCITY: 7,            // initial upward speed (peak ~1.4 units)
+  GRAVITY: 18,
+  FAST_FALL_VELOCITY: 9,       // sliding mid-air slams back down at this speed
+  SLIDE_DURATION: 0.6,         // seconds spent ducked per slide
+  SLIDE_HEIGHT: 0.8,           // collision height while sliding
+  SLIDE_SCALE_Y: 0.55,         // visual squash of the model while sliding
 };
 
 export const STREET = {
@@ -38,7 +48,9 @@ export const STREET = {
   LANE_MAX: 4,          // rightmost boundary
   HOUSE_OFFSET_X: 7,    // distance from center to house row
   SIDEWALK_WIDTH: 2,    // sidewalk between street and houses
-  SEGMENT_LENGTH: 40,   // length of each street segment
+  CHUNK_LENGTH: 24,     // street chunk length -- a multiple of HOUSE.SPACING_Z
+  FIRST_CHUNK_Z: 20,    // near edge of the chunk ring at the start of a run
+  GRASS_WIDTH: 8,       // grass strip beyond each sidewalk
   LANE_MARKING_WIDTH: 0.15,
   LANE_MARKING_LENGTH: 2,
   LANE_MARKING_GAP: 2,
@@ -58,14 +70,52 @@ export const ENVELOPE = {
   COLLISION_THRESHOLD: 3, // generous collision distance for house hits
 };
 
+// Envelope type registry. ORDER is the cycle order (Q / mobile button).
+// ON_HOUSE picks the collision rule in Game._checkEnvelopeHits:
+// 'stop' (hit one house), 'ricochet' (bounce to the opposite row up to
+// BOUNCES times) or 'split' (burst into SPLIT_COUNT aimed offers).
+export const ENVELOPE_TYPES = {
+  ORDER: ['standard', 'email', 'cashiersCheck', 'junkMail', 'biddingWar'],
+  standard: {
+    LABEL: 'LOWBALL OFFER', SPEED: ENVELOPE.SPEED, COOLDOWN: ENVELOPE.COOLDOWN, ARC: true,
+    MAX_DISTANCE: ENVELOPE.MAX_DISTANCE, SCALE: 1,
+    COLOR: 0xffffff, TRAIL_COLOR: 0xffffff, ON_HOUSE: 'stop',
+  },
+  email: {
+    LABEL: 'EMAIL', SPEED: 55, COOLDOWN: 0.2, ARC: false, // straight line, no lob
+    MAX_DISTANCE: 50, SCALE: 0.8,
+    COLOR: 0x66ccff, TRAIL_COLOR: 0x33aaff, ON_HOUSE: 'stop',
+  },
+  cashiersCheck: {
+    LABEL: "CASHIER'S CHECK", SPEED: 20, COOLDOWN: 0.7, ARC: true,
+    MAX_DISTANCE: 40, SCALE: 1.6,
+    COLOR: 0xb8e08a, TRAIL_COLOR: 0x44bb44, ON_HOUSE: 'stop',
+    KNOCKS_AGENTS: true,  // plows through agents on the way
+    AGENT_HIT_RADIUS: 0.9,
+    BOSS_DAMAGE: 3,       // everything else deals 1
+  },
+  junkMail: {
+    LABEL: 'JUNK MAIL', SPEED: 28, COOLDOWN: 0.45, ARC: false,
+    MAX_DISTANCE: 90, SCALE: 1,
+    COLOR: 0xffaa33, TRAIL_COLOR: 0xff8800, ON_HOUSE: 'ricochet',
+    BOUNCES: 3,
+    RICOCHET_RANGE: 35,   // how far ahead to look for the next house
+  },
+  biddingWar: {
+    LABEL: 'BIDDING WAR', SPEED: 30, COOLDOWN: 0.6, ARC: true,
+    MAX_DISTANCE: 40, SCALE: 1.2,
+    COLOR: 0xff66cc, TRAIL_COLOR: 0xff44aa, ON_HOUSE: 'split',
+    SPLIT_COUNT: 2,
+    SPLIT_TYPE: 'standard', // fragments don't split again
+    SPLIT_RANGE: 30,
+  },
+};
+
 export const HOUSE = {
-  WIDTH: 3,
-  HEIGHT: 2.5,
-  DEPTH: 3,
-  ROOF_HEIGHT: 1.2,
   SPACING_Z: 6,         // distance between houses along Z
-  SPAWN_DISTANCE: 80,   // how far ahead to generate houses
-  CLEANUP_DISTANCE: 20, // how far behind to remove houses
+  SPAWN_DISTANCE: 80,   // how far ahead the street chunk ring (and its content) reaches
+  CLEANUP_DISTANCE: 20, // how far behind a chunk gets before it's recycled
+  SCORE: 1,             // baseline payout for selling a house; HOUSE_TYPES scale it
   COLORS: [
     0x7eb8d8, // pastel blue
     0xf0e68c, // pastel yellow
@@ -86,6 +136,48 @@ export const HOUSE = {
   SHAKE_DURATION: 0.3,
   SHAKE_INTENSITY: 0.15,
   FLASH_DURATION: 0.2,
+  // Per-district geometry (BIOME.TYPES[*].HOUSE_STYLE); gabled is the classic house
+  STYLES: {
+    gabled: { WIDTH: 3, HEIGHT: 2.5, DEPTH: 3, ROOF_HEIGHT: 1.2 },
+    condo: { WIDTH: 3.4, HEIGHT: 7.5, DEPTH: 3.4, ROOF_HEIGHT: 0.25, FLOOR_HEIGHT: 1.8 },
+    estate: { WIDTH: 4.2, HEIGHT: 3, DEPTH: 3.6, ROOF_HEIGHT: 1.4, COLUMN_COLOR: 0xffffff },
+    beachHut: { WIDTH: 2.6, HEIGHT: 2, DEPTH: 2.6, ROOF_HEIGHT: 0.15, STILT_HEIGHT: 0.8 },
+    cabin: { WIDTH: 3, HEIGHT: 2.2, DEPTH: 3, ROOF_HEIGHT: 2 },
+  },
+};
+
+// House archetypes, layered over the district style. StreetGenerator picks
+// one per house by WEIGHT once the run reaches MIN_DIFFICULTY (same scale as
+// AGENT_TYPES). HITS envelopes sell it for SCORE (before combo, in multiples
+// of HOUSE.SCORE) and release HOMEOWNERS; REJECTS houses make the throw miss
+// and break the combo. A fixer-upper pays half a standard house.
+export const HOUSE_TYPES = {
+  standard: { WEIGHT: 10, MIN_DIFFICULTY: 0, HITS: 1, SCORE: HOUSE.SCORE * 2, HOMEOWNERS: 1 },
+  fixerUpper: {
+    WEIGHT: 2, MIN_DIFFICULTY: 0, HITS: 1, SCORE: HOUSE.SCORE, HOMEOWNERS: 1,
+    ROOF_SAG: 0.14,        // radians the roof slumps to one side
+    BOARD_COLOR: 0x8d6e4a, TARP_COLOR: 0x2f6fbf,
+  },
+  duplex: {
+    WEIGHT: 2, MIN_DIFFICULTY: 0, HITS: 1, SCORE: HOUSE.SCORE * 2, HOMEOWNERS: 2,
+    DOOR_Z: 0.8,           // each unit's door sits this far either side of the party wall
+    TRIM_COLOR: 0xffffff,
+  },
+  mansion: {
+    WEIGHT: 1, MIN_DIFFICULTY: 0.1, HITS: 3, SCORE: HOUSE.SCORE * 20, HOMEOWNERS: 1,
+    WING_DEPTH: 1.1,       // side wings along Z (houses are SPACING_Z apart)
+    TRIM_COLOR: 0xd4af37, COLUMN_COLOR: 0xffffff,
+  },
+  guardDog: {
+    WEIGHT: 1.5, MIN_DIFFICULTY: 0.15, HITS: 1, SCORE: HOUSE.SCORE * 4, HOMEOWNERS: 1,
+    RELEASES_CHASER: true, // a chaser bolts out of the yard when hit
+    KENNEL_COLOR: 0xb5651d, SIGN_COLOR: 0xffd400,
+  },
+  sold: {
+    WEIGHT: 1.5, MIN_DIFFICULTY: 0.05, HITS: 1, SCORE: 0, HOMEOWNERS: 0,
+    REJECTS: true,
+    SIGN_COLOR: 0xffffff, RIDER_COLOR: 0xd32f2f, SHUTTER_COLOR: 0x555555,
+  },
 };
 
 export const HOMEOWNER = {
@@ -110,6 +202,49 @@ export const HOMEOWNER = {
   ],
 };
 
+// Homeowner reactions, one picked per homeowner by WEIGHT. DURATION is how
+// long each stays out; 'panic' ones near another house's panickers join
+// their crowd (HOMEOWNER_CROWD).
+export const HOMEOWNER_BEHAVIOURS = {
+  panic: { WEIGHT: 6, DURATION: HOMEOWNER.PANIC_DURATION },
+  counterOffer: {
+    WEIGHT: 2, DURATION: 4,
+    RUN_SPEED: 4.5,        // charges at the player...
+    THROW_RANGE: 16,       // ...and winds up inside this Z gap
+    MIN_RANGE: 4,          // too close to throw -- just panic
+    WINDUP: 0.35,
+    ENVELOPE_COLOR: 0xffffff, STAMP_COLOR: 0xd32f2f,
+  },
+  fainter: {
+    WEIGHT: 2, DURATION: 4,
+    FAINT_DELAY: 0.5,      // staggers this long before keeling over
+    FALL_TIME: 0.3,
+    CLUSTER_COUNT: 8,      // panic points dropped in a ring where they fall
+    CLUSTER_RADIUS: 0.9,
+  },
+  lawnChair: {
+    WEIGHT: 1.5, DURATION: 8, // stays put until the player has passed
+    CHAIR_COLOR: 0x2e8b57, DRINK_COLOR: 0xffe066,
+  },
+};
+
+export const HOMEOWNER_CROWD = {
+  RADIUS: 14,            // panickers from different houses within this join up
+  DROP_INTERVAL: 0.25,   // crowd members drop points faster than loners
+  COHESION: 1.5,         // pull toward the crowd's center
+};
+
+// Envelope a counter-offer homeowner throws back. Breaks the combo on contact.
+export const COUNTER_OFFER = {
+  SPEED: 14,
+  HEIGHT: 1.1,
+  HALF_HEIGHT: 0.3,
+  RADIUS: 0.6,
+  SPIN_SPEED: 10,
+  MAX_DISTANCE: 35,
+  SCALE: 2,              // drawn larger than the player's envelopes so it reads
+};
+
 export const PANIC_POINT = {
   RADIUS: 0.15,
   FLOAT_HEIGHT: 0.8,
@@ -123,6 +258,39 @@ export const PANIC_POINT = {
   FLASH_DURATION: 0.15,
 };
 
+// Timed power-up pickups (separate from panic points). Picking one up
+// (re)starts its DURATION; the shield also ends when it absorbs a hit.
+export const POWERUP = {
+  FIRST_Z: -60,
+  SPACING_MIN: 70,       // units between pickups
+  SPACING_MAX: 120,
+  FLOAT_HEIGHT: 1.0,
+  BOB_AMPLITUDE: 0.2,
+  BOB_SPEED: 2.5,
+  SPIN_SPEED: 2,
+  COLLECT_RADIUS: 1.3,
+  CLEANUP_DISTANCE: 10,
+  TYPES: {
+    magnet: {
+      LABEL: 'MAGNET', COLOR: 0xff3355, DURATION: 8,
+      PULL_RADIUS: 7,    // panic points inside this drift toward the player...
+      PULL_SPEED: 16,    // ...until they enter PANIC_POINT.COLLECT_RADIUS
+    },
+    shield: {
+      LABEL: 'SHIELD', COLOR: 0x33aaff, DURATION: 12,
+      BUBBLE_RADIUS: 1.1,
+    },
+    spread: {
+      LABEL: 'SPREAD', COLOR: 0xffffff, DURATION: 8,
+      ANGLE: 0.22,       // radians between the three envelopes
+    },
+    certified: {
+      LABEL: 'CERTIFIED', COLOR: 0xffcc00, DURATION: 6,
+      RANGE: 30,         // every unhit house ahead within this distance
+    },
+  },
+};
+
 export const AGENT = {
   BODY_WIDTH: 0.4,
   BODY_HEIGHT: 0.7,
@@ -142,6 +310,180 @@ export const AGENT = {
   MODEL_PATH: 'assets/models/agent-boomer.glb',
   MODEL_SCALE: 0.6,
   MODEL_OFFSET_Y: 0.6,  // raise model above ground (Meshy origin is at center)
+  KNOCKOUT_DURATION: 1.0, // seconds tumbling before a knocked-out agent is removed
+  KNOCKBACK_SPEED: 7,
+  // Envelope hits: first hit staggers + stuns (harmless, sign dropped),
+  // hitting a stunned agent knocks it out of the street
+  ENVELOPE_HIT_RADIUS: 0.6,
+  HIT_HEIGHT: 1.7,        // lobbed envelopes above this sail over agents
+  STAGGER_DURATION: 0.35,
+  STUN_DURATION: 2.5,
+  STUN_SCORE: 2,          // before combo multiplier
+  KNOCKOUT_SCORE: 5,
+  TELEGRAPH_COLOR: 0xff2222, // "!" marker over an agent winding up
+};
+
+// Agent archetypes. StreetGenerator picks by WEIGHT among those whose
+// MIN_DIFFICULTY the run has reached (0 at start speed .. 1 at max speed).
+// TINT recolors the suit.
+export const AGENT_TYPES = {
+  walker: { WEIGHT: 4, MIN_DIFFICULTY: 0 },
+  openHouse: {
+    WEIGHT: 2, MIN_DIFFICULTY: 0.1, TINT: 0x8a5a2b,
+    CROWD_MIN: 3, CROWD_MAX: 5,
+    TELEGRAPH_DISTANCE: 22, TELEGRAPH: 0.7, // cheer before spilling off the curb
+    STEP_OUT_X: 3.6,       // how far into the street the eager ones step
+    STEP_SPEED: 3,
+  },
+  chaser: {
+    WEIGHT: 3, MIN_DIFFICULTY: 0.15, TINT: 0x8b1a1a,
+    SPEED: 5,
+    HOME_RANGE: 26,        // start homing on the player's X inside this Z gap
+    TELEGRAPH: 0.6,
+    LATERAL_SPEED: 3.2,
+    LOCK_DISTANCE: 5,      // stop steering this close so it can still be dodged
+  },
+  blocker: {
+    WEIGHT: 2, MIN_DIFFICULTY: 0.3, TINT: 0x1f3f7a,
+    SPEED: 2,
+    SPREAD_START: 1.6,     // partners start this far from the lane center...
+    GAP: 0.9,              // ...and close to this spacing, walling off the lane
+    TELEGRAPH_DISTANCE: 30, TELEGRAPH: 0.8,
+  },
+  thrower: {
+    WEIGHT: 2, MIN_DIFFICULTY: 0.45, TINT: 0x1f6b3a,
+    THROW_DISTANCE: 24,    // stops and winds up inside this Z gap
+    TELEGRAPH: 0.7,
+  },
+};
+
+// Boss encounters. A boss takes over agent / obstacle spawning every
+// TRIGGER_HOUSES houses hit or TRIGGER_DISTANCE meters run (whichever comes
+// first), alternating through ORDER. It holds LEAD units ahead of the
+// player and attacks every ATTACK_INTERVAL after a TELEGRAPH wind-up.
+export const BOSS = {
+  TRIGGER_HOUSES: 30,
+  TRIGGER_DISTANCE: 800,
+  ORDER: ['megaBroker', 'hoaCart'],
+  SPAWN_AHEAD: 45,
+  LEAD: 16,
+  APPROACH_SPEED: 8,     // closing in on arrival / pulling away on exit
+  DEFEAT_DRIFT: 4,       // falling back while the defeat animation plays
+  ESCAPE_SPEED: 16,      // pulling away after the time limit ...
+  DESPAWN_AHEAD: 55,     // ... until this far ahead
+  HEALTH_STEP: 4,        // extra health for every encounter after the first
+  HIT_HEIGHT: 3.5,       // envelopes above this sail over
+  TIME_LIMIT: 45,        // seconds before an unbeaten boss escapes, no bonus
+  DEFEAT_DURATION: 1.5,
+  FLINCH_DURATION: 0.2,
+  FLINCH_DISTANCE: 0.4,  // a hit knocks the body back this far, easing out over FLINCH_DURATION
+  CONTACT_COOLDOWN: 1.5, // one hit per bump -- the body stays in contact for a while
+  TYPES: {
+    megaBroker: {
+      LABEL: 'THE MEGA-BROKER',
+      HEALTH: 12, SCORE_BONUS: 50,
+      SCALE: 2.4, COLOR: 0x222244, TIE_COLOR: 0xcc0000,
+      HIT_RADIUS: 1.6, COLLISION_RADIUS: 1.4,
+      STRAFE_SPEED: 2, STRAFE_INTERVAL: 2.5,
+      ATTACK_INTERVAL: 3, TELEGRAPH: 0.9,
+      ATTACKS: ['volley', 'minions'], // signs down two lanes / drop two agents
+    },
+    hoaCart: {
+      LABEL: 'HOA PRESIDENT',
+      HEALTH: 10, SCORE_BONUS: 50,
+      COLOR: 0xf4f4f4, ROOF_COLOR: 0x2e7d32, LIGHT_COLOR: 0xffaa00,
+      HIT_RADIUS: 1.5, COLLISION_RADIUS: 1.3,
+      STRAFE_SPEED: 4, STRAFE_INTERVAL: 1.8,
+      ATTACK_INTERVAL: 2.6, TELEGRAPH: 0.8,
+      ATTACKS: ['bins', 'ram'],       // trash cans in two lanes / brake-check the player
+      RAM_SPEED: 14, RAM_MIN_LEAD: 1.5,
+      RAM_LOCK: 2,           // extra seconds the cart holds the locked lane
+      BINS_AHEAD: 1.5,       // tipped trash cans land this far behind the cart
+      WHEEL_SPIN: 12,        // radians per second
+      LIGHT_BLINK: 12,       // roof light toggles per second while winding up
+      SHUDDER: 0.04, SHUDDER_RATE: 10,      // wind-up rock (radians, half-waves per wind-up)
+      CLIPBOARD_SWING: 0.6, CLIPBOARD_RATE: 6,
+      // Cart parts: boxes are WIDTH x HEIGHT x DEPTH centred at (X, Y, Z)
+      BASE: { WIDTH: 1.4, HEIGHT: 0.5, DEPTH: 2.2, Y: 0.5 },
+      SEAT: { WIDTH: 1.2, HEIGHT: 0.5, DEPTH: 0.4, Y: 0.95, Z: -0.4, COLOR: 0x5d4037 },
+      POST: { WIDTH: 0.05, HEIGHT: 1.1, X: 0.62, Y: 1.3, Z: 0.75 },  // four, mirrored in X and Z
+      ROOF: { WIDTH: 1.5, HEIGHT: 0.08, DEPTH: 1.8, Y: 1.88 },
+      LIGHT: { WIDTH: 0.3, HEIGHT: 0.14, DEPTH: 0.2, Y: 1.99 },
+      DRIVER: { WIDTH: 0.45, HEIGHT: 0.6, DEPTH: 0.3, X: -0.3, Y: 1.35, Z: -0.2, COLOR: 0x8e24aa },
+      HEAD: { RADIUS: 0.18, SEGMENTS: 8, RINGS: 6, Y: 1.82, COLOR: 0xf5c6a0 }, // above the driver
+      CLIPBOARD: { WIDTH: 0.25, HEIGHT: 0.32, DEPTH: 0.03, X: 0.05, Y: 1.45, Z: 0.05, COLOR: 0xa1887f },
+      WHEEL: { RADIUS: 0.25, WIDTH: 0.18, X: 0.72, Y: 0.25, Z: 0.75 }, // four, mirrored in X and Z
+    },
+  },
+};
+
+// FOR SALE signs thrown by sign-thrower agents -- fly at chest height, so
+// slide under them or change lanes
+export const SIGN_PROJECTILE = {
+  SPEED: 16,
+  HEIGHT: 1.25,          // center height
+  HALF_HEIGHT: 0.3,
+  RADIUS: 0.6,
+  SPIN_SPEED: 12,
+  MAX_DISTANCE: 45,
+};
+
+// Static street obstacles. Each type has a collision shape ('box' uses
+// WIDTH x LENGTH, 'circle' uses RADIUS) up to HEIGHT -- jumping above HEIGHT
+// clears it. EFFECT: 'damage' costs a life, 'slow' briefly cuts run speed,
+// 'trip' slows and breaks the combo.
+export const OBSTACLE = {
+  FIRST_Z: -35,          // first obstacle row (gives the player a clean start)
+  SPACING_MIN: 16,       // units between rows at starting speed
+  SPACING_MAX: 28,
+  SPACING_MIN_FAST: 9,   // ... and at max speed
+  SPACING_MAX_FAST: 13.5,
+  CLEANUP_DISTANCE: 10,  // stops colliding once this far behind the player
+  CURB_X: 4.6,           // road edge, just inside the sidewalk
+  TIP_DURATION: 0.3,     // seconds a knocked-over obstacle takes to fall
+  // How often each type appears is per district (BIOME.TYPES[*].HAZARDS)
+  TYPES: {
+    car: {
+      EFFECT: 'damage', SHAPE: 'box',
+      WIDTH: 1.8, LENGTH: 3.6, HEIGHT: 1.5, // too tall to jump -- change lanes
+      COLORS: [0xcc3333, 0x3366cc, 0xeeeeee, 0x333333, 0x44aa66],
+    },
+    trashCan: {
+      EFFECT: 'damage', SHAPE: 'circle',
+      RADIUS: 0.35, HEIGHT: 1.0, // only clears near the top of a jump
+      COLOR: 0x556b2f, LID_COLOR: 0x3d4d22,
+      ROW_MAX: 3, GAP: 1.2,  // 1..ROW_MAX cans along the curb, GAP apart
+    },
+    sprinkler: {
+      EFFECT: 'slow', SHAPE: 'circle',
+      RADIUS: 2.4, HEIGHT: 0.9,  // the spray, not the head
+      SLOW_FACTOR: 0.6, SLOW_DURATION: 1.5,
+      COLOR: 0x888888, SPRAY_COLOR: 0x99ddff,
+    },
+    tricycle: {
+      EFFECT: 'trip', SHAPE: 'box',
+      WIDTH: 0.6, LENGTH: 0.9, HEIGHT: 0.6,
+      SLOW_FACTOR: 0.5, SLOW_DURATION: 0.8,
+      COLOR: 0xff4466, WHEEL_COLOR: 0x222222,
+    },
+    hydrant: {
+      EFFECT: 'damage', SHAPE: 'circle',
+      RADIUS: 0.3, HEIGHT: 0.8,  // jumpable, but only just
+      COLOR: 0xcc2222, CAP_COLOR: 0xdddddd,
+    },
+    sandcastle: {
+      EFFECT: 'trip', SHAPE: 'circle',
+      RADIUS: 0.5, HEIGHT: 0.5,
+      SLOW_FACTOR: 0.5, SLOW_DURATION: 0.8,
+      COLOR: 0xe0c080, FLAG_COLOR: 0xff4466,
+    },
+    icePatch: {
+      EFFECT: 'slow', SHAPE: 'box',
+      WIDTH: 2, LENGTH: 3.5, HEIGHT: 0.3, // skid -- jump it or go around
+      SLOW_FACTOR: 0.55, SLOW_DURATION: 1.2,
+      COLOR: 0xcfefff,
+    },
+  },
 };
 
 export const GAMEPLAY = {
@@ -157,6 +499,114 @@ export const COMBO = {
   MULTIPLIER_CAP: 10,    // max combo multiplier
 };
 
+// GAMEPLAY / COMBO above are defaults: each run copies them into runConfig
+// (core/RunConfig.js), where modes and modifiers adjust them.
+
+// Daily Blitz: seed and MODIFIER_COUNT modifiers derived from the UTC date,
+// so every player gets the same street that day.
+export const DAILY = {
+  SEED_PREFIX: 'daily-',
+  MODIFIER_COUNT: 2,
+  MODIFIERS: {
+    doubleAgents: { LABEL: 'Double Agents', AGENT_DENSITY: 2 },
+    noComboDecay: { LABEL: 'No Combo Decay' },
+    fixedSpeed: { LABEL: 'Fixed Speed', SPEED: 14 },
+    leftSideOnly: { LABEL: 'Left Side Only' },
+  },
+  FILE_PREFIX: 'lowball-run', // exported run config: <prefix>-<mode>-<date|seed>.json
+};
+
+// Difficulty presets, picked in Settings. Values are absolute; Normal is the
+// GAMEPLAY / COMBO defaults. AGENT_DENSITY multiplies the spawn rate and
+// MIN/MAX_INTENSITY bound the adaptive director (1 = as listed).
+export const DIFFICULTY = {
+  DEFAULT: 'normal',
+  ORDER: ['easy', 'normal', 'hard'],
+  PRESETS: {
+    easy: {
+      LABEL: 'EASY', LIVES: 5, AUTO_SPEED: 7, SPEED_INCREASE_RATE: 0.1, MAX_SPEED: 20,
+      AGENT_DENSITY: 0.7, COMBO_TIMEOUT_MS: 4500, MIN_INTENSITY: 0.6, MAX_INTENSITY: 1.1,
+    },
+    normal: {
+      LABEL: 'NORMAL', LIVES: GAMEPLAY.LIVES, AUTO_SPEED: GAMEPLAY.AUTO_SPEED,
+      SPEED_INCREASE_RATE: GAMEPLAY.SPEED_INCREASE_RATE, MAX_SPEED: GAMEPLAY.MAX_SPEED,
+      AGENT_DENSITY: 1, COMBO_TIMEOUT_MS: COMBO.TIMEOUT_MS, MIN_INTENSITY: 0.75, MAX_INTENSITY: 1.25,
+    },
+    hard: {
+      LABEL: 'HARD', LIVES: 2, AUTO_SPEED: 10, SPEED_INCREASE_RATE: 0.22, MAX_SPEED: 28,
+      AGENT_DENSITY: 1.4, COMBO_TIMEOUT_MS: 2200, MIN_INTENSITY: 0.9, MAX_INTENSITY: 1.4,
+    },
+  },
+};
+
+// Adaptive director (systems/DifficultyDirector.js). Looks at the last
+// WINDOW seconds of play and steers intensity, which scales the speed ramp,
+// agent density and (inversely) the combo timeout. Runs start at the preset's
+// MIN_INTENSITY and only climb once the player is coping.
+export const DIRECTOR = {
+  WINDOW: 20,               // seconds of history considered
+  LIFE_LOST_WEIGHT: 0.25,   // intensity dropped per life lost in the window
+  NEAR_MISS_WEIGHT: 0.04,   // ... per near miss
+  NEAR_MISS_GAP: 0.5,       // one agent brushing past counts once per this many seconds
+  TARGET_ACCURACY: 0.5,     // hit rate that neither pushes nor eases
+  ACCURACY_WEIGHT: 0.6,     // intensity per unit of accuracy above/below target
+  MIN_THROWS: 4,            // envelopes needed before accuracy counts
+  CALM_PUSH: 0.02,          // target rise per clean second (no lives lost), capped at WINDOW
+  PUSH_RATE: 0.02,          // intensity/sec climbing toward the target
+  EASE_RATE: 0.1,           // intensity/sec backing off -- easing is quicker than pushing
+};
+
+// Entity object pools (core/ObjectPool.js). PREWARM objects of each are
+// built behind the loading screen; a pool keeps at most MAX_IDLE spares.
+export const POOL = {
+  PREWARM: {
+    envelope: 24, panicPoint: 48, homeowner: 8,
+    walker: 8, chaser: 4, blocker: 4, thrower: 3, openHouse: 5,
+  },
+  MAX_IDLE: 64,
+};
+
+// Z-bucketed collision index (core/SpatialHash.js). One house row per cell, so
+// a query visits a handful of cells
+export const SPATIAL = {
+  CELL_SIZE: 6,
+};
+
+// Starting slot counts of the shared InstancedMesh batches (level/InstancedBatch.js);
+// a batch doubles when it runs out
+export const INSTANCING = {
+  CAPACITY: {
+    body: 64, roof: 64, box: 64, detail: 1024, column: 128, // houses (entities/House.js)
+    tile: 32, dash: 32,                                      // street chunks (level/StreetChunk.js)
+  },
+};
+
+// Versioned localStorage save profile (see core/SaveProfile.js)
+export const SAVE = {
+  STORAGE_KEY: 'lowball-blitz-profile',
+  VERSION: 4,                             // bump + add a migration on schema change
+  LEGACY_MUTED_KEY: 'lowball-blitz-muted', // pre-profile mute flag (migrated in v1)
+};
+
+// Rotating objectives. MissionSystem keeps ACTIVE_COUNT of them in the save
+// profile, each rolled from TYPES with a target picked from TARGETS. PER_RUN
+// missions start over every run; the rest add up across runs. LABEL fills in
+// {n} (target) and the type's own {placeholders}.
+export const MISSIONS = {
+  ACTIVE_COUNT: 3,
+  TYPES: {
+    houses: { LABEL: 'Hit {n} houses', TARGETS: [25, 50, 100] },
+    housesSide: { LABEL: 'Hit {n} houses on the {side} side', TARGETS: [5, 10, 20], SIDES: ['left', 'right'] },
+    houseType: {
+      LABEL: 'Sell {n} {houseType}', TARGETS: [2, 3, 5],
+      HOUSE_TYPES: { mansion: 'mansions', duplex: 'duplexes', guardDog: 'guard dog houses' },
+    },
+    panicClean: { LABEL: 'Collect {n} panic points without losing a life', TARGETS: [30, 50, 80], PER_RUN: true },
+    comboBefore: { LABEL: 'Reach a {n}x combo before {distance} m', TARGETS: [5, 7], DISTANCES: [300, 500], PER_RUN: true },
+    agentFree: { LABEL: 'Run {n} m without touching an agent', TARGETS: [300, 500, 800], PER_RUN: true },
+  },
+};
+
 export const LEVEL = {
   GROUND_COLOR: 0x4a7c2e,   // grass color
   STREET_COLOR: 0x555555,   // asphalt
@@ -166,6 +616,48 @@ export const LEVEL = {
   FOG_FAR: 100,
 };
 
+export const RNG = {
+  URL_PARAM: 'seed',     // ?seed=1234 replays an exact street layout
+  MAX_SEED: 4294967296,  // 2^32 -- seeds are unsigned 32-bit ints
+};
+
+// Deterministic test mode: real animation loop suspended, time only advances
+// through window.advanceTime(ms). Enable with ?test=1 or window.__TEST_MODE__.
+export const TEST_MODE = {
+  URL_PARAM: 'test',
+  SEED: 1,               // default seed when no ?seed= is given
+};
+
+// Per-tick input bitmask (recorded once per fixed simulation step)
+export const INPUT_BITS = {
+  LEFT: 1,
+  RIGHT: 2,
+  THROW: 4,
+  JUMP: 8,
+  SLIDE: 16,
+  CYCLE_ENVELOPE: 32,
+};
+
+// Touch swipes (outside the joystick / buttons) for jump and slide
+export const SWIPE = {
+  MIN_DISTANCE: 40,  // px of vertical travel to count as a swipe
+  MAX_DURATION: 400, // ms -- slower drags are ignored
+};
+
+export const REPLAY = {
+  VERSION: 4,                   // bump when INPUT_BITS or the log format changes
+  FILE_PREFIX: 'lowball-replay', // downloaded as <prefix>-<seed>.json
+};
+
+// Ghost runner -- translucent replay of the best run's path
+export const GHOST = {
+  STORAGE_KEY: 'lowball-blitz-ghost',
+  SAMPLE_INTERVAL: 0.1,  // seconds of simulation time between path samples
+  MAX_SAMPLES: 6000,     // ~10 minutes of running
+  OPACITY: 0.35,
+  TINT: 0x88ccff,        // blended into the robot's colors
+};
+
 export const CAMERA = {
   HEIGHT: 5,
   DISTANCE: 8,
@@ -183,6 +675,79 @@ export const COLORS = {
   PLAYER: 0x44aaff,
 };
 
+// Themed districts by distance run (meters from PLAYER.START_Z). Each lasts
+// LENGTH meters, cycling through ORDER; over the last BLEND meters the sky,
+// fog and ground colors fade into the next district and its houses start
+// mixing in. HOUSE_STYLE picks House geometry; HAZARDS weights OBSTACLE.TYPES.
+export const BIOME = {
+  LENGTH: 500,
+  BLEND: 80,
+  ORDER: ['suburbs', 'downtown', 'gated', 'beach', 'snowy'],
+  TYPES: {
+    suburbs: {
+      LABEL: 'THE SUBURBS',
+      HOUSE_STYLE: 'gabled',
+      COLORS: HOUSE.COLORS,
+      ROOF_COLORS: HOUSE.ROOF_COLORS,
+      SKY: COLORS.SKY,
+      GROUND: LEVEL.GROUND_COLOR,
+      STREET: LEVEL.STREET_COLOR,
+      SIDEWALK: LEVEL.SIDEWALK_COLOR,
+      FOG_NEAR: LEVEL.FOG_NEAR, FOG_FAR: LEVEL.FOG_FAR,
+      HAZARDS: { car: 2, trashCan: 3, sprinkler: 2, tricycle: 3 },
+    },
+    downtown: {
+      LABEL: 'DOWNTOWN CONDOS',
+      HOUSE_STYLE: 'condo',
+      COLORS: [0x9aa5b1, 0xc9c1b6, 0x7d8a96, 0xb5651d, 0xd8d8d8],
+      ROOF_COLORS: [0x3c3c3c, 0x555555],
+      SKY: 0xaab4bd,          // smoggy
+      GROUND: 0x8a8a86,       // plaza paving
+      STREET: 0x3d3d3d,
+      SIDEWALK: 0xb8b8b0,
+      FOG_NEAR: 22, FOG_FAR: 85,
+      HAZARDS: { car: 5, trashCan: 3, hydrant: 3 },
+    },
+    gated: {
+      LABEL: 'GATED COMMUNITY',
+      HOUSE_STYLE: 'estate',
+      COLORS: [0xf5f0e1, 0xe8dcc2, 0xfafafa, 0xd9c7a7],
+      ROOF_COLORS: [0x4a3b2a, 0x2f3e46, 0x7b3f2a],
+      SKY: 0x9fd3f0,
+      GROUND: 0x3f8f3a,       // manicured lawns
+      STREET: 0x4f4a45,
+      SIDEWALK: 0xe0d8c8,
+      FOG_NEAR: 35, FOG_FAR: 110,
+      HAZARDS: { car: 1, sprinkler: 5, tricycle: 1 },
+    },
+    beach: {
+      LABEL: 'BEACH TOWN',
+      HOUSE_STYLE: 'beachHut',
+      COLORS: [0x4fc3f7, 0xffd54f, 0xff8a65, 0x81c784, 0xf06292],
+      ROOF_COLORS: [0xf5f5f5, 0xffe0b2],
+      SKY: 0x7fdbff,
+      GROUND: 0xe8d5a0,       // sand
+      STREET: 0x6b6660,
+      SIDEWALK: 0xd8c8a0,
+      FOG_NEAR: 40, FOG_FAR: 120,
+      HAZARDS: { car: 1, sandcastle: 4, tricycle: 2 },
+    },
+    snowy: {
+      LABEL: 'SNOWY CUL-DE-SAC',
+      HOUSE_STYLE: 'cabin',
+      COLORS: [0x8d5a3b, 0xa0522d, 0x6d4c41, 0xb71c1c],
+      ROOF_COLORS: [0x3e2723, 0x37474f],
+      SKY: 0xdde6ee,
+      GROUND: 0xf4f7fa,       // snow
+      STREET: 0x8a8f94,       // slushy asphalt
+      SIDEWALK: 0xe6ebef,
+      FOG_NEAR: 15, FOG_FAR: 70,
+      HAZARDS: { car: 2, trashCan: 2, icePatch: 4 },
+      SNOW_CAP_COLOR: 0xffffff,
+    },
+  },
+};
+
 // RobotExpressive character
 export const CHARACTER = {
   path: 'assets/models/RobotExpressive.glb',
@@ -194,6 +759,7 @@ export const CHARACTER = {
     walk: 'Walking',
     run: 'Running',
     throw: 'Punch',
+    jump: 'Jump',
   },
 };
 
@@ -235,6 +801,13 @@ export const SPECTACLE = {
   STREAK_ZOOM_DURATION: 0.3,
 
   NEAR_MISS_BURST_COUNT: 12,
+  POWERUP_BURST_COUNT: 25,
+  AGENT_STUN_BURST_COUNT: 14,
+  AGENT_KO_BURST_COUNT: 30,
+  BOSS_HIT_BURST_COUNT: 16,
+  BOSS_DEFEAT_BLASTS: 8,         // staggered explosions before the finale
+  BOSS_DEFEAT_BLAST_INTERVAL: 0.15,
+  BOSS_DEFEAT_BURST_COUNT: 60,
   NEAR_MISS_SLOWMO_FACTOR: 0.7,
   NEAR_MISS_SLOWMO_DURATION: 0.1,
 
@@ -3,10 +3,20 @@ export const Events = {
   GAME_START: 'game:start',
   GAME_OVER: 'game:over',
   GAME_RESTART: 'game:restart',
+  GAME_MENU: 'game:menu',            // request: back to the title screen
+  MENU_SHOWN: 'game:menu_shown',     // title screen is up (mode 'menu')
+  GAME_PAUSE: 'game:pause',          // request: { reason: 'key'|'button'|'blur' }
+  GAME_RESUME: 'game:resume',        // request
+  PAUSE_CHANGED: 'game:pause_changed', // { paused, reason } after state flips
+
+  // Replays (input log + seed)
+  RUN_EXPORT: 'run:export',          // download the run config + result JSON
+  REPLAY_EXPORT: 'replay:export',
 
   // Player
   PLAYER_MOVE: 'player:move',
   PLAYER_JUMP: 'player:jump',
+  PLAYER_SLIDE: 'player:slide',
   PLAYER_DIED: 'player:died',
   PLAYER_HIT: 'player:hit',
 
@@ -15,18 +25,46 @@ export const Events = {
 
   // Envelope throwing
   ENVELOPE_THROWN: 'envelope:thrown',
+  ENVELOPE_TYPE_CHANGED: 'envelope:type_changed',
 
   // House hits
-  HOUSE_HIT: 'house:hit',
+  HOUSE_HIT: 'house:hit',            // house sold { x, z, type, combo, earned }
+  HOUSE_DAMAGED: 'house:damaged',    // multi-hit house took one { x, z, type, hitsLeft }
+  HOUSE_REJECTED: 'house:rejected',  // throw bounced off an already-sold house { x, z }
+  GUARD_DOG_RELEASED: 'house:guard_dog', // { x, z }
 
   // Homeowner spawning
-  HOMEOWNER_SPAWNED: 'homeowner:spawned',
+  HOMEOWNER_SPAWNED: 'homeowner:spawned',   // { x, z, behaviour }
+  HOMEOWNER_CROWD: 'homeowner:crowd',       // panickers joined up { x, z, size }
+  COUNTER_OFFER_THROWN: 'homeowner:counter_offer', // { x, z }
+  COUNTER_OFFER_HIT: 'homeowner:counter_offer_hit', // player caught one, combo lost { x, z }
 
   // Panic point collection
   PANIC_COLLECTED: 'panic:collected',
 
   // Agent (enemy) collision
   AGENT_COLLISION: 'agent:collision',
+  AGENT_STUNNED: 'agent:stunned',
+  AGENT_TELEGRAPH: 'agent:telegraph',
+  SIGN_THROWN: 'agent:sign_thrown',
+  BIOME_CHANGED: 'street:biome_changed',
+  BOSS_SPAWNED: 'boss:spawned',
+  BOSS_ATTACK: 'boss:attack',
+  BOSS_DAMAGED: 'boss:damaged',
+  BOSS_DEFEATED: 'boss:defeated',
+  BOSS_ESCAPED: 'boss:escaped',
+
+  // Missions
+  MISSION_COMPLETED: 'mission:completed', // { label, index }
+
+  // Street obstacle collision
+  OBSTACLE_HIT: 'obstacle:hit',
+
+  // Power-ups
+  POWERUP_ACTIVATED: 'powerup:activated',
+  POWERUP_EXPIRED: 'powerup:expired',
+  POWERUP_TICK: 'powerup:tick',
+  SHIELD_BLOCKED: 'powerup:shield_blocked',
 
   // Lives
   LIVES_CHANGED: 'lives:changed',
@@ -1,17 +1,45 @@
 import * as THREE from 'three';
-import { GAME, CAMERA, COLORS, GAMEPLAY, STREET, ENVELOPE, CHARACTER, HOMEOWNER, AGENT } from './Constants.js';
+import { GAME, CAMERA, COLORS, PLAYER, GAMEPLAY, STREET, ENVELOPE, CHARACTER, HOMEOWNER, HOMEOWNER_CROWD, AGENT, POWERUP, PANIC_POINT, TEST_MODE, REPLAY, DAILY, DIFFICULTY } from './Constants.js';
 import { eventBus, Events } from './EventBus.js';
 import { gameState } from './GameState.js';
+import { saveProfile } from './SaveProfile.js';
+import { rng, randomSeed, seedFromUrl } from './Random.js';
+import { prewarmPools } from './ObjectPool.js';
+import { SpatialHash } from './SpatialHash.js';
+import { runConfig } from './RunConfig.js';
 import { InputSystem } from '../systems/InputSystem.js';
+import { InputRecorder, InputReplay } from '../systems/InputRecorder.js';
 import { StreetGenerator } from '../systems/StreetGenerator.js';
 import { SpectacleSystem } from '../systems/SpectacleSystem.js';
+import { PowerUpSystem } from '../systems/PowerUpSystem.js';
+import { BossSystem } from '../systems/BossSystem.js';
+import { MissionSystem } from '../systems/MissionSystem.js';
+import { DifficultyDirector } from '../systems/DifficultyDirector.js';
 import { Player } from '../gameplay/Player.js';
+import { Ghost, GhostRecorder, loadGhostRun, saveGhostRun } from '../gameplay/Ghost.js';
 import { LevelBuilder } from '../level/LevelBuilder.js';
-import { Homeowner } from '../entities/Homeowner.js';
-import { PanicPoint } from '../entities/PanicPoint.js';
+import { homeownerPool, homeownerModelReady } from '../entities/Homeowner.js';
+import { agentModelReady } from '../entities/Agent.js';
+import { chaserPool } from '../entities/ChaserAgent.js';
+import { CounterOffer } from '../entities/CounterOffer.js';
+import { panicPointPool } from '../entities/PanicPoint.js';
 import { Menu } from '../ui/Menu.js';
+import { PowerUpHud } from '../ui/PowerUpHud.js';
+import { BossHud } from '../ui/BossHud.js';
+import { DistrictBanner } from '../ui/DistrictBanner.js';
 import { preloadAll } from '../level/AssetLoader.js';
 
+/** Save `text` as a JSON file through a temporary download link */
+function downloadJson(text, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Revoke once the click's download has picked the URL up
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 export class Game {
   constructor() {
     this.clock = new THREE.Clock();
@@ -39,28 +67,69 @@ export class Game {
     this.level = new LevelBuilder(this.scene);
     this.streetGen = null;
     this.spectacle = new SpectacleSystem(this.scene, this.camera);
+    this.powerUps = new PowerUpSystem();
+    this.bosses = new BossSystem(this.scene);
+    this.missions = new MissionSystem();
+    this.director = new DifficultyDirector();
     this.menu = new Menu();
+    this.powerUpHud = new PowerUpHud();
+    this.bossHud = new BossHud();
+    this.districtBanner = new DistrictBanner();
     this.player = null;
 
-    // Entity arrays managed by Game (homeowners, panic points)
+    // Test mode: no real-time loop, simulation advances only via advanceTime()
+    this.testMode = _isTestModeRequested();
+
+    // Fixed seed from ?seed= replays the same street on every run
+    this.fixedSeed = seedFromUrl() ?? (this.testMode ? TEST_MODE.SEED : null);
+
+    // Entity arrays managed by Game (homeowners, their counter-offers, panic points)
     this.homeowners = [];
+    this.counterOffers = [];
     this.panicPoints = [];
+    this.panicCells = new SpatialHash(); // panic points by Z, for collection
+
+    // Fixed-step simulation state
+    this._accumulator = 0;
+    this._movingMeshes = [];
+
+    // Every run is recorded; a pending replay drives the next run's input
+    this.recorder = new InputRecorder();
+    this._pendingReplay = null;
+
+    // Ghost runner: replays the best run's path; this run's path is sampled
+    this.ghost = null;
+    this._ghostEnabled = false; // this run races (and may replace) the saved ghost
+    this.ghostRecorder = new GhostRecorder();
 
     // Events
+    eventBus.on(Events.GAME_START, (data) => {
+      if (!gameState.started) this.startGame(data?.mode ?? 'standard');
+    });
     eventBus.on(Events.GAME_RESTART, () => this.restart());
+    eventBus.on(Events.GAME_MENU, () => this.showMenu());
+    eventBus.on(Events.GAME_PAUSE, (data) => this.pause(data && data.reason));
+    eventBus.on(Events.GAME_RESUME, () => this.resume());
+    eventBus.on(Events.REPLAY_EXPORT, () => this.downloadReplay());
+    eventBus.on(Events.RUN_EXPORT, () => this.downloadRunConfig());
+    eventBus.on(Events.GAME_OVER, () => this._saveGhostIfBest());
+    // PLAYER_DIED fires just before GAME_OVER, so the overlay sees updated totals
+    eventBus.on(Events.PLAYER_DIED, () => this._recordRun());
 
     // Resize
     window.addEventListener('resize', () => this.onResize());
 
     // Start render loop immediately (shows sky while models load)
-    this.renderer.setAnimationLoop(() => this.animate());
+    if (!this.testMode) {
+      this.renderer.setAnimationLoop(() => this.animate());
+    }
 
     // Preload all GLB models with progress, then start game
     const loadingBar = document.getElementById('loading-bar-fill');
     const loadingPct = document.getElementById('loading-percent');
     const loadingScreen = document.getElementById('loading-screen');
 
-    preloadAll(
+    this._booted = preloadAll(
       [CHARACTER.path, HOMEOWNER.MODEL_PATH, AGENT.MODEL_PATH],
       (loaded, total) => {
         const pct = Math.round((loaded / total) * 100);
@@ -68,16 +137,20 @@ export class Game {
         if (loadingPct) loadingPct.textContent = `${pct}%`;
       }
     )
-      .then(() => {
-        console.log('All models preloaded');
-        this._dismissLoading(loadingScreen);
-        this.startGame();
-      })
-      .catch(() => {
-        console.warn('Some models failed to preload, using fallbacks');
-        this._dismissLoading(loadingScreen);
-        this.startGame();
-      });
+      .then(() => console.log('All models preloaded'))
+      .catch(() => console.warn('Some models failed to preload, using fallbacks'))
+      // Pools build from the GLB templates, so wait until the entities hold them
+      .then(() => Promise.all([agentModelReady, homeownerModelReady]))
+      .then(() => this._onBooted(loadingScreen));
+  }
+
+  _onBooted(loadingScreen) {
+    // Fill the entity pools while the loading screen still covers the hitch
+    prewarmPools();
+    this._dismissLoading(loadingScreen);
+    // Test mode skips the title screen so scripts start straight in a run
+    if (this.testMode) eventBus.emit(Events.GAME_START);
+    else this.showMenu();
   }
 
   _dismissLoading(el) {
@@ -86,83 +159,234 @@ export class Game {
     setTimeout(() => el.remove(), 600);
   }
 
-  startGame() {
+  /** Tear down any run and show the title screen over an idle street */
+  showMenu() {
+    this._teardownRun();
+    gameState.reset();
+    gameState.inMenu = true;
+    this.input.setGameActive(false);
+
+    // Idle street as a backdrop behind the title screen
+    if (this.streetGen) this.streetGen.reset();
+    else this.streetGen = new StreetGenerator(this.scene);
+    this.level.applyAtmosphere(this.streetGen.atmosphereAt(PLAYER.START_Z));
+    this.camera.position.set(0, CAMERA.HEIGHT, CAMERA.DISTANCE);
+    this.camera.lookAt(0, 1, -CAMERA.LOOK_AHEAD);
+
+    eventBus.emit(Events.MENU_SHOWN);
+    eventBus.emit(Events.MUSIC_MENU);
+  }
+
+  /** @param {'standard'|'daily'} [mode] - restarts keep the current mode */
+  startGame(mode = runConfig.mode) {
+    // Per-run tunables first: gameState.reset() reads lives and speed from them
+    const replay = this._pendingReplay;
+    this._pendingReplay = null;
+    if (replay && replay.config) runConfig.restore(replay.config);
+    else if (mode === 'daily') runConfig.setupDaily();
+    // Test mode ignores the saved preset so scripts replay the same everywhere
+    else if (this.testMode) runConfig.setupStandard(DIFFICULTY.DEFAULT, false);
+    else runConfig.setupStandard(saveProfile.data.difficulty, saveProfile.data.adaptive);
+
     gameState.reset();
     gameState.started = true;
+    gameState.countsForBests = runConfig.mode === 'standard' && !this.testMode && !replay;
+    this._accumulator = 0;
+
+    // Seed before any gameplay randomness (street layout is built below)
+    rng.seed(replay ? replay.seed : (runConfig.seed ?? this.fixedSeed ?? randomSeed()));
+
+    // Record this run's input; replays bypass keyboard/touch
+    this.recorder.start(rng.seedValue, runConfig.toJSON());
+    if (replay) this.input.setReplay(replay);
+    else this.input.clearReplay();
 
     // Clean up old entities
     this._clearEntities();
+    this.powerUps.reset();
+    this.bosses.reset();
+    this.missions.startRun(!this.testMode && !replay);
+    this.director.reset();
 
     // Create street generator
     if (this.streetGen) this.streetGen.reset();
     else this.streetGen = new StreetGenerator(this.scene);
+    this.level.applyAtmosphere(this.streetGen.atmosphereAt(PLAYER.START_Z));
 
     // Create player
     this.player = new Player(this.scene);
+
+    // Ghost of the best run so far (if any) runs alongside -- not on the
+    // daily street, which it never ran, and not in test mode or replays,
+    // whose output mustn't depend on this machine's saved best
+    this._ghostEnabled = runConfig.mode === 'standard' && !this.testMode && !replay;
+    const ghostRun = this._ghostEnabled ? loadGhostRun() : null;
+    this.ghost = ghostRun ? new Ghost(this.scene, ghostRun) : null;
+    this.ghostRecorder.start();
+
     this.input.setGameActive(true);
 
     // Spectacle entrance effect
     eventBus.emit(Events.SPECTACLE_ENTRANCE);
   }
 
+  pause(reason = 'key') {
+    if (!gameState.started || gameState.gameOver || gameState.paused) return;
+    gameState.paused = true;
+    this.input.setGameActive(false);
+    eventBus.emit(Events.PAUSE_CHANGED, { paused: true, reason });
+  }
+
+  resume() {
+    if (!gameState.paused) return;
+    gameState.paused = false;
+    this.clock.getDelta(); // discard the time spent paused
+    this.input.setGameActive(true);
+    eventBus.emit(Events.PAUSE_CHANGED, { paused: false });
+  }
+
   restart() {
+    this._teardownRun();
+    this.startGame();
+  }
+
+  /** Remove the player, ghost, transient entities and effects of the current run */
+  _teardownRun() {
     if (this.player) {
       this.player.destroy();
       this.player = null;
     }
+    if (this.ghost) {
+      this.ghost.destroy();
+      this.ghost = null;
+    }
     this._clearEntities();
+    this.powerUps.reset();
+    this.bosses.reset();
     this.spectacle.reset();
-    this.startGame();
+  }
+
+  /** Fold the finished run into the persistent save profile (replays were already counted) */
+  _recordRun() {
+    if (this.input.hasReplay) {
+      saveProfile.lastRun = null; // no NEW BEST flags for a rerun
+      return;
+    }
+    saveProfile.recordRun({
+      score: gameState.score,
+      bestCombo: gameState.bestCombo,
+      housesHit: gameState.housesHit,
+      thrown: gameState.totalThrown,
+      panicCollected: gameState.panicCollected,
+      distance: gameState.distance,
+      // Daily modifiers inflate scores -- those runs only set the day's best
+      countsForBests: gameState.countsForBests,
+    });
+    if (runConfig.mode === 'daily') saveProfile.recordDaily(runConfig.date, gameState.score);
+  }
+
+  /** Store this run's path as the new ghost when it beats the saved one */
+  _saveGhostIfBest() {
+    if (!this._ghostEnabled) return;
+    const previous = loadGhostRun();
+    if (gameState.score > (previous ? previous.score : 0)) {
+      saveGhostRun(gameState.score, this.ghostRecorder.path);
+    }
+  }
+
+  /**
+   * Restart and re-run a recorded log (same seed, same per-tick input).
+   * @param {object|string} log - InputRecorder.toJSON() output or its JSON text
+   */
+  playReplay(log) {
+    this._pendingReplay = new InputReplay(log);
+    eventBus.emit(Events.GAME_RESTART);
+  }
+
+  /** Download the current run's replay log as a JSON file */
+  downloadReplay() {
+    const log = this.recorder.toJSON();
+    downloadJson(JSON.stringify(log), `${REPLAY.FILE_PREFIX}-${log.seed}.json`);
+  }
+
+  /** Download this run's config and result, for comparing Daily Blitz scores */
+  downloadRunConfig() {
+    const config = { ...runConfig.toJSON(), seed: this.recorder.seed };
+    const result = {
+      ...config,
+      result: {
+        score: gameState.score,
+        distance: Math.round(gameState.distance),
+        housesHit: gameState.housesHit,
+        bestCombo: gameState.runBestCombo,
+      },
+    };
+    downloadJson(JSON.stringify(result, null, 2),
+      `${DAILY.FILE_PREFIX}-${config.mode}-${config.date ?? config.seed}.json`);
   }
 
   _clearEntities() {
-    for (const hw of this.homeowners) hw.dispose(this.scene);
-    for (const pp of this.panicPoints) pp.dispose(this.scene);
+    for (const hw of this.homeowners) homeownerPool.release(hw);
+    for (const offer of this.counterOffers) offer.dispose(this.scene);
+    for (const pp of this.panicPoints) panicPointPool.release(pp);
     this.homeowners = [];
+    this.counterOffers = [];
     this.panicPoints = [];
+    this.panicCells.clear();
   }
 
   animate() {
-    const delta = Math.min(this.clock.getDelta(), GAME.MAX_DELTA);
+    const frameDelta = Math.min(this.clock.getDelta(), GAME.MAX_DELTA);
 
     this.input.update();
+    this._simulate(frameDelta);
+    this._render(frameDelta);
+  }
 
-    if (gameState.started && !gameState.gameOver && this.player) {
-      const playerZ = this.player.mesh.position.z;
-
-      // Handle throw input here (Game has access to streetGen for targeting)
-      if (this.input.throwPressed) {
-        const target = this._findThrowTarget(this.player.mesh.position);
-        this.player.throwEnvelope(target);
-      }
-
-      // Update player (auto-run + input)
-      this.player.update(delta, this.input);
-
-      // Update street generator (houses, agents, street surface)
-      this.streetGen.update(delta, playerZ);
+  /**
+   * Deterministic stepping for automated tests (test mode only): runs exact
+   * fixed steps covering `ms`, then renders a single frame. Waits for model
+   * loading first so the same action script always yields the same state.
+   * @param {number} ms
+   */
+  async advanceTime(ms) {
+    await this._booted;
+    if (this.player) await this.player.loaded;
 
-      // Check envelope-house collisions
-      this._checkEnvelopeHits();
+    this.input.update();
+    this._simulate(ms / 1000);
+    this._render(ms / 1000);
+  }
 
-      // Check player-agent collisions
-      this._checkAgentCollisions();
+  get _isRunning() {
+    // Wait for the player model so recorded tick 0 is the same on every run
+    return gameState.started && !gameState.gameOver && !gameState.paused &&
+      !!this.player && this.player.ready;
+  }
 
-      // Check player-panicPoint collection
-      this._checkPanicCollection();
+  /** Fixed-step simulation: same results on a 30 FPS phone and a 144 Hz monitor */
+  _simulate(seconds) {
+    if (!this._isRunning) return;
+    this._accumulator += seconds;
+    while (this._accumulator + GAME.STEP_EPSILON >= GAME.FIXED_TIMESTEP && !gameState.gameOver) {
+      this._snapshotTransforms();
+      this.step(GAME.FIXED_TIMESTEP);
+      this._accumulator -= GAME.FIXED_TIMESTEP;
+    }
+  }
 
-      // Update homeowners and spawn panic points
-      this._updateHomeowners(delta);
+  _render(frameDelta) {
+    if (this._isRunning) {
+      // Render-side: blend between the last two simulation states
+      this._applyInterpolation(Math.max(0, this._accumulator / GAME.FIXED_TIMESTEP));
 
-      // Update panic points
-      this._updatePanicPoints(delta);
+      // Skeletal animation is purely visual -- advance it per frame
+      this.player.updateAnimation(frameDelta);
+      if (this.ghost) this.ghost.updateAnimation(frameDelta);
 
       // Update camera to follow player
       this._updateCamera();
 
-      // Update spectacle system (particles, shake, flashes, trails)
-      this.spectacle.update(delta, this.player.mesh.position, this.player.envelopes);
-
       // Apply spectacle camera effects (shake, zoom, entrance) after base camera is set
       this.spectacle.applyCameraEffects();
 
@@ -171,105 +395,442 @@ export class Game {
     }
 
     this.renderer.render(this.scene, this.camera);
+    this._restoreTransforms();
   }
 
-  _checkEnvelopeHits() {
+  /**
+   * Advance the simulation by one fixed timestep.
+   * @param {number} delta - always GAME.FIXED_TIMESTEP
+   */
+  step(delta) {
     const playerZ = this.player.mesh.position.z;
-    const nearbyHouses = this.streetGen.getHousesInRange(playerZ, 50);
 
-    for (const envelope of this.player.envelopes) {
-      if (!envelope.alive) continue;
+    // Latch this tick's input (live or replayed) and record it
+    this.recorder.record(this.input.beginTick());
 
-      for (const house of nearbyHouses) {
-        if (house.isHit) continue;
+    // Handle throw input here (Game has access to streetGen for targeting)
+    if (this.input.throwPressed) {
+      this._throw();
+    }
 
-        if (envelope.checkHouse(house)) {
-          // Hit!
-          house.hit();
-          envelope.alive = false;
-          gameState.housesHit++;
+    // Update player (auto-run + input)
+    this.player.update(delta, this.input);
+    gameState.distance = Math.max(0, PLAYER.START_Z - this.player.mesh.position.z);
 
-          // Combo
-          gameState.incrementCombo();
-          eventBus.emit(Events.COMBO_CHANGED, { combo: gameState.combo });
+    // Ghost runner: follow the best path, sample ours
+    this.ghostRecorder.sample(delta, this.player.mesh.position);
+    if (this.ghost) this.ghost.update(delta);
 
-          // Score for hitting the house
-          const earned = gameState.addScore(1);
-          eventBus.emit(Events.SCORE_CHANGED, { score: gameState.score, earned });
-          eventBus.emit(Events.HOUSE_HIT, {
-            x: house.mesh.position.x,
-            z: house.mesh.position.z,
-            combo: gameState.combo,
-          });
-
-          // Spectacle events
-          eventBus.emit(Events.SPECTACLE_HIT, { combo: gameState.combo });
-          if (gameState.combo >= 3) {
-            eventBus.emit(Events.SPECTACLE_COMBO, { combo: gameState.combo });
-          }
-          if (gameState.combo >= 5) {
-            eventBus.emit(Events.SPECTACLE_STREAK, { combo: gameState.combo });
+    // Update street generator (houses, agents, street surface)
+    this.streetGen.update(delta, playerZ, this.player.mesh.position.x);
+
+    // Sky and fog follow the district the player is in
+    this.level.applyAtmosphere(this.streetGen.atmosphereAt(playerZ));
+
+    // Boss encounters (suspend street spawning while one is up)
+    this.bosses.update(delta, this.player.mesh.position, this.streetGen);
+    this.missions.update();
+    this.director.update(delta);
+
+    // Check envelope-house collisions
+    this._checkEnvelopeHits();
+
+    // Check player-agent collisions
+    this._checkAgentCollisions();
+    this._checkBossCollision();
+
+    // Check player-obstacle collisions
+    this._checkObstacleCollisions();
+
+    // Check thrown FOR SALE signs
+    this._checkProjectileHits();
+
+    // Power-up pickups and timers
+    this._checkPowerUpPickups();
+    this.powerUps.update(delta);
+    this.player.setShieldVisible(this.powerUps.isActive('shield'));
+
+    // Check player-panicPoint collection
+    this._checkPanicCollection(delta);
+
+    // Update homeowners and spawn panic points
+    this._updateHomeowners(delta);
+    this._updateCounterOffers(delta);
+
+    // Update panic points
+    this._updatePanicPoints(delta);
+
+    // Update spectacle system (particles, shake, flashes, trails) -- its
+    // near-miss slow-mo touches currentSpeed, so it runs on the fixed step
+    this.spectacle.update(delta, this.player.mesh.position, this.player.envelopes);
+  }
+
+  // ============================================================
+  //  RENDER INTERPOLATION
+  // ============================================================
+
+  /** Gather every moving mesh into a reused list (no per-frame allocation) */
+  _collectMovingMeshes() {
+    const list = this._movingMeshes;
+    list.length = 0;
+    if (!this.player) return list;
+    list.push(this.player.mesh);
+    if (this.ghost) list.push(this.ghost.mesh);
+    for (const env of this.player.envelopes) list.push(env.mesh);
+    for (const agent of this.streetGen.agents) list.push(agent.mesh);
+    for (const hw of this.homeowners) list.push(hw.mesh);
+    for (const offer of this.counterOffers) list.push(offer.mesh);
+    for (const pp of this.panicPoints) list.push(pp.mesh);
+    for (const pickup of this.streetGen.pickups) list.push(pickup.mesh);
+    for (const sign of this.streetGen.projectiles) list.push(sign.mesh);
+    if (this.bosses.boss) list.push(this.bosses.boss.mesh);
+    return list;
+  }
+
+  /** Remember each mesh's position before a simulation step */
+  _snapshotTransforms() {
+    for (const mesh of this._collectMovingMeshes()) {
+      if (!mesh.userData.prevPos) mesh.userData.prevPos = new THREE.Vector3();
+      mesh.userData.prevPos.copy(mesh.position);
+    }
+  }
+
+  /**
+   * Move meshes to prev + (sim - prev) * alpha for rendering only.
+   * _restoreTransforms() puts the simulation positions back after render.
+   */
+  _applyInterpolation(alpha) {
+    for (const mesh of this._collectMovingMeshes()) {
+      const prev = mesh.userData.prevPos;
+      if (!prev) continue; // spawned this frame -- nothing to blend from
+      if (!mesh.userData.simPos) mesh.userData.simPos = new THREE.Vector3();
+      mesh.userData.simPos.copy(mesh.position);
+      mesh.position.lerpVectors(prev, mesh.userData.simPos, alpha);
+      mesh.userData.interpolated = true;
+    }
+  }
+
+  _restoreTransforms() {
+    for (const mesh of this._movingMeshes) {
+      if (!mesh.userData.interpolated) continue;
+      mesh.position.copy(mesh.userData.simPos);
+      mesh.userData.interpolated = false;
+    }
+  }
+
+  _checkEnvelopeHits() {
+    // Snapshot -- bidding war fragments are appended while we iterate
+    const envelopes = this.player.envelopes.slice();
+    for (const envelope of envelopes) {
+      if (!envelope.alive) continue;
+
+      if (this._checkEnvelopeBossHit(envelope)) continue;
+
+      // Agents in the flight path: cashier's checks plow through them,
+      // anything else stops on the first one it hits
+      if (envelope.config.KNOCKS_AGENTS) this._plowAgents(envelope);
+      else if (this._checkEnvelopeAgentHit(envelope)) continue;
+
+      const nearbyHouses = this.streetGen.getHousesInRange(envelope.mesh.position.z, ENVELOPE.COLLISION_THRESHOLD);
+      for (const house of nearbyHouses) {
+        if (envelope.checkHouse(house)) {
+          const result = house.hit();
+          if (result === 'rejected') {
+            // Already sold: the offer is wasted, no ricochet or split
+            envelope.alive = false;
+            this._rejectThrow(house);
+            break;
           }
+          if (result === 'sold') this._scoreHouseHit(house);
+          else this._damageHouse(house);
 
-          // Spawn homeowner from the hit house
-          this._spawnHomeowner(house);
-          break; // one envelope hits one house
+          // Per-type collision rule: what the envelope does after the hit
+          switch (envelope.config.ON_HOUSE) {
+            case 'ricochet': this._ricochetEnvelope(envelope, house); break;
+            case 'split': this._splitEnvelope(envelope, house); break;
+            default: envelope.alive = false; break;
+          }
+          break; // one house per envelope per tick
         }
       }
     }
   }
 
-  _spawnHomeowner(house) {
-    const homeowner = new Homeowner(
-      house.mesh.position,
-      house.side
-    );
+  /** Score a sold house: combo, score, events, spectacle and its homeowners */
+  _scoreHouseHit(house) {
+    gameState.housesHit++;
+
+    // Combo
+    gameState.incrementCombo();
+    eventBus.emit(Events.COMBO_CHANGED, { combo: gameState.combo });
+
+    // Score for hitting the house
+    const earned = gameState.addScore(house.config.SCORE);
+    eventBus.emit(Events.SCORE_CHANGED, { score: gameState.score, earned });
+    eventBus.emit(Events.HOUSE_HIT, {
+      x: house.mesh.position.x,
+      z: house.mesh.position.z,
+      type: house.type,
+      combo: gameState.combo,
+      earned,
+    });
+
+    // Spectacle events
+    eventBus.emit(Events.SPECTACLE_HIT, { combo: gameState.combo });
+    if (gameState.combo >= 3) {
+      eventBus.emit(Events.SPECTACLE_COMBO, { combo: gameState.combo });
+    }
+    if (gameState.combo >= 5) {
+      eventBus.emit(Events.SPECTACLE_STREAK, { combo: gameState.combo });
+    }
+
+    // Spawn homeowners from the hit house
+    for (let i = 0; i < house.config.HOMEOWNERS; i++) {
+      this._spawnHomeowner(house, house.doorZs[i % house.doorZs.length]);
+    }
+    if (house.config.RELEASES_CHASER) this._releaseGuardDog(house);
+  }
+
+  /** A multi-hit house held out: shake it and keep the combo alive */
+  _damageHouse(house) {
+    gameState.refreshCombo();
+    eventBus.emit(Events.HOUSE_DAMAGED, {
+      x: house.mesh.position.x,
+      z: house.mesh.position.z,
+      type: house.type,
+      hitsLeft: house.hitsLeft,
+    });
+  }
+
+  /** An offer on an already-sold house misses and breaks the combo */
+  _rejectThrow(house) {
+    gameState.resetCombo();
+    eventBus.emit(Events.COMBO_CHANGED, { combo: 0 });
+    eventBus.emit(Events.HOUSE_REJECTED, {
+      x: house.mesh.position.x,
+      z: house.mesh.position.z,
+    });
+  }
+
+  /** Send a chaser out of the yard at the curb in front of the house */
+  _releaseGuardDog(house) {
+    const x = Math.sign(house.mesh.position.x) * (STREET.WIDTH / 2 - 0.5);
+    const z = house.mesh.position.z;
+    this.streetGen.addAgent(chaserPool.acquire(x, z));
+    eventBus.emit(Events.GUARD_DOG_RELEASED, { x, z });
+  }
+
+  /** Junk mail: bounce to the nearest unhit house ahead on the opposite row */
+  _ricochetEnvelope(envelope, house) {
+    if (envelope.bouncesLeft <= 0) {
+      envelope.alive = false;
+      return;
+    }
+    envelope.bouncesLeft--;
+
+    const pos = envelope.mesh.position;
+    const otherSide = house.side === 'left' ? 'right' : 'left';
+    const next = this.streetGen.getHousesInRange(pos.z, envelope.config.RICOCHET_RANGE)
+      .filter(h => h.side === otherSide && h.mesh.position.z < pos.z)
+      .sort((a, b) => b.mesh.position.z - a.mesh.position.z)[0];
+
+    if (next) {
+      envelope.redirect(next.mesh.position);
+    } else {
+      // Nothing to aim at -- mirror across the street and keep flying
+      const dir = envelope.direction.clone();
+      dir.x = (otherSide === 'left' ? -1 : 1) * Math.max(Math.abs(dir.x), 0.3);
+      envelope.redirect(null, dir);
+    }
+  }
+
+  /** Bidding war: burst into fragments aimed at the next unhit houses ahead */
+  _splitEnvelope(envelope, house) {
+    envelope.alive = false;
+    const c = envelope.config;
+    const from = house.mesh.position;
+    const targets = this._findAllThrowTargets(from, c.SPLIT_RANGE);
+
+    for (let i = 0; i < c.SPLIT_COUNT; i++) {
+      const target = targets[i] || null;
+      const dir = target
+        ? new THREE.Vector3(target.x - from.x, 0, target.z - from.z)
+        : new THREE.Vector3(i % 2 === 0 ? -0.4 : 0.4, 0, -1);
+      this.player.spawnEnvelope(from, dir, target, c.SPLIT_TYPE);
+    }
+  }
+
+  /** Knock over every agent a heavy envelope passes through */
+  _plowAgents(envelope) {
+    if (envelope.mesh.position.y > AGENT.HIT_HEIGHT) return;
+    const radius = envelope.config.AGENT_HIT_RADIUS;
+    for (const agent of this.streetGen.getAgentsInRange(envelope.mesh.position.z, radius + 1)) {
+      if (envelope.hitAgents.has(agent) || !envelope.checkAgent(agent, radius)) continue;
+      envelope.hitAgents.add(agent);
+      this._hitAgent(agent, envelope, true);
+    }
+  }
+
+  /**
+   * Light envelopes stop on the first agent they reach (lobs above
+   * AGENT.HIT_HEIGHT sail over). @returns {boolean} whether one was hit
+   */
+  _checkEnvelopeAgentHit(envelope) {
+    if (envelope.mesh.position.y > AGENT.HIT_HEIGHT) return false;
+    const radius = AGENT.ENVELOPE_HIT_RADIUS;
+    for (const agent of this.streetGen.getAgentsInRange(envelope.mesh.position.z, radius + 1)) {
+      if (!envelope.checkAgent(agent, radius)) continue;
+      envelope.alive = false;
+      // A second hit on a dazed agent knocks it out of the street
+      this._hitAgent(agent, envelope, agent.isStunned);
+      return true;
+    }
+    return false;
+  }
+
+  /** Stun or knock out an agent, score it and announce it */
+  _hitAgent(agent, envelope, knockOut) {
+    if (knockOut) agent.knockOver(envelope.direction);
+    else agent.stun();
+
+    const earned = gameState.addScore(knockOut ? AGENT.KNOCKOUT_SCORE : AGENT.STUN_SCORE);
+    eventBus.emit(Events.SCORE_CHANGED, { score: gameState.score, earned });
+    eventBus.emit(Events.AGENT_STUNNED, {
+      x: agent.mesh.position.x,
+      z: agent.mesh.position.z,
+      knockedOut: knockOut,
+      envelopeType: envelope.type,
+      earned,
+    });
+  }
+
+  /** Any envelope that reaches the boss is spent on it. @returns {boolean} hit */
+  _checkEnvelopeBossHit(envelope) {
+    const result = this.bosses.checkEnvelope(envelope);
+    if (!result) return false;
+    envelope.alive = false;
+    if (result === 'defeated') this._defeatBoss();
+    return true;
+  }
+
+  /** Award the boss bonus and kick off its spectacle */
+  _defeatBoss() {
+    const boss = this.bosses.boss;
+    const earned = gameState.addScore(boss.config.SCORE_BONUS);
+    eventBus.emit(Events.SCORE_CHANGED, { score: gameState.score, earned });
+    eventBus.emit(Events.BOSS_DEFEATED, {
+      type: boss.type,
+      label: boss.config.LABEL,
+      x: boss.mesh.position.x,
+      z: boss.mesh.position.z,
+      earned,
+    });
+  }
+
+  _spawnHomeowner(house, doorZ = 0) {
+    const exit = house.mesh.position.clone();
+    exit.z += doorZ;
+    const homeowner = homeownerPool.acquire(exit, house.side, house);
     this.scene.add(homeowner.mesh);
-    this.homeowners.push(homeowner);
     eventBus.emit(Events.HOMEOWNER_SPAWNED, {
       x: house.mesh.position.x,
       z: house.mesh.position.z,
+      behaviour: homeowner.behaviour,
     });
+
+    // Panickers from a neighbouring hit house sweep this one into their crowd
+    if (homeowner.canRally) {
+      const pos = homeowner.mesh.position;
+      const other = this.homeowners.find(h => h.canRally && h.home !== house &&
+        h.mesh.position.distanceTo(pos) < HOMEOWNER_CROWD.RADIUS);
+      if (other) {
+        const size = homeowner.rallyWith(other);
+        eventBus.emit(Events.HOMEOWNER_CROWD, { x: pos.x, z: pos.z, size });
+      }
+    }
+    this.homeowners.push(homeowner);
   }
 
   _updateHomeowners(delta) {
+    const playerPos = this.player.mesh.position;
     for (let i = this.homeowners.length - 1; i >= 0; i--) {
       const hw = this.homeowners[i];
-      hw.update(delta);
+      hw.update(delta, playerPos);
+
+      for (const t of hw.consumeThrows()) {
+        const offer = new CounterOffer(t.x, t.z, t.targetX);
+        this.scene.add(offer.mesh);
+        this.counterOffers.push(offer);
+        eventBus.emit(Events.COUNTER_OFFER_THROWN, { x: t.x, z: t.z });
+      }
 
       // Collect any panic point drops
       const drops = hw.consumeDrops();
       for (const drop of drops) {
-        const pp = new PanicPoint(drop.x, drop.z);
+        const pp = panicPointPool.acquire(drop.x, drop.z);
         this.scene.add(pp.mesh);
         this.panicPoints.push(pp);
+        this.panicCells.insert(pp);
       }
 
       // Remove expired homeowners
       if (!hw.alive) {
-        hw.dispose(this.scene);
+        homeownerPool.release(hw);
         this.homeowners.splice(i, 1);
       }
     }
   }
 
+  /** Fly thrown-back offers; one reaching the player breaks the combo */
+  _updateCounterOffers(delta) {
+    const playerPos = this.player.mesh.position;
+    const extent = this.player.getVerticalExtent();
+    for (let i = this.counterOffers.length - 1; i >= 0; i--) {
+      const offer = this.counterOffers[i];
+      offer.update(delta, playerPos.z);
+
+      if (offer.checkPlayer(playerPos, extent)) {
+        offer.hasCollided = true;
+        gameState.resetCombo();
+        eventBus.emit(Events.COMBO_CHANGED, { combo: 0 });
+        eventBus.emit(Events.COUNTER_OFFER_HIT, {
+          x: offer.mesh.position.x,
+          z: offer.mesh.position.z,
+        });
+      }
+
+      if (!offer.alive) {
+        offer.dispose(this.scene);
+        this.counterOffers.splice(i, 1);
+      }
+    }
+  }
+
   _updatePanicPoints(delta) {
     for (let i = this.panicPoints.length - 1; i >= 0; i--) {
       const pp = this.panicPoints[i];
       pp.update(delta);
 
       if (!pp.alive) {
-        pp.dispose(this.scene);
+        this.panicCells.remove(pp);
+        panicPointPool.release(pp);
         this.panicPoints.splice(i, 1);
       }
     }
   }
 
-  _checkPanicCollection() {
+  _checkPanicCollection(delta) {
     const playerPos = this.player.mesh.position;
-    for (const pp of this.panicPoints) {
+    const magnet = this.powerUps.isActive('magnet');
+    const range = magnet ? POWERUP.TYPES.magnet.PULL_RADIUS : PANIC_POINT.COLLECT_RADIUS;
+    for (const pp of this.panicCells.query(playerPos.z, range)) {
+      if (magnet) {
+        pp.pullToward(playerPos, POWERUP.TYPES.magnet, delta);
+        this.panicCells.update(pp);
+      }
       if (pp.checkPlayer(playerPos)) {
         if (pp.collect()) {
+          gameState.panicCollected++;
           const earned = gameState.addScore(1);
           eventBus.emit(Events.PANIC_COLLECTED, { score: gameState.score, earned });
           eventBus.emit(Events.SCORE_CHANGED, { score: gameState.score, earned });
@@ -287,6 +848,7 @@ export class Game {
     for (const agent of nearbyAgents) {
       if (agent.checkPlayer(playerPos)) {
         agent.hasCollided = true;
+        if (this._absorbWithShield(agent.mesh.position)) break;
         this.player.takeDamage();
         eventBus.emit(Events.AGENT_COLLISION, {
           x: agent.mesh.position.x,
@@ -302,7 +864,7 @@ export class Game {
 
     // Near-miss detection for spectacle
     for (const agent of nearbyAgents) {
-      if (!agent.hasCollided && agent.alive) {
+      if (!agent.hasCollided && agent.alive && !agent.isStunned) {
         const dx = agent.mesh.position.x - playerPos.x;
         const dz = agent.mesh.position.z - playerPos.z;
         const dist = Math.sqrt(dx * dx + dz * dz);
@@ -313,9 +875,129 @@ export class Game {
     }
   }
 
+  /** Running into the boss (or its golf cart) costs a life like an agent */
+  _checkBossCollision() {
+    if (this.player.isInvincible) return;
+    const playerPos = this.player.mesh.position;
+    if (!this.bosses.checkPlayer(playerPos)) return;
+
+    const pos = this.bosses.boss.mesh.position;
+    if (this._absorbWithShield(pos)) return;
+    this.player.takeDamage();
+    eventBus.emit(Events.AGENT_COLLISION, { x: pos.x, z: pos.z, source: 'boss' });
+    gameState.resetCombo();
+    eventBus.emit(Events.COMBO_CHANGED, { combo: 0 });
+  }
+
+  _checkObstacleCollisions() {
+    const playerPos = this.player.mesh.position;
+    const extent = this.player.getVerticalExtent();
+    const nearby = this.streetGen.getObstaclesInRange(playerPos.z, 5);
+
+    for (const obstacle of nearby) {
+      if (!obstacle.checkPlayer(playerPos, extent)) continue;
+      const { EFFECT, SLOW_FACTOR, SLOW_DURATION } = obstacle.config;
+      // Invincibility frames let the player pass through damaging obstacles
+      if (EFFECT === 'damage' && this.player.isInvincible) continue;
+
+      obstacle.hit();
+      if (EFFECT === 'damage') {
+        if (this._absorbWithShield(obstacle.mesh.position)) continue;
+        this.player.takeDamage();
+      } else {
+        this.player.applySlow(SLOW_FACTOR, SLOW_DURATION);
+      }
+      eventBus.emit(Events.OBSTACLE_HIT, {
+        type: obstacle.type,
+        effect: EFFECT,
+        x: obstacle.mesh.position.x,
+        z: obstacle.mesh.position.z,
+      });
+
+      if (EFFECT !== 'slow') {
+        gameState.resetCombo();
+        eventBus.emit(Events.COMBO_CHANGED, { combo: 0 });
+      }
+      if (gameState.gameOver) break;
+    }
+  }
+
+  _checkProjectileHits() {
+    if (this.player.isInvincible) return;
+
+    const playerPos = this.player.mesh.position;
+    const extent = this.player.getVerticalExtent();
+    for (const sign of this.streetGen.getProjectilesInRange(playerPos.z, 3)) {
+      if (!sign.checkPlayer(playerPos, extent)) continue;
+      sign.hasCollided = true;
+      if (this._absorbWithShield(sign.mesh.position)) break;
+      this.player.takeDamage();
+      eventBus.emit(Events.AGENT_COLLISION, {
+        x: sign.mesh.position.x,
+        z: sign.mesh.position.z,
+        source: 'sign',
+      });
+      gameState.resetCombo();
+      eventBus.emit(Events.COMBO_CHANGED, { combo: 0 });
+      break;
+    }
+  }
+
+  /** Use up an active shield instead of taking damage. @returns {boolean} absorbed */
+  _absorbWithShield(pos) {
+    if (!this.powerUps.consume('shield')) return false;
+    eventBus.emit(Events.SHIELD_BLOCKED, { x: pos.x, z: pos.z });
+    return true;
+  }
+
+  _checkPowerUpPickups() {
+    const playerPos = this.player.mesh.position;
+    for (const pickup of this.streetGen.getPickupsInRange(playerPos.z, POWERUP.COLLECT_RADIUS)) {
+      if (pickup.checkPlayer(playerPos) && pickup.collect()) {
+        this.powerUps.activate(pickup.type, pickup.mesh.position.x, pickup.mesh.position.z);
+      }
+    }
+  }
+
+  /** Throw at a boss in range, the nearest house, or every house in range with certified mail */
+  _throw() {
+    const playerPos = this.player.mesh.position;
+    const spreadAngle = this.powerUps.isActive('spread') ? POWERUP.TYPES.spread.ANGLE : 0;
+
+    // Throws at a boss carry the runner's momentum so they can catch it
+    const boss = this.bosses.target;
+    if (boss && playerPos.z - boss.mesh.position.z < ENVELOPE.TARGET_RANGE) {
+      this.player.throwEnvelope(boss.mesh.position.clone(), {
+        spreadAngle,
+        carrySpeed: gameState.currentSpeed,
+      });
+      return;
+    }
+
+    if (this.powerUps.isActive('certified')) {
+      const targets = this._findAllThrowTargets(playerPos, POWERUP.TYPES.certified.RANGE);
+      this.player.throwEnvelope(targets.shift() || null, { spreadAngle, extraTargets: targets });
+      return;
+    }
+    this.player.throwEnvelope(this._findThrowTarget(playerPos), { spreadAngle });
+  }
+
+  /**
+   * Every unhit house ahead of the player within range, nearest first.
+   * Multi-target throws know better than to mail already-sold houses.
+   * @returns {THREE.Vector3[]}
+   */
+  _findAllThrowTargets(playerPos, range) {
+    return this.streetGen.getHousesInRange(playerPos.z, range)
+      .filter(h => h.mesh.position.z < playerPos.z && !h.config.REJECTS)
+      .map(h => h.mesh.position.clone())
+      .sort((a, b) => a.distanceToSquared(playerPos) - b.distanceToSquared(playerPos));
+  }
+
   /**
    * Find the nearest unhit house ahead of the player within targeting range.
-   * Alternates sides (left/right) to spread throws evenly.
+   * Alternates sides (left/right) to spread throws evenly. Already-sold
+   * houses are fair game -- steering toward the other row is the dodge.
    * @returns {THREE.Vector3|null}
    */
   _findThrowTarget(playerPos) {
@@ -364,3 +1046,14 @@ export class Game {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
 }
+
+/** Test mode is requested via ?test=1 or by setting window.__TEST_MODE__ before load */
+function _isTestModeRequested() {
+  if (window.__TEST_MODE__ === true) return true;
+  try {
+    const value = new URLSearchParams(window.location.search).get(TEST_MODE.URL_PARAM);
+    return value !== null && value !== '0' && value !== 'false';
+  } catch (_) {
+    return false;
+  }
+}
@@ -1,4 +1,5 @@
-import { GAMEPLAY, COMBO } from './Constants.js';
+import { saveProfile } from './SaveProfile.js';
+import { runConfig } from './RunConfig.js';
 
 class GameState {
   constructor() {
@@ -7,38 +8,55 @@ class GameState {
 
   reset() {
     this.score = 0;
-    this.bestScore = this.bestScore || 0;
+    // Bests carry across runs and sessions (persisted in the save profile)
+    this.bestScore = this.bestScore ?? saveProfile.data.bestScore;
     this.started = false;
     this.gameOver = false;
+    this.paused = false;
+    this.inMenu = false; // title screen is up (set by Game.showMenu)
+    // Live standard run: only these raise the bests (set by Game.startGame --
+    // Daily Blitz, replays and test mode leave them alone)
+    this.countsForBests = false;
 
     // Lives
-    this.lives = GAMEPLAY.LIVES;
+    this.lives = runConfig.lives;
 
     // Combo system
     this.combo = 0;
-    this.bestCombo = this.bestCombo || 0;
+    this.bestCombo = this.bestCombo ?? saveProfile.data.bestCombo;
+    this.runBestCombo = 0; // this run only (bestCombo is the record)
 
     // Speed
-    this.currentSpeed = GAMEPLAY.AUTO_SPEED;
+    this.currentSpeed = runConfig.autoSpeed;
 
     // Stats
     this.housesHit = 0;
     this.totalThrown = 0;
+    this.panicCollected = 0;
+    this.distance = 0; // units run this session (1 unit = 1 m)
 
-    // Audio -- persist mute preference across sessions
+    // Audio -- mute preference persists across sessions via the save profile
     if (this.isMuted === undefined) {
-      try { this.isMuted = localStorage.getItem('lowball-blitz-muted') === 'true'; } catch (_) { this.isMuted = false; }
+      this.isMuted = saveProfile.data.muted;
     }
 
     // Combo timer
     this._comboTimer = 0;
   }
 
+  /** High-level screen: 'loading' | 'menu' | 'playing' | 'paused' | 'game_over' */
+  get mode() {
+    if (this.gameOver) return 'game_over';
+    if (this.paused) return 'paused';
+    if (this.started) return 'playing';
+    return this.inMenu ? 'menu' : 'loading';
+  }
+
   addScore(points = 1) {
-    const multiplier = Math.min(this.combo, COMBO.MULTIPLIER_CAP);
+    const multiplier = Math.min(this.combo, runConfig.multiplierCap);
     const finalPoints = points * Math.max(1, multiplier);
     this.score += finalPoints;
-    if (this.score > this.bestScore) {
+    if (this.countsForBests && this.score > this.bestScore) {
       this.bestScore = this.score;
     }
     return finalPoints;
@@ -46,10 +64,16 @@ class GameState {
 
   incrementCombo() {
     this.combo++;
-    if (this.combo > this.bestCombo) {
+    this.runBestCombo = Math.max(this.runBestCombo, this.combo);
+    if (this.countsForBests && this.combo > this.bestCombo) {
       this.bestCombo = this.combo;
     }
-    this._comboTimer = COMBO.TIMEOUT_MS;
+    this._comboTimer = runConfig.comboTimeoutMs / runConfig.intensity;
+  }
+
+  /** Restart the combo timeout without adding to the streak */
+  refreshCombo() {
+    if (this.combo > 0) this._comboTimer = runConfig.comboTimeoutMs / runConfig.intensity;
   }
 
   resetCombo() {
@@ -58,7 +82,7 @@ class GameState {
   }
 
   updateComboTimer(deltaMs) {
-    if (this.combo > 0 && this._comboTimer > 0) {
+    if (this.combo > 0 && this._comboTimer > 0 && runConfig.comboDecay) {
       this._comboTimer -= deltaMs;
       if (this._comboTimer <= 0) {
         this.resetCombo();
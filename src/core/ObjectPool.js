@@ -0,0 +1,75 @@
+import { POOL } from './Constants.js';
+
+const registry = new Map(); // name -> ObjectPool
+
+/**
+ * Free-list pool for entities that spawn and die all run long. `create()`
+ * builds an object once (meshes, cloned materials, GLB clones); every
+ * acquire() then re-initialises it through its reset(...args) hook and every
+ * release() hands it back through its release() hook instead of disposing.
+ * Idle objects beyond POOL.MAX_IDLE are disposed for real.
+ */
+export class ObjectPool {
+  /**
+   * @param {string} name - key in POOL.PREWARM and in poolStats()
+   * @param {() => object} create - build a blank object (reset() runs before use)
+   */
+  constructor(name, create) {
+    this.name = name;
+    this._create = create;
+    this._free = [];
+    this.active = 0;
+    this.created = 0;
+    this.reused = 0;
+    registry.set(name, this);
+  }
+
+  /** Take an idle object (or build one) and reset it with `args` */
+  acquire(...args) {
+    let obj = this._free.pop();
+    if (obj) this.reused++;
+    else obj = this._build();
+    obj.reset(...args);
+    this.active++;
+    return obj;
+  }
+
+  /** Hand an object back; it must not be touched again until re-acquired */
+  release(obj) {
+    obj.release();
+    this.active--;
+    if (this._free.length < POOL.MAX_IDLE) this._free.push(obj);
+    else obj.dispose();
+  }
+
+  /** Build objects up front so the first spawns don't allocate */
+  prewarm(count) {
+    while (this._free.length < count) this._free.push(this._build());
+  }
+
+  _build() {
+    this.created++;
+    const obj = this._create();
+    obj.pool = this; // lets mixed lists (agents) release each to its own pool
+    return obj;
+  }
+
+  get stats() {
+    return { active: this.active, free: this._free.length, created: this.created, reused: this.reused };
+  }
+}
+
+/** Fill every pool to its POOL.PREWARM count (loading screen) */
+export function prewarmPools() {
+  for (const [name, count] of Object.entries(POOL.PREWARM)) {
+    const pool = registry.get(name);
+    if (pool) pool.prewarm(count);
+  }
+}
+
+/** Per-pool counters for render_game_to_text */
+export function poolStats() {
+  const stats = {};
+  for (const [name, pool] of registry) stats[name] = pool.stats;
+  return stats;
+}
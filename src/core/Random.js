@@ -0,0 +1,79 @@
+import { RNG } from './Constants.js';
+
+/**
+ * Seedable PRNG (mulberry32) for every gameplay-affecting random decision:
+ * street layout, house colors, homeowner panic paths, agent spawns.
+ *
+ * Purely cosmetic randomness (particles, shake jitter, SFX noise) stays on
+ * Math.random() so it never shifts the gameplay sequence.
+ */
+export class Random {
+  constructor() {
+    this.seed(randomSeed());
+  }
+
+  /** Reseed the generator. Accepts a number or any string (hashed). */
+  seed(value) {
+    this.seedValue = normalizeSeed(value);
+    this._state = this.seedValue;
+    return this;
+  }
+
+  /** Float in [0, 1) -- drop-in replacement for Math.random() */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Float in [min, max) */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /** Integer in [0, max) */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /** Random element of an array */
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+}
+
+/** Fresh non-deterministic seed for runs without a fixed seed */
+export function randomSeed() {
+  return Math.floor(Math.random() * RNG.MAX_SEED);
+}
+
+/**
+ * Read the seed from the page URL (?seed=1234 or ?seed=any-text).
+ * @returns {number|null} normalized seed, or null when absent
+ */
+export function seedFromUrl() {
+  try {
+    const raw = new URLSearchParams(window.location.search).get(RNG.URL_PARAM);
+    return raw ? normalizeSeed(raw) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Coerce a numeric or string seed into an unsigned 32-bit integer */
+function normalizeSeed(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value >>> 0;
+  const str = String(value);
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+  // FNV-1a hash for text seeds
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export const rng = new Random();
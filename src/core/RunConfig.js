@@ -0,0 +1,150 @@
+import { GAMEPLAY, COMBO, DAILY, DIFFICULTY } from './Constants.js';
+import { Random } from './Random.js';
+
+const MODIFIER_KEYS = Object.keys(DAILY.MODIFIERS);
+
+/** UTC date key, e.g. '2026-10-19' -- the same daily street in every timezone */
+export function dailyDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Seed and modifiers of the Daily Blitz for `date`. Rolled on a private
+ * generator so it never touches the gameplay rng.
+ * @returns {{ date: string, seed: number, modifiers: string[] }}
+ */
+export function dailySetup(date = dailyDate()) {
+  const roll = new Random().seed(DAILY.SEED_PREFIX + date);
+  const pool = MODIFIER_KEYS.slice();
+  const modifiers = [];
+  while (modifiers.length < DAILY.MODIFIER_COUNT && pool.length > 0) {
+    modifiers.push(pool.splice(roll.int(pool.length), 1)[0]);
+  }
+  return { date, seed: roll.seedValue, modifiers };
+}
+
+/**
+ * Per-run tunables. Starts each run from the GAMEPLAY / COMBO defaults and
+ * applies the difficulty preset and mode modifiers; gameplay code reads these
+ * instead of the constants. Serializable so a run can be exported and compared.
+ *
+ * `intensity` is the adaptive director's live multiplier (1 when it is off):
+ * the speed ramp and agent density are multiplied by it, the combo timeout
+ * divided by it.
+ */
+class RunConfig {
+  constructor() {
+    this.setupStandard();
+  }
+
+  _defaults() {
+    this.mode = 'standard';
+    this.date = null;       // daily runs only
+    this.seed = null;       // fixed seed, or null for a fresh one
+    this.modifiers = [];
+    this.difficulty = DIFFICULTY.DEFAULT;
+    this.adaptive = false;
+    this.intensity = 1;
+
+    this.autoSpeed = GAMEPLAY.AUTO_SPEED;
+    this.speedIncreaseRate = GAMEPLAY.SPEED_INCREASE_RATE;
+    this.maxSpeed = GAMEPLAY.MAX_SPEED;
+    this.lives = GAMEPLAY.LIVES;
+    this.comboTimeoutMs = COMBO.TIMEOUT_MS;
+    this.comboDecay = true;
+    this.multiplierCap = COMBO.MULTIPLIER_CAP;
+    this.agentDensity = 1;  // multiplies the agent spawn rate
+    this.houseSides = ['left', 'right'];
+  }
+
+  /**
+   * @param {string} [difficulty] - DIFFICULTY.PRESETS key
+   * @param {boolean} [adaptive] - let the director steer intensity
+   */
+  setupStandard(difficulty = DIFFICULTY.DEFAULT, adaptive = false) {
+    this._defaults();
+    this._applyDifficulty(difficulty, adaptive);
+  }
+
+  /** Daily Blitz is always Normal with the director off, so scores compare */
+  setupDaily(date = dailyDate()) {
+    this._defaults();
+    this._applyDifficulty(DIFFICULTY.DEFAULT, false);
+    const daily = dailySetup(date);
+    this.mode = 'daily';
+    this.date = daily.date;
+    this.seed = daily.seed;
+    for (const key of daily.modifiers) this._applyModifier(key);
+  }
+
+  _applyDifficulty(key, adaptive) {
+    const preset = DIFFICULTY.PRESETS[key] || DIFFICULTY.PRESETS[DIFFICULTY.DEFAULT];
+    this.difficulty = DIFFICULTY.PRESETS[key] ? key : DIFFICULTY.DEFAULT;
+    this.adaptive = adaptive;
+    this.autoSpeed = preset.AUTO_SPEED;
+    this.speedIncreaseRate = preset.SPEED_INCREASE_RATE;
+    this.maxSpeed = preset.MAX_SPEED;
+    this.lives = preset.LIVES;
+    this.agentDensity = preset.AGENT_DENSITY;
+    this.comboTimeoutMs = preset.COMBO_TIMEOUT_MS;
+    this.intensity = adaptive ? preset.MIN_INTENSITY : 1;
+  }
+
+  /** Adaptive director bounds of the current preset */
+  get intensityRange() {
+    const preset = DIFFICULTY.PRESETS[this.difficulty];
+    return { min: preset.MIN_INTENSITY, max: preset.MAX_INTENSITY };
+  }
+
+  _applyModifier(key) {
+    const mod = DAILY.MODIFIERS[key];
+    if (!mod) return;
+    this.modifiers.push(key);
+    switch (key) {
+      case 'doubleAgents': this.agentDensity *= mod.AGENT_DENSITY; break;
+      case 'noComboDecay': this.comboDecay = false; break;
+      case 'fixedSpeed':
+        this.autoSpeed = mod.SPEED;
+        this.maxSpeed = mod.SPEED;
+        this.speedIncreaseRate = 0;
+        break;
+      case 'leftSideOnly': this.houseSides = ['left']; break;
+    }
+  }
+
+  /** Re-create a config from toJSON() output (e.g. a replay log) */
+  restore(data) {
+    if (data.mode === 'daily' && data.date) {
+      this.setupDaily(data.date);
+    } else {
+      this.setupStandard(data.difficulty, !!data.adaptive);
+      for (const key of data.modifiers || []) this._applyModifier(key);
+    }
+    this.seed = data.seed ?? this.seed;
+  }
+
+  toJSON() {
+    return {
+      mode: this.mode,
+      date: this.date,
+      seed: this.seed,
+      modifiers: this.modifiers.slice(),
+      difficulty: this.difficulty,
+      adaptive: this.adaptive,
+      // Resolved values, for reading an export -- restore() derives them
+      tuning: {
+        autoSpeed: this.autoSpeed,
+        speedIncreaseRate: this.speedIncreaseRate,
+        maxSpeed: this.maxSpeed,
+        lives: this.lives,
+        comboTimeoutMs: this.comboTimeoutMs,
+        comboDecay: this.comboDecay,
+        multiplierCap: this.multiplierCap,
+        agentDensity: this.agentDensity,
+        houseSides: this.houseSides.slice(),
+      },
+    };
+  }
+}
+
+export const runConfig = new RunConfig();
@@ -0,0 +1,148 @@
+import { SAVE, DIFFICULTY } from './Constants.js';
+
+/** Fresh profile at the current schema version */
+function defaultProfile() {
+  return {
+    version: SAVE.VERSION,
+    bestScore: 0,
+    bestCombo: 0,
+    totalHousesHit: 0,
+    totalThrown: 0,
+    totalPanicCollected: 0,
+    runsPlayed: 0,
+    totalDistance: 0,
+    muted: false,
+    missions: [],          // active MissionSystem objectives with progress
+    missionsCompleted: 0,
+    daily: { date: null, best: 0 }, // best Daily Blitz score of `date`
+    difficulty: DIFFICULTY.DEFAULT,
+    adaptive: false,       // opt-in adaptive difficulty director on standard runs
+  };
+}
+
+/**
+ * MIGRATIONS[v] upgrades a version-v profile to version v + 1.
+ * Version 0 is the pre-profile era, when only the mute flag was persisted
+ * (under its own key) and best score/combo lived in memory.
+ */
+const MIGRATIONS = {
+  0: () => {
+    const profile = defaultProfile();
+    profile.version = 1;
+    try {
+      profile.muted = localStorage.getItem(SAVE.LEGACY_MUTED_KEY) === 'true';
+      localStorage.removeItem(SAVE.LEGACY_MUTED_KEY);
+    } catch (_) { /* storage unavailable */ }
+    return profile;
+  },
+  // v2: mission objectives
+  1: (data) => ({ ...data, version: 2, missions: [], missionsCompleted: 0 }),
+  // v3: Daily Blitz best
+  2: (data) => ({ ...data, version: 3, daily: { date: null, best: 0 } }),
+  // v4: difficulty preset + adaptive director setting (off: existing saves play as before)
+  3: (data) => ({ ...data, version: 4, difficulty: DIFFICULTY.DEFAULT, adaptive: false }),
+};
+
+/**
+ * Versioned save profile in localStorage: best score/combo, lifetime totals
+ * and settings. Loaded (and migrated) once on import; saved after each run.
+ */
+class SaveProfile {
+  constructor() {
+    this.data = this._load();
+    this.lastRun = null; // recordRun() result for the game over screen
+  }
+
+  _load() {
+    let data = null;
+    try { data = JSON.parse(localStorage.getItem(SAVE.STORAGE_KEY)); } catch (_) { /* corrupt */ }
+    if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+      data = { version: 0 };
+    }
+
+    if (data.version > SAVE.VERSION) {
+      // Saved by a newer build -- read what we understand, never downgrade it on disk
+      console.warn(`[Save] Profile v${data.version} is newer than v${SAVE.VERSION}; using it read-only`);
+      this._readOnly = true;
+      return { ...defaultProfile(), ...data };
+    }
+
+    const migrated = data.version < SAVE.VERSION;
+    while (data.version < SAVE.VERSION) {
+      data = MIGRATIONS[data.version](data);
+    }
+    // Backfill any field missing from a hand-edited or partial save
+    data = { ...defaultProfile(), ...data };
+    if (migrated) this._write(data);
+    return data;
+  }
+
+  save() {
+    if (!this._readOnly) this._write(this.data);
+  }
+
+  _write(data) {
+    try { localStorage.setItem(SAVE.STORAGE_KEY, JSON.stringify(data)); } catch (_) { /* noop */ }
+  }
+
+  /**
+   * Fold a finished run into the profile and persist it. Runs that don't
+   * `countsForBests` (Daily Blitz) add to the lifetime totals only.
+   * @returns {{ newBestScore: boolean, newBestCombo: boolean }}
+   */
+  recordRun({ score, bestCombo, housesHit, thrown, panicCollected, distance, countsForBests = true }) {
+    const d = this.data;
+    const result = {
+      newBestScore: countsForBests && score > d.bestScore,
+      newBestCombo: countsForBests && bestCombo > d.bestCombo,
+    };
+    if (countsForBests) {
+      d.bestScore = Math.max(d.bestScore, score);
+      d.bestCombo = Math.max(d.bestCombo, bestCombo);
+    }
+    d.totalHousesHit += housesHit;
+    d.totalThrown += thrown;
+    d.totalPanicCollected += panicCollected;
+    d.totalDistance += Math.round(distance);
+    d.runsPlayed++;
+    this.save();
+    this.lastRun = result;
+    return result;
+  }
+
+  /** Today's Daily Blitz best (0 when the stored one is from another day) */
+  dailyBest(date) {
+    return this.data.daily.date === date ? this.data.daily.best : 0;
+  }
+
+  /**
+   * Keep the best Daily Blitz score of `date`; an older day's is replaced.
+   * @returns {boolean} whether this is a new best for the day
+   */
+  recordDaily(date, score) {
+    const isBest = score > this.dailyBest(date);
+    if (isBest) {
+      this.data.daily = { date, best: score };
+      this.save();
+    }
+    if (this.lastRun) this.lastRun.newDailyBest = isBest;
+    return isBest;
+  }
+
+  setMuted(muted) {
+    this.data.muted = muted;
+    this.save();
+  }
+
+  setDifficulty(difficulty) {
+    this.data.difficulty = difficulty;
+    this.save();
+  }
+
+  setAdaptive(adaptive) {
+    this.data.adaptive = adaptive;
+    this.save();
+  }
+}
+
+export const saveProfile = new SaveProfile();
@@ -0,0 +1,75 @@
+import { SPATIAL } from './Constants.js';
+
+/**
+ * Buckets entities (anything with mesh.position) into SPATIAL.CELL_SIZE
+ * cells along world Z -- the street is narrow, so Z is what spreads them
+ * out. Range queries then visit only the cells they overlap. Owners insert
+ * on spawn, remove on despawn and update() anything that moves along Z.
+ */
+export class SpatialHash {
+  constructor(cellSize = SPATIAL.CELL_SIZE) {
+    this.cellSize = cellSize;
+    this._cells = new Map(); // cell key -> entities
+    this._keys = new Map();  // entity -> cell key
+  }
+
+  _key(z) {
+    return Math.floor(z / this.cellSize);
+  }
+
+  insert(entity) {
+    const key = this._key(entity.mesh.position.z);
+    this._keys.set(entity, key);
+    let cell = this._cells.get(key);
+    if (!cell) {
+      cell = [];
+      this._cells.set(key, cell);
+    }
+    cell.push(entity);
+  }
+
+  remove(entity) {
+    const key = this._keys.get(entity);
+    if (key === undefined) return;
+    this._keys.delete(entity);
+    const cell = this._cells.get(key);
+    cell.splice(cell.indexOf(entity), 1);
+    if (cell.length === 0) this._cells.delete(key);
+  }
+
+  /** Re-bucket an entity after it moved */
+  update(entity) {
+    if (this._key(entity.mesh.position.z) !== this._keys.get(entity)) {
+      this.remove(entity);
+      this.insert(entity);
+    }
+  }
+
+  /**
+   * Entities strictly within `range` of z along Z, optionally filtered.
+   * Ordered by cell (increasing Z), then insertion.
+   * @param {(entity: object) => boolean} [accept]
+   * @returns {object[]}
+   */
+  query(z, range, accept) {
+    const found = [];
+    const last = this._key(z + range);
+    for (let key = this._key(z - range); key <= last; key++) {
+      const cell = this._cells.get(key);
+      if (!cell) continue;
+      for (const entity of cell) {
+        if (Math.abs(entity.mesh.position.z - z) < range && (!accept || accept(entity))) found.push(entity);
+      }
+    }
+    return found;
+  }
+
+  clear() {
+    this._cells.clear();
+    this._keys.clear();
+  }
+
+  get size() {
+    return this._keys.size;
+  }
+}
@@ -1,27 +1,46 @@
 import * as THREE from 'three';
 import { AGENT } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { ObjectPool } from '../core/ObjectPool.js';
 import { loadModel } from '../level/AssetLoader.js';
 
-// Shared model cache — load once, clone for each spawn
+// Shared model cache — load once, clone for each pooled agent
 let _modelTemplate = null;
 let _modelLoadFailed = false;
 
-// Preload on import
-loadModel(AGENT.MODEL_PATH)
+// Preload on import; settles once agents would build from the GLB (or fall back)
+export const agentModelReady = loadModel(AGENT.MODEL_PATH)
   .then((m) => { _modelTemplate = m; })
   .catch(() => { _modelLoadFailed = true; });
 
+const _noThrows = Object.freeze([]);
+
+// Shared by every sign dropped in the street -- never disposed
+const _droppedSignGeo = new THREE.BoxGeometry(AGENT.SIGN_WIDTH, AGENT.SIGN_HEIGHT, AGENT.SIGN_DEPTH);
+const _droppedSignMat = new THREE.MeshLambertMaterial({ color: AGENT.COLOR_SIGN });
+
+/**
+ * Basic "walker" agent: strolls straight toward the player. Archetypes
+ * (ChaserAgent, BlockerAgent, SignThrowerAgent, OpenHouseAgent) extend it by
+ * overriding _updateBehaviour() and the telegraph hooks.
+ *
+ * Agents are pooled per type: the constructor builds the body once and
+ * reset(...) readies it for each spawn (walkerPool.acquire(x, z) etc.).
+ */
 export class Agent {
-  constructor(x, z) {
-    this.alive = true;
-    this.hasCollided = false;
+  constructor() {
+    this.type = 'walker';
+    this.droppedSign = null;
+    this._knockVelocity = new THREE.Vector3();
 
-    // Container
+    // Container -- `rig` holds the body so telegraphs can lean/scale it
+    // independently of the stun / knockout motion on `mesh`
     this.mesh = new THREE.Group();
-    this.mesh.position.set(x, 0, z);
+    this.rig = new THREE.Group();
+    this.mesh.add(this.rig);
 
-    // Walking animation state
-    this._walkTime = Math.random() * Math.PI * 2;
+    this._marker = null;
+    this._stars = null;
 
     // Try GLB model, fall back to primitives
     if (_modelTemplate && !_modelLoadFailed) {
@@ -34,15 +53,41 @@ export class Agent {
           child.castShadow = true;
         }
       });
-      this.mesh.add(clone);
+      this.rig.add(clone);
       this._modelNode = clone;
       this.bodyMesh = null;
       this.sign = null;
+      this._ownSign = null;
     } else {
+      this._modelNode = null;
       this._buildPrimitive();
     }
   }
 
+  reset(x, z) {
+    this.speed = AGENT.SPEED;
+    this.alive = true;
+    this.hasCollided = false;
+    this.knockedOut = false;
+    this._knockTimer = 0;
+    this._stunTimer = 0;
+    this._knockVelocity.set(0, 0, 0);
+    this.mesh.position.set(x, 0, z);
+    this.mesh.rotation.set(0, 0, 0);
+
+    // Walking animation state
+    this._walkTime = Math.random() * Math.PI * 2;
+
+    // Telegraph (wind-up before an archetype's special move)
+    this._telegraphDuration = 0;
+    this._cancelTelegraph();
+    this.quietTelegraph = false; // group followers skip AGENT_TELEGRAPH
+    if (this._stars) this._stars.visible = false;
+
+    this.hasSign = true;
+    this._restoreSign();
+  }
+
   _buildPrimitive() {
     // Body (dark suit)
     const bodyGeo = new THREE.BoxGeometry(AGENT.BODY_WIDTH, AGENT.BODY_HEIGHT, AGENT.BODY_DEPTH);
@@ -50,45 +95,105 @@ export class Agent {
     this.bodyMesh = new THREE.Mesh(bodyGeo, bodyMat);
     this.bodyMesh.position.y = AGENT.BODY_HEIGHT / 2 + 0.1;
     this.bodyMesh.castShadow = true;
-    this.mesh.add(this.bodyMesh);
+    this.rig.add(this.bodyMesh);
 
     // Head
     const headGeo = new THREE.SphereGeometry(AGENT.HEAD_RADIUS, 8, 6);
     const headMat = new THREE.MeshLambertMaterial({ color: AGENT.COLOR_HEAD });
     const headMesh = new THREE.Mesh(headGeo, headMat);
     headMesh.position.y = AGENT.BODY_HEIGHT + AGENT.HEAD_RADIUS + 0.15;
-    this.mesh.add(headMesh);
+    this.rig.add(headMesh);
 
     // FOR SALE sign
     const signGeo = new THREE.BoxGeometry(AGENT.SIGN_WIDTH, AGENT.SIGN_HEIGHT, AGENT.SIGN_DEPTH);
     const signMat = new THREE.MeshLambertMaterial({ color: AGENT.COLOR_SIGN });
     this.sign = new THREE.Mesh(signGeo, signMat);
-    this.sign.position.set(
-      AGENT.BODY_WIDTH / 2 + AGENT.SIGN_WIDTH / 2 + 0.1,
-      AGENT.BODY_HEIGHT * 0.6,
-      0
-    );
-    this.mesh.add(this.sign);
+    this._ownSign = this.sign;
+    this.rig.add(this.sign);
 
     // Sign post
     const postGeo = new THREE.BoxGeometry(0.04, 0.8, 0.04);
     const postMat = new THREE.MeshLambertMaterial({ color: 0x888888 });
-    const post = new THREE.Mesh(postGeo, postMat);
-    post.position.set(
+    this._post = new THREE.Mesh(postGeo, postMat);
+    this._post.position.set(
       AGENT.BODY_WIDTH / 2 + AGENT.SIGN_WIDTH / 2 + 0.1,
       AGENT.BODY_HEIGHT * 0.6 - AGENT.SIGN_HEIGHT / 2 - 0.4,
       0
     );
-    this.mesh.add(post);
+    this.rig.add(this._post);
   }
 
-  update(delta, playerZ) {
+  /** Primitive agents: put the sign (dropped or thrown last life) back in hand */
+  _restoreSign() {
+    const sign = this._ownSign;
+    if (!sign) return;
+    this.sign = sign;
+    this.rig.add(sign, this._post);
+    sign.position.set(
+      AGENT.BODY_WIDTH / 2 + AGENT.SIGN_WIDTH / 2 + 0.1,
+      AGENT.BODY_HEIGHT * 0.6,
+      0
+    );
+    sign.rotation.set(0, 0, 0);
+  }
+
+  /** Recolor the suit so archetypes read at a glance */
+  _tint(color) {
+    const c = new THREE.Color(color);
+    if (this.bodyMesh) {
+      this.bodyMesh.material.color.copy(c);
+    } else if (this._modelNode) {
+      this._modelNode.traverse((child) => {
+        if (child.isMesh && child.material.color) child.material.color.lerp(c, 0.5);
+      });
+    }
+  }
+
+  /**
+   * @param {number} delta
+   * @param {number} playerZ
+   * @param {number} [playerX=0] - archetypes that react to the player's lane use this
+   */
+  update(delta, playerZ, playerX = 0) {
     if (!this.alive) return;
 
-    // Walk toward the player (positive Z direction, since player runs -Z)
-    this.mesh.position.z += AGENT.SPEED * delta;
+    if (this.knockedOut) {
+      this._updateKnockout(delta);
+      return;
+    }
+    if (this._stunTimer > 0) {
+      this._updateStun(delta);
+      return;
+    }
+
+    this._updateBehaviour(delta, playerZ, playerX);
+
+    if (this._telegraphTimer > 0) {
+      this._telegraphTimer -= delta;
+      const t = Math.min(1, 1 - this._telegraphTimer / this._telegraphDuration);
+      this._marker.position.y = this._markerBaseY + Math.abs(Math.sin(t * Math.PI * 4)) * 0.1;
+      this._animateTelegraph(t, delta);
+      if (this._telegraphTimer <= 0) {
+        this._telegraphTimer = 0;
+        this._marker.visible = false;
+        this._onTelegraphEnd();
+      }
+    } else {
+      this._animateWalk(delta);
+    }
+
+    // Clean up if passed well behind the player
+    if (this.mesh.position.z > playerZ + 10) {
+      this.alive = false;
+    }
+  }
+
+  /** Default behaviour: walk toward the player (positive Z, since player runs -Z) */
+  _updateBehaviour(delta) {
+    this.mesh.position.z += this.speed * delta;
+  }
 
-    // Walking animation
+  _animateWalk(delta) {
     this._walkTime += delta * 8;
 
     if (this._modelNode) {
@@ -101,22 +206,183 @@ export class Agent {
       if (this.bodyMesh) this.bodyMesh.rotation.z = Math.sin(this._walkTime) * 0.05;
       if (this.sign) this.sign.rotation.z = Math.sin(this._walkTime * 0.7) * 0.1;
     }
+  }
 
-    // Clean up if passed well behind the player
-    if (this.mesh.position.z > playerZ + 10) {
-      this.alive = false;
+  /** Start the archetype's wind-up: "!" marker plus _animateTelegraph() */
+  startTelegraph(duration) {
+    if (!this._marker) {
+      this._marker = new THREE.Group();
+      const mat = new THREE.MeshBasicMaterial({ color: AGENT.TELEGRAPH_COLOR });
+      const bar = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.28, 0.08), mat);
+      bar.position.y = 0.2;
+      const dot = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.08, 0.08), mat);
+      this._marker.add(bar, dot);
+      this._markerBaseY = AGENT.BODY_HEIGHT + AGENT.HEAD_RADIUS * 2 + 0.4;
+      this.mesh.add(this._marker);
     }
+    this._marker.visible = true;
+    this._telegraphDuration = duration;
+    this._telegraphTimer = duration;
+    if (this.quietTelegraph) return;
+    eventBus.emit(Events.AGENT_TELEGRAPH, {
+      type: this.type,
+      x: this.mesh.position.x,
+      z: this.mesh.position.z,
+    });
+  }
+
+  get isTelegraphing() {
+    return this._telegraphTimer > 0;
+  }
+
+  _cancelTelegraph() {
+    this._telegraphTimer = 0;
+    if (this._marker) this._marker.visible = false;
+    this.rig.rotation.set(0, 0, 0);
+    this.rig.scale.set(1, 1, 1);
+    this.rig.position.y = 0;
+  }
+
+  /** Archetype hook: pose for telegraph progress t (0..1) */
+  _animateTelegraph(_t, _delta) {}
+
+  /** Archetype hook: the wind-up finished -- perform the move */
+  _onTelegraphEnd() {}
+
+  /**
+   * Sign projectiles launched since the last call (SignThrowerAgent).
+   * @returns {Array<{ x: number, z: number, targetX: number, targetZ: number }>}
+   */
+  consumeThrows() {
+    return _noThrows;
+  }
+
+  get isStunned() {
+    return this._stunTimer > 0;
+  }
+
+  /**
+   * Stagger back, drop the FOR SALE sign and stand dazed (harmless) for
+   * AGENT.STUN_DURATION, then resume walking without the sign.
+   */
+  stun() {
+    if (this.knockedOut) return;
+    this._stunTimer = AGENT.STUN_DURATION;
+    this._cancelTelegraph();
+    this._dropSign();
+
+    if (!this._stars) {
+      // Dizzy stars circling the head
+      this._stars = new THREE.Group();
+      const starGeo = new THREE.OctahedronGeometry(0.07);
+      const starMat = new THREE.MeshBasicMaterial({ color: 0xffee44 });
+      for (let i = 0; i < 3; i++) {
+        const star = new THREE.Mesh(starGeo, starMat);
+        const a = (i / 3) * Math.PI * 2;
+        star.position.set(Math.cos(a) * 0.3, 0, Math.sin(a) * 0.3);
+        this._stars.add(star);
+      }
+      this._stars.position.y = AGENT.BODY_HEIGHT + AGENT.HEAD_RADIUS * 2 + 0.35;
+      this.mesh.add(this._stars);
+    }
+    this._stars.visible = true;
+  }
+
+  _updateStun(delta) {
+    this._stunTimer -= delta;
+    const elapsed = AGENT.STUN_DURATION - this._stunTimer;
+
+    if (elapsed < AGENT.STAGGER_DURATION) {
+      // Stagger: stumble backward (away from the player) with a big wobble
+      this.mesh.position.z -= AGENT.SPEED * 0.5 * delta;
+      this.mesh.rotation.z = Math.sin(elapsed * 40) * 0.3 * (1 - elapsed / AGENT.STAGGER_DURATION);
+    } else {
+      // Dazed sway
+      this.mesh.rotation.z = Math.sin(elapsed * 6) * 0.08;
+    }
+    this.mesh.position.y = 0;
+    this._stars.rotation.y += 6 * delta;
+
+    if (this._stunTimer <= 0) {
+      this._stunTimer = 0;
+      this.mesh.rotation.z = 0;
+      this._stars.visible = false;
+    }
+  }
+
+  /** Leave the FOR SALE sign lying in the street where the agent was hit */
+  _dropSign() {
+    if (!this.hasSign || !this.mesh.parent) return;
+    this.hasSign = false;
+
+    if (this.sign) {
+      // Primitive agent: its own sign (and post) come off -- reset() re-attaches them
+      this.rig.remove(this.sign, this._post);
+      this.sign = null;
+    }
+    // What lies in the street is a loose copy, so it can outlive the pooled agent
+    const sign = new THREE.Mesh(_droppedSignGeo, _droppedSignMat);
+
+    sign.rotation.set(-Math.PI / 2, 0, Math.random() * Math.PI);
+    sign.position.set(
+      this.mesh.position.x + AGENT.BODY_WIDTH / 2 + AGENT.SIGN_WIDTH / 2,
+      AGENT.SIGN_DEPTH / 2 + 0.02,
+      this.mesh.position.z
+    );
+    this.mesh.parent.add(sign);
+    this.droppedSign = sign;
+  }
+
+  /**
+   * Knock the agent out of the street: it stops being a hazard, tumbles
+   * along `direction` and is removed after AGENT.KNOCKOUT_DURATION.
+   * @param {THREE.Vector3} direction - XZ push direction
+   */
+  knockOver(direction) {
+    if (this.knockedOut) return;
+    this.knockedOut = true;
+    this.hasCollided = true;
+    this._stunTimer = 0;
+    if (this._stars) this._stars.visible = false;
+    this._cancelTelegraph();
+    this._dropSign();
+    this._knockTimer = AGENT.KNOCKOUT_DURATION;
+    this._knockVelocity.set(direction.x, 0, direction.z).normalize().multiplyScalar(AGENT.KNOCKBACK_SPEED);
+  }
+
+  _updateKnockout(delta) {
+    this._knockTimer -= delta;
+    this.mesh.position.addScaledVector(this._knockVelocity, delta);
+    this._knockVelocity.multiplyScalar(Math.max(0, 1 - 3 * delta));
+
+    // Fall flat over the first third of the tumble
+    const t = Math.min(1, (AGENT.KNOCKOUT_DURATION - this._knockTimer) / (AGENT.KNOCKOUT_DURATION / 3));
+    this.mesh.rotation.x = -(Math.PI / 2) * t;
+    this.mesh.position.y = Math.sin(t * Math.PI) * 0.5;
+
+    if (this._knockTimer <= 0) this.alive = false;
   }
 
   checkPlayer(playerPos) {
-    if (!this.alive || this.hasCollided) return false;
+    if (!this.alive || this.hasCollided || this.isStunned) return false;
     const dx = this.mesh.position.x - playerPos.x;
     const dz = this.mesh.position.z - playerPos.z;
     const dist = Math.sqrt(dx * dx + dz * dz);
     return dist < AGENT.COLLISION_RADIUS;
   }
 
-  dispose(scene) {
+  /** Back to the pool: clear the street of the agent and any sign it dropped */
+  release() {
+    if (this.droppedSign) {
+      this.droppedSign.removeFromParent();
+      this.droppedSign = null;
+    }
+    this.mesh.removeFromParent();
+    this.mesh.userData.prevPos = null;
+  }
+
+  dispose() {
+    this._restoreSign(); // a primitive's sign may be off the rig
     this.mesh.traverse((child) => {
       if (child.isMesh) {
         child.geometry.dispose();
@@ -124,6 +390,7 @@ export class Agent {
         else child.material.dispose();
       }
     });
-    scene.remove(this.mesh);
   }
 }
+
+export const walkerPool = new ObjectPool('walker', () => new Agent());
@@ -0,0 +1,52 @@
+import { AGENT_TYPES } from '../core/Constants.js';
+import { ObjectPool } from '../core/ObjectPool.js';
+import { Agent } from './Agent.js';
+
+const CFG = AGENT_TYPES.blocker;
+
+/**
+ * Lane blocker: spawned in pairs either side of a lane's center. When the
+ * player gets close they spread their arms (telegraph) and shuffle together
+ * until the pair walls off the whole lane.
+ */
+export class BlockerAgent extends Agent {
+  constructor() {
+    super();
+    this.type = 'blocker';
+    this._tint(CFG.TINT);
+  }
+
+  /**
+   * @param {number} laneX - center of the lane the pair blocks
+   * @param {number} z
+   * @param {-1|1} side - which half of the lane this partner covers
+   */
+  reset(laneX, z, side) {
+    super.reset(laneX + side * CFG.SPREAD_START, z);
+    this.speed = CFG.SPEED;
+    this._fromX = this.mesh.position.x;
+    this._blockX = laneX + side * CFG.GAP / 2;
+    this._alerted = false;
+  }
+
+  _updateBehaviour(delta, playerZ) {
+    this.mesh.position.z += this.speed * delta;
+    if (!this._alerted && playerZ - this.mesh.position.z < CFG.TELEGRAPH_DISTANCE) {
+      this._alerted = true;
+      this.startTelegraph(CFG.TELEGRAPH);
+    }
+  }
+
+  _animateTelegraph(t) {
+    this.mesh.position.x = this._fromX + (this._blockX - this._fromX) * t;
+    this.rig.scale.x = 1 + 0.5 * t; // arms out
+    this.rig.rotation.z = Math.sin(t * Math.PI * 6) * 0.06;
+  }
+
+  _onTelegraphEnd() {
+    this.mesh.position.x = this._blockX;
+    this.rig.rotation.z = 0;
+  }
+}
+
+export const blockerPool = new ObjectPool('blocker', () => new BlockerAgent());
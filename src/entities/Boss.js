@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+import { BOSS, STREET } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { rng } from '../core/Random.js';
+
+const LANES = [STREET.LANE_LEFT, STREET.LANE_CENTER, STREET.LANE_RIGHT];
+
+/**
+ * Boss base: rides LEAD units ahead of the player, strafes between lanes and
+ * runs a telegraphed attack every ATTACK_INTERVAL. Subclasses (MegaBroker,
+ * HoaGolfCart) build the mesh and implement _performAttack(); attacks are
+ * queued for BossSystem via consumeAttacks(), which spawns them through
+ * StreetGenerator.
+ *
+ * States: 'approach' -> 'fight' -> 'defeated' | 'escaping'
+ */
+export class Boss {
+  /**
+   * @param {string} type - key into BOSS.TYPES
+   * @param {number} playerZ
+   * @param {number} encounter - 0 for the first boss of the run
+   */
+  constructor(type, playerZ, encounter) {
+    this.type = type;
+    this.config = BOSS.TYPES[type];
+    this.maxHealth = this.config.HEALTH + encounter * BOSS.HEALTH_STEP;
+    this.health = this.maxHealth;
+    this.state = 'approach';
+    this.alive = true;
+    this.lead = BOSS.SPAWN_AHEAD;
+    this.fightTime = 0;
+
+    this._targetX = 0;
+    this._strafeTimer = this.config.STRAFE_INTERVAL;
+    this._attackTimer = this.config.ATTACK_INTERVAL;
+    this._telegraphTimer = 0;
+    this._pendingAttack = null;
+    this._flinchTimer = 0;
+    this._stateTimer = 0;
+    this._contactTimer = 0;
+    this._attacks = [];
+
+    this.mesh = new THREE.Group();
+    this.mesh.position.set(0, 0, playerZ - this.lead);
+    // `rig` takes telegraph / flinch poses; `mesh` follows the player
+    this.rig = new THREE.Group();
+    this.mesh.add(this.rig);
+  }
+
+  get isVulnerable() {
+    return this.state === 'approach' || this.state === 'fight';
+  }
+
+  get isTelegraphing() {
+    return this._telegraphTimer > 0;
+  }
+
+  update(delta, playerZ, playerX) {
+    if (!this.alive) return;
+
+    switch (this.state) {
+      case 'approach':
+        this.lead = Math.max(BOSS.LEAD, this.lead - BOSS.APPROACH_SPEED * delta);
+        if (this.lead === BOSS.LEAD) this.state = 'fight';
+        break;
+      case 'fight':
+        this.fightTime += delta;
+        this._updateStrafe(delta);
+        this._updateAttack(delta, playerX);
+        break;
+      case 'defeated':
+        this._stateTimer += delta;
+        this.lead += BOSS.DEFEAT_DRIFT * delta;
+        this._animateDefeat(Math.min(1, this._stateTimer / BOSS.DEFEAT_DURATION));
+        if (this._stateTimer >= BOSS.DEFEAT_DURATION) this.alive = false;
+        break;
+      case 'escaping':
+        this.lead += BOSS.ESCAPE_SPEED * delta;
+        if (this.lead > BOSS.DESPAWN_AHEAD) this.alive = false;
+        break;
+    }
+
+    if (this._contactTimer > 0) this._contactTimer -= delta;
+    if (this._flinchTimer > 0) {
+      this._flinchTimer -= delta;
+      this.rig.position.z = -Math.max(0, this._flinchTimer) / BOSS.FLINCH_DURATION * BOSS.FLINCH_DISTANCE;
+    }
+
+    this.mesh.position.z = playerZ - this.lead;
+    this._animate(delta);
+  }
+
+  /** Drift toward a new random lane every STRAFE_INTERVAL (not while winding up) */
+  _updateStrafe(delta) {
+    if (!this.isTelegraphing) {
+      this._strafeTimer -= delta;
+      if (this._strafeTimer <= 0) {
+        this._strafeTimer = this.config.STRAFE_INTERVAL;
+        this._targetX = rng.pick(LANES);
+      }
+    }
+    const dx = this._targetX - this.mesh.position.x;
+    const step = this.config.STRAFE_SPEED * delta;
+    this.mesh.position.x += Math.max(-step, Math.min(step, dx));
+  }
+
+  _updateAttack(delta, playerX) {
+    if (this._telegraphTimer > 0) {
+      this._telegraphTimer -= delta;
+      this._animateTelegraph(1 - Math.max(0, this._telegraphTimer) / this.config.TELEGRAPH);
+      if (this._telegraphTimer <= 0) {
+        this._telegraphTimer = 0;
+        this._endTelegraphPose();
+        this._attackTimer = this.config.ATTACK_INTERVAL;
+        this._performAttack(this._pendingAttack, playerX);
+      }
+      return;
+    }
+
+    this._attackTimer -= delta;
+    if (this._attackTimer <= 0) {
+      this._pendingAttack = rng.pick(this.config.ATTACKS);
+      this._telegraphTimer = this.config.TELEGRAPH;
+      this._onTelegraphStart(this._pendingAttack, playerX);
+      eventBus.emit(Events.BOSS_ATTACK, {
+        type: this.type,
+        attack: this._pendingAttack,
+        x: this.mesh.position.x,
+        z: this.mesh.position.z,
+      });
+    }
+  }
+
+  /** Two of the three lanes, leaving a random one open */
+  _lanesWithGap() {
+    const gap = rng.int(LANES.length);
+    return LANES.filter((_, i) => i !== gap);
+  }
+
+  /** Queue something for BossSystem to spawn */
+  _queueAttack(attack) {
+    this._attacks.push(attack);
+  }
+
+  /**
+   * Spawns queued since the last call.
+   * @returns {Array<{ kind: 'sign'|'agent'|'obstacle', x: number, z: number, targetX?: number, type?: string }>}
+   */
+  consumeAttacks() {
+    if (this._attacks.length === 0) return this._attacks;
+    const attacks = this._attacks;
+    this._attacks = [];
+    return attacks;
+  }
+
+  /** @returns {boolean} whether this hit finished the boss */
+  takeHit(damage) {
+    if (!this.isVulnerable) return false;
+    this.health = Math.max(0, this.health - damage);
+    this._flinchTimer = BOSS.FLINCH_DURATION;
+    if (this.health > 0) return false;
+
+    this.state = 'defeated';
+    this._stateTimer = 0;
+    this._telegraphTimer = 0;
+    this._endTelegraphPose();
+    return true;
+  }
+
+  /** Give up the fight and pull away (time limit ran out) */
+  escape() {
+    if (!this.isVulnerable) return;
+    this.state = 'escaping';
+    this._telegraphTimer = 0;
+    this._endTelegraphPose();
+  }
+
+  /** Envelope proximity (XZ plane, below BOSS.HIT_HEIGHT) */
+  checkEnvelope(envelope) {
+    if (!this.isVulnerable || !envelope.alive) return false;
+    const pos = envelope.mesh.position;
+    if (pos.y > BOSS.HIT_HEIGHT) return false;
+    const dx = pos.x - this.mesh.position.x;
+    const dz = pos.z - this.mesh.position.z;
+    return dx * dx + dz * dz < this.config.HIT_RADIUS * this.config.HIT_RADIUS;
+  }
+
+  /** Body contact with the player; each bump counts once (CONTACT_COOLDOWN) */
+  checkPlayer(playerPos) {
+    if (this.state !== 'fight' || this._contactTimer > 0) return false;
+    const dx = playerPos.x - this.mesh.position.x;
+    const dz = playerPos.z - this.mesh.position.z;
+    if (dx * dx + dz * dz >= this.config.COLLISION_RADIUS * this.config.COLLISION_RADIUS) return false;
+    this._contactTimer = BOSS.CONTACT_COOLDOWN;
+    return true;
+  }
+
+  // --- Subclass hooks ---
+
+  /** Idle animation, every tick */
+  _animate(_delta) {}
+
+  /** Attack chosen -- set up anything the wind-up needs */
+  _onTelegraphStart(_attack, _playerX) {}
+
+  /** Wind-up pose for progress t (0..1) */
+  _animateTelegraph(_t) {}
+
+  _endTelegraphPose() {
+    this.rig.rotation.set(0, 0, 0);
+    this.rig.position.y = 0;
+  }
+
+  _performAttack(_attack, _playerX) {}
+
+  /** Defeat animation for progress t (0..1) */
+  _animateDefeat(t) {
+    this.rig.rotation.x = -(Math.PI / 2) * Math.min(1, t * 2);
+  }
+
+  dispose(scene) {
+    this.mesh.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+    scene.remove(this.mesh);
+  }
+}
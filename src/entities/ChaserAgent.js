@@ -0,0 +1,58 @@
+import { AGENT_TYPES, STREET } from '../core/Constants.js';
+import { ObjectPool } from '../core/ObjectPool.js';
+import { Agent } from './Agent.js';
+
+const CFG = AGENT_TYPES.chaser;
+
+/**
+ * Chaser: jogs toward the player and, once close, leans in (telegraph) and
+ * steers onto the player's X. It stops steering inside LOCK_DISTANCE so a
+ * late lane change still gets past.
+ */
+export class ChaserAgent extends Agent {
+  constructor() {
+    super();
+    this.type = 'chaser';
+    this._tint(CFG.TINT);
+  }
+
+  reset(x, z) {
+    super.reset(x, z);
+    this.speed = CFG.SPEED;
+    this._alerted = false;
+    this._homing = false;
+  }
+
+  _updateBehaviour(delta, playerZ, playerX) {
+    const gap = playerZ - this.mesh.position.z;
+    if (!this._alerted && gap < CFG.HOME_RANGE) {
+      this._alerted = true;
+      this.startTelegraph(CFG.TELEGRAPH);
+    }
+    // Plant feet during the wind-up
+    if (this.isTelegraphing) return;
+
+    this.mesh.position.z += this.speed * delta;
+
+    if (this._homing && gap > CFG.LOCK_DISTANCE) {
+      const step = CFG.LATERAL_SPEED * delta;
+      const dx = Math.max(-step, Math.min(step, playerX - this.mesh.position.x));
+      this.mesh.position.x = Math.max(STREET.LANE_MIN,
+        Math.min(STREET.LANE_MAX, this.mesh.position.x + dx));
+    }
+  }
+
+  _animateTelegraph(t) {
+    // Crouch and lean toward the player, like a sprinter in the blocks
+    this.rig.rotation.x = 0.45 * Math.sin(t * Math.PI / 2);
+    this.rig.position.y = -0.1 * Math.sin(t * Math.PI);
+  }
+
+  _onTelegraphEnd() {
+    this.rig.position.y = 0;
+    this.rig.rotation.x = 0.2; // keep running hunched forward
+    this._homing = true;
+  }
+}
+
+export const chaserPool = new ObjectPool('chaser', () => new ChaserAgent());
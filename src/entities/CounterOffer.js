@@ -0,0 +1,70 @@
+import * as THREE from 'three';
+import { ENVELOPE, HOMEOWNER_BEHAVIOURS, COUNTER_OFFER } from '../core/Constants.js';
+
+const CFG = HOMEOWNER_BEHAVIOURS.counterOffer;
+const _paperGeo = new THREE.BoxGeometry(
+  ENVELOPE.WIDTH * COUNTER_OFFER.SCALE, ENVELOPE.DEPTH * COUNTER_OFFER.SCALE, ENVELOPE.HEIGHT * COUNTER_OFFER.SCALE);
+const _paperMat = new THREE.MeshLambertMaterial({ color: CFG.ENVELOPE_COLOR });
+const _stampGeo = new THREE.BoxGeometry(0.14, 0.14, 0.05);
+const _stampMat = new THREE.MeshLambertMaterial({ color: CFG.STAMP_COLOR });
+
+/**
+ * Envelope thrown back by a counter-offer homeowner. Flies toward the
+ * player at chest height, drifting onto the lane the player was in.
+ */
+export class CounterOffer {
+  /**
+   * @param {number} x - thrower position
+   * @param {number} z
+   * @param {number} targetX - player X when thrown
+   */
+  constructor(x, z, targetX) {
+    this.mesh = new THREE.Group();
+    const stamp = new THREE.Mesh(_stampGeo, _stampMat);
+    stamp.position.set(0.12, 0.06, 0);
+    this.mesh.add(new THREE.Mesh(_paperGeo, _paperMat), stamp);
+    this.mesh.position.set(x, COUNTER_OFFER.HEIGHT, z);
+    this.targetX = targetX;
+    this.alive = true;
+    this.hasCollided = false;
+    this.distanceTraveled = 0;
+  }
+
+  update(delta, playerZ) {
+    if (!this.alive) return;
+
+    const move = COUNTER_OFFER.SPEED * delta;
+    this.mesh.position.z += move;
+    this.distanceTraveled += move;
+
+    // Drift onto the target lane
+    const dx = this.targetX - this.mesh.position.x;
+    const step = move * 0.6;
+    this.mesh.position.x += Math.max(-step, Math.min(step, dx));
+
+    this.mesh.rotation.y += COUNTER_OFFER.SPIN_SPEED * delta;
+
+    if (this.hasCollided ||
+        this.distanceTraveled > COUNTER_OFFER.MAX_DISTANCE ||
+        this.mesh.position.z > playerZ + 10) {
+      this.alive = false;
+    }
+  }
+
+  /**
+   * @param {THREE.Vector3} playerPos
+   * @param {{ bottom: number, top: number }} extent - player's vertical extent
+   */
+  checkPlayer(playerPos, extent) {
+    if (!this.alive || this.hasCollided) return false;
+    const dx = this.mesh.position.x - playerPos.x;
+    const dz = this.mesh.position.z - playerPos.z;
+    if (dx * dx + dz * dz > COUNTER_OFFER.RADIUS * COUNTER_OFFER.RADIUS) return false;
+    return extent.bottom < COUNTER_OFFER.HEIGHT + COUNTER_OFFER.HALF_HEIGHT &&
+      extent.top > COUNTER_OFFER.HEIGHT - COUNTER_OFFER.HALF_HEIGHT;
+  }
+
+  dispose(scene) {
+    scene.remove(this.mesh);
+  }
+}
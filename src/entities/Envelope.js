@@ -1,29 +1,54 @@
 import * as THREE from 'three';
-import { ENVELOPE } from '../core/Constants.js';
+import { ENVELOPE, ENVELOPE_TYPES } from '../core/Constants.js';
+import { ObjectPool } from '../core/ObjectPool.js';
 
 const _envelopeGeo = new THREE.BoxGeometry(ENVELOPE.WIDTH, ENVELOPE.HEIGHT, ENVELOPE.DEPTH);
 const _envelopeMat = new THREE.MeshLambertMaterial({ color: ENVELOPE.COLOR });
 
+/** Envelopes come from envelopePool.acquire(startPos, direction, targetPos, type) */
 export class Envelope {
+  constructor() {
+    this.mesh = new THREE.Mesh(_envelopeGeo, _envelopeMat.clone());
+    this.direction = new THREE.Vector3();
+    this.startPos = new THREE.Vector3();
+    this._target = new THREE.Vector3();
+    this.hitAgents = new Set(); // agents already plowed through (cashier's check)
+  }
+
   /**
    * @param {THREE.Vector3} startPos - Player position at throw time
    * @param {THREE.Vector3} direction - Normalized flight direction (XZ plane)
    * @param {THREE.Vector3|null} targetPos - Optional house position to aim at
+   * @param {string} [type='standard'] - key into ENVELOPE_TYPES
    */
-  constructor(startPos, direction, targetPos) {
-    this.mesh = new THREE.Mesh(_envelopeGeo, _envelopeMat.clone());
+  reset(startPos, direction, targetPos, type = 'standard') {
+    this.type = type;
+    this.config = ENVELOPE_TYPES[type];
+
+    this.mesh.material.color.setHex(this.config.COLOR);
+    this.mesh.scale.setScalar(this.config.SCALE);
+    this.mesh.rotation.set(0, 0, 0);
     this.mesh.position.copy(startPos);
     this.mesh.position.y += 1; // launch from player chest height
 
-    this.direction = direction.clone().normalize();
-    this.startPos = startPos.clone();
-    this.startPos.y += 1;
     this.alive = true;
     this.distanceTraveled = 0;
+    this.bouncesLeft = this.config.BOUNCES || 0;
+    this.hitAgents.clear();
+    this.carrySpeed = 0; // runner's momentum along -Z (boss throws); not counted toward MAX_DISTANCE
+
+    this._aim(this.mesh.position, direction, targetPos);
+  }
+
+  /** (Re)start flight from fromPos along direction, lobbing toward targetPos if the type arcs */
+  _aim(fromPos, direction, targetPos) {
+    this.direction.copy(direction).normalize();
+    this.startPos.copy(fromPos);
+    this._legStart = this.distanceTraveled;
 
     // Arc parameters for targeted throws
-    this.targetPos = targetPos ? targetPos.clone() : null;
-    if (this.targetPos) {
+    this.targetPos = targetPos ? this._target.copy(targetPos) : null;
+    if (this.targetPos && this.config.ARC) {
       // Compute total flight distance for arc timing
       const dx = this.targetPos.x - this.startPos.x;
       const dz = this.targetPos.z - this.startPos.z;
@@ -35,16 +60,30 @@ export class Envelope {
     }
   }
 
+  /**
+   * Send the envelope off again from where it is now (ricochets).
+   * @param {THREE.Vector3|null} targetPos - next house, or null to fly on along `direction`
+   * @param {THREE.Vector3} [direction] - used when there is no target
+   */
+  redirect(targetPos, direction) {
+    const from = this.mesh.position;
+    const dir = targetPos
+      ? new THREE.Vector3(targetPos.x - from.x, 0, targetPos.z - from.z)
+      : direction;
+    this._aim(from, dir, targetPos);
+  }
+
   update(delta) {
     if (!this.alive) return;
 
-    const moveAmount = ENVELOPE.SPEED * delta;
+    const moveAmount = this.config.SPEED * delta;
     this.mesh.position.addScaledVector(this.direction, moveAmount);
     this.distanceTraveled += moveAmount;
+    this.mesh.position.z -= this.carrySpeed * delta;
 
     // Parabolic arc on Y axis for targeted throws
-    if (this.targetPos && this.totalFlightDist > 0) {
-      const t = Math.min(this.distanceTraveled / this.totalFlightDist, 1);
+    if (this.totalFlightDist > 0) {
+      const t = Math.min((this.distanceTraveled - this._legStart) / this.totalFlightDist, 1);
       // Parabola: 4h*t*(1-t) peaks at t=0.5
       const arcY = 4 * ENVELOPE.ARC_HEIGHT * t * (1 - t);
       this.mesh.position.y = this.startPos.y + arcY;
@@ -55,7 +94,7 @@ export class Envelope {
     this.mesh.rotation.x += ENVELOPE.SPIN_SPEED * 0.5 * delta;
 
     // Auto-destroy after max distance
-    if (this.distanceTraveled >= ENVELOPE.MAX_DISTANCE) {
+    if (this.distanceTraveled >= this.config.MAX_DISTANCE) {
       this.alive = false;
     }
   }
@@ -70,8 +109,23 @@ export class Envelope {
     return dist < ENVELOPE.COLLISION_THRESHOLD;
   }
 
-  dispose(scene) {
-    scene.remove(this.mesh);
+  /** Proximity test against an agent (XZ plane) */
+  checkAgent(agent, radius) {
+    if (!this.alive) return false;
+    const dx = this.mesh.position.x - agent.mesh.position.x;
+    const dz = this.mesh.position.z - agent.mesh.position.z;
+    return dx * dx + dz * dz < radius * radius;
+  }
+
+  /** Back to the pool: off the scene, and no stale interpolation start */
+  release() {
+    this.mesh.removeFromParent();
+    this.mesh.userData.prevPos = null;
+  }
+
+  dispose() {
     this.mesh.material.dispose();
   }
 }
+
+export const envelopePool = new ObjectPool('envelope', () => new Envelope());
@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { BOSS, STREET } from '../core/Constants.js';
+import { Boss } from './Boss.js';
+
+const CART = BOSS.TYPES.hoaCart;
+const _wheelGeo = new THREE.CylinderGeometry(CART.WHEEL.RADIUS, CART.WHEEL.RADIUS, CART.WHEEL.WIDTH, 10);
+
+/**
+ * The HOA President in an enforcement golf cart. Attacks: 'bins' tips
+ * trash cans into two lanes, 'ram' locks onto the player's lane (roof light
+ * flashing) and brake-checks back at them before pulling ahead again.
+ */
+export class HoaGolfCart extends Boss {
+  constructor(playerZ, encounter) {
+    super('hoaCart', playerZ, encounter);
+    this._ramPhase = null; // null | 'charge' | 'recover'
+    this._build();
+  }
+
+  _build() {
+    const c = this.config;
+    const bodyMat = new THREE.MeshLambertMaterial({ color: c.COLOR });
+    const box = (part, mat) => new THREE.Mesh(new THREE.BoxGeometry(part.WIDTH, part.HEIGHT, part.DEPTH), mat);
+
+    const base = box(c.BASE, bodyMat);
+    base.position.y = c.BASE.Y;
+    base.castShadow = true;
+    this.rig.add(base);
+
+    const seat = box(c.SEAT, new THREE.MeshLambertMaterial({ color: c.SEAT.COLOR }));
+    seat.position.set(0, c.SEAT.Y, c.SEAT.Z);
+    this.rig.add(seat);
+
+    // Roof on four posts
+    const postGeo = new THREE.BoxGeometry(c.POST.WIDTH, c.POST.HEIGHT, c.POST.WIDTH);
+    for (const sx of [-1, 1]) {
+      for (const sz of [-1, 1]) {
+        const post = new THREE.Mesh(postGeo, bodyMat);
+        post.position.set(sx * c.POST.X, c.POST.Y, sz * c.POST.Z);
+        this.rig.add(post);
+      }
+    }
+    const roof = box(c.ROOF, new THREE.MeshLambertMaterial({ color: c.ROOF_COLOR }));
+    roof.position.y = c.ROOF.Y;
+    this.rig.add(roof);
+
+    // Enforcement light
+    this._lightMat = new THREE.MeshBasicMaterial({ color: c.LIGHT_COLOR });
+    this._light = box(c.LIGHT, this._lightMat);
+    this._light.position.y = c.LIGHT.Y;
+    this.rig.add(this._light);
+
+    // The President, clipboard at the ready
+    const driver = box(c.DRIVER, new THREE.MeshLambertMaterial({ color: c.DRIVER.COLOR }));
+    driver.position.set(c.DRIVER.X, c.DRIVER.Y, c.DRIVER.Z);
+    this.rig.add(driver);
+    const head = new THREE.Mesh(new THREE.SphereGeometry(c.HEAD.RADIUS, c.HEAD.SEGMENTS, c.HEAD.RINGS),
+      new THREE.MeshLambertMaterial({ color: c.HEAD.COLOR }));
+    head.position.set(c.DRIVER.X, c.HEAD.Y, c.DRIVER.Z);
+    this.rig.add(head);
+    this._clipboard = box(c.CLIPBOARD, new THREE.MeshLambertMaterial({ color: c.CLIPBOARD.COLOR }));
+    this._clipboard.position.set(c.CLIPBOARD.X, c.CLIPBOARD.Y, c.CLIPBOARD.Z);
+    this.rig.add(this._clipboard);
+
+    this._wheels = [];
+    const wheelMat = new THREE.MeshLambertMaterial({ color: 0x111111 });
+    for (const sx of [-1, 1]) {
+      for (const sz of [-1, 1]) {
+        const wheel = new THREE.Mesh(_wheelGeo, wheelMat);
+        wheel.rotation.z = Math.PI / 2;
+        wheel.position.set(sx * c.WHEEL.X, c.WHEEL.Y, sz * c.WHEEL.Z);
+        this.rig.add(wheel);
+        this._wheels.push(wheel);
+      }
+    }
+  }
+
+  _updateStrafe(delta) {
+    super._updateStrafe(delta);
+
+    if (this._ramPhase === 'charge') {
+      this.lead -= this.config.RAM_SPEED * delta;
+      if (this.lead <= this.config.RAM_MIN_LEAD) {
+        this.lead = this.config.RAM_MIN_LEAD;
+        this._ramPhase = 'recover';
+      }
+    } else if (this._ramPhase === 'recover') {
+      this.lead += BOSS.APPROACH_SPEED * delta;
+      if (this.lead >= BOSS.LEAD) {
+        this.lead = BOSS.LEAD;
+        this._ramPhase = null;
+      }
+    }
+  }
+
+  _onTelegraphStart(attack, playerX) {
+    if (attack !== 'ram') return;
+    // Lock onto the player's lane for the charge
+    this._targetX = [STREET.LANE_LEFT, STREET.LANE_CENTER, STREET.LANE_RIGHT]
+      .reduce((best, lane) => (Math.abs(lane - playerX) < Math.abs(best - playerX) ? lane : best));
+    this._strafeTimer = this.config.STRAFE_INTERVAL + this.config.RAM_LOCK;
+  }
+
+  _animate(delta) {
+    const c = this.config;
+    for (const wheel of this._wheels) wheel.rotation.x += delta * c.WHEEL_SPIN;
+    this._light.visible = !this.isTelegraphing || Math.floor(this._telegraphTimer * c.LIGHT_BLINK) % 2 === 0;
+  }
+
+  _animateTelegraph(t) {
+    // Rev: shudder and wave the clipboard
+    const c = this.config;
+    this.rig.rotation.z = Math.sin(t * Math.PI * c.SHUDDER_RATE) * c.SHUDDER;
+    this._clipboard.rotation.z = Math.sin(t * Math.PI * c.CLIPBOARD_RATE) * c.CLIPBOARD_SWING;
+  }
+
+  _endTelegraphPose() {
+    super._endTelegraphPose();
+    this._clipboard.rotation.z = 0;
+    this._light.visible = true;
+  }
+
+  _performAttack(attack) {
+    if (attack === 'ram') {
+      this._ramPhase = 'charge';
+      return;
+    }
+    const z = this.mesh.position.z + this.config.BINS_AHEAD;
+    for (const laneX of this._lanesWithGap()) {
+      this._queueAttack({ kind: 'obstacle', type: 'trashCan', x: laneX, z });
+    }
+  }
+
+  /** Busy ramming -- hold the next attack until the cart is back in position */
+  _updateAttack(delta, playerX) {
+    if (this._ramPhase) return;
+    super._updateAttack(delta, playerX);
+  }
+
+  _animateDefeat(t) {
+    // Spin out and tip onto its side
+    this.rig.rotation.y = t * Math.PI * 3;
+    this.rig.rotation.z = (Math.PI / 2) * Math.max(0, t * 2 - 1);
+    this._ramPhase = null;
+  }
+
+  dispose(scene) {
+    // Wheels share one geometry
+    for (const wheel of this._wheels) this.rig.remove(wheel);
+    this._wheels[0].material.dispose();
+    super.dispose(scene);
+  }
+}
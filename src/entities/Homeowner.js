@@ -1,32 +1,47 @@
 import * as THREE from 'three';
-import { HOMEOWNER } from '../core/Constants.js';
+import { HOMEOWNER, HOMEOWNER_BEHAVIOURS, HOMEOWNER_CROWD } from '../core/Constants.js';
+import { rng } from '../core/Random.js';
+import { ObjectPool } from '../core/ObjectPool.js';
 import { loadModel } from '../level/AssetLoader.js';
 
-// Shared model cache — load once, clone for each spawn
+// Shared model cache — load once, clone for each pooled homeowner
 let _modelTemplate = null;
 let _modelLoadFailed = false;
 
-// Preload on import
-loadModel(HOMEOWNER.MODEL_PATH)
+// Preload on import; settles once homeowners would build from the GLB (or fall back)
+export const homeownerModelReady = loadModel(HOMEOWNER.MODEL_PATH)
   .then((m) => { _modelTemplate = m; })
   .catch(() => { _modelLoadFailed = true; });
 
+const BEHAVIOUR_KEYS = Object.keys(HOMEOWNER_BEHAVIOURS);
+const _center = new THREE.Vector3();
+const _steer = new THREE.Vector3();
+
+/** Weighted pick from HOMEOWNER_BEHAVIOURS */
+function pickBehaviour() {
+  let roll = rng.next() * BEHAVIOUR_KEYS.reduce((sum, k) => sum + HOMEOWNER_BEHAVIOURS[k].WEIGHT, 0);
+  for (const key of BEHAVIOUR_KEYS) {
+    roll -= HOMEOWNER_BEHAVIOURS[key].WEIGHT;
+    if (roll < 0) return key;
+  }
+  return 'panic';
+}
+
+/** Homeowners come from homeownerPool.acquire(housePos, side, home) */
 export class Homeowner {
-  constructor(housePos, side) {
-    this.alive = true;
-    this.timeAlive = 0;
-    this.dropTimer = 0;
+  constructor() {
     this.pendingDrops = [];
+    this.pendingThrows = [];
+    this.runDir = new THREE.Vector3();
+    this.crowd = null;
+
+    // Behaviour props, built the first time this homeowner needs them
+    this._heldEnvelope = null;
+    this._lawnChair = null;
 
     // Container
     this.mesh = new THREE.Group();
 
-    // Position at house exit
-    const exitX = side === 'left'
-      ? housePos.x + 2
-      : housePos.x - 2;
-    this.mesh.position.set(exitX, 0, housePos.z);
-
     // Try to use the GLB model, fall back to primitives
     if (_modelTemplate && !_modelLoadFailed) {
       const clone = _modelTemplate.clone(true);
@@ -46,16 +61,108 @@ export class Homeowner {
       this.leftArm = null;
       this.rightArm = null;
     } else {
+      this._modelNode = null;
       this._buildPrimitive();
     }
+  }
+
+  /**
+   * @param {THREE.Vector3} housePos - door position
+   * @param {'left'|'right'} side
+   * @param {object} [home] - the house they came out of (crowds only form across houses)
+   */
+  reset(housePos, side, home = null) {
+    this.alive = true;
+    this.timeAlive = 0;
+    this.dropTimer = 0;
+    this.pendingDrops.length = 0;
+    this.pendingThrows.length = 0;
+    this.home = home;
+    this.behaviour = pickBehaviour();
+    this.config = HOMEOWNER_BEHAVIOURS[this.behaviour];
+    this.crowd = null;
+
+    // Counter-offer / fainter state
+    this._windup = 0;
+    this._thrown = false;
+    this._fainted = false;
+
+    // Position at house exit
+    const exitX = side === 'left'
+      ? housePos.x + 2
+      : housePos.x - 2;
+    this.mesh.position.set(exitX, 0, housePos.z);
+    this._resetPose();
 
     // Random run direction (away from house, somewhat toward street)
     const awayX = side === 'left' ? 1 : -1;
-    this.runDir = new THREE.Vector3(
-      awayX * (0.5 + Math.random() * 0.5),
+    this.runDir.set(
+      awayX * (0.5 + rng.next() * 0.5),
       0,
-      (Math.random() - 0.5) * 2
+      (rng.next() - 0.5) * 2
     ).normalize();
+    this._awayX = awayX;
+
+    if (this._heldEnvelope) this._heldEnvelope.visible = false;
+    if (this._lawnChair) this._lawnChair.visible = false;
+    switch (this.behaviour) {
+      case 'counterOffer': this._showHeldEnvelope(); break;
+      case 'lawnChair': this._showLawnChair(); break;
+    }
+  }
+
+  /** Undo whatever the last life left tilted, fainted or sunk into a chair */
+  _resetPose() {
+    this.mesh.rotation.set(0, 0, 0);
+    if (this._modelNode) {
+      this._modelNode.rotation.set(0, 0, 0);
+      this._modelNode.position.y = HOMEOWNER.MODEL_OFFSET_Y;
+    }
+    for (const part of [this.leftArm, this.rightArm, this.headMesh]) {
+      if (part) part.rotation.set(0, 0, 0);
+    }
+  }
+
+  /** Counter-offer: the envelope they are about to throw back */
+  _showHeldEnvelope() {
+    if (this._heldEnvelope) {
+      this._heldEnvelope.visible = true;
+      return;
+    }
+    const c = this.config;
+    this._heldEnvelope = new THREE.Group();
+    const paper = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.2, 0.02),
+      new THREE.MeshLambertMaterial({ color: c.ENVELOPE_COLOR }));
+    const stamp = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.08, 0.025),
+      new THREE.MeshLambertMaterial({ color: c.STAMP_COLOR }));
+    stamp.position.set(0.08, 0.04, 0);
+    this._heldEnvelope.add(paper, stamp);
+    this._heldEnvelope.position.set(0.3, 0.75, 0);
+    this.mesh.add(this._heldEnvelope);
+  }
+
+  /** Lawn chair: low folding chair facing the street, drink in hand */
+  _showLawnChair() {
+    if (!this._lawnChair) {
+      const c = this.config;
+      const chairMat = new THREE.MeshLambertMaterial({ color: c.CHAIR_COLOR });
+      const seat = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.05, 0.5), chairMat);
+      seat.position.y = 0.18;
+      this._chairBack = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.55, 0.5), chairMat);
+      this._drink = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 0.12, 8),
+        new THREE.MeshLambertMaterial({ color: c.DRINK_COLOR }));
+      this._lawnChair = new THREE.Group();
+      this._lawnChair.add(seat, this._chairBack, this._drink);
+      this.mesh.add(this._lawnChair);
+    }
+    this._lawnChair.visible = true;
+    // Back rest on the yard side
+    this._chairBack.position.set(-this._awayX * 0.27, 0.42, 0);
+    this._chairBack.rotation.z = this._awayX * 0.25;
+    this._drink.position.set(0, 0.45, 0.25);
+
+    // Sink into the seat
+    if (this._modelNode) this._modelNode.position.y -= 0.2;
   }
 
   _buildPrimitive() {
@@ -96,15 +203,68 @@ export class Homeowner {
     this.mesh.add(this.rightArm);
   }
 
-  update(delta) {
+  /**
+   * @param {number} delta
+   * @param {THREE.Vector3} [playerPos] - counter-offers run at the player
+   */
+  update(delta, playerPos) {
     if (!this.alive) return;
 
     this.timeAlive += delta;
 
-    // Move in panic direction
+    switch (this.behaviour) {
+      case 'counterOffer': this._updateCounterOffer(delta, playerPos); break;
+      case 'fainter': this._updateFainter(delta); break;
+      case 'lawnChair': this._updateLawnChair(); break;
+      default: this._updatePanic(delta); break;
+    }
+
+    // Expire after duration
+    if (this.timeAlive >= this.config.DURATION) {
+      this.alive = false;
+    }
+  }
+
+  /** Run erratically (or with the crowd) dropping panic points */
+  _updatePanic(delta) {
+    if (this.crowd) {
+      this._steerWithCrowd(delta);
+    } else if (rng.next() < delta * 2) {
+      // Occasional direction change for erratic movement
+      this.runDir.x += (rng.next() - 0.5) * 0.5;
+      this.runDir.z += (rng.next() - 0.5) * 0.5;
+      this.runDir.normalize();
+    }
+
     this.mesh.position.addScaledVector(this.runDir, HOMEOWNER.SPEED * delta);
+    this._animatePanic();
+
+    // Drop panic points at intervals
+    const interval = this.crowd ? HOMEOWNER_CROWD.DROP_INTERVAL : HOMEOWNER.DROP_INTERVAL;
+    this.dropTimer += delta;
+    if (this.dropTimer >= interval) {
+      this.dropTimer -= interval;
+      this.pendingDrops.push({
+        x: this.mesh.position.x,
+        z: this.mesh.position.z,
+      });
+    }
+  }
+
+  /** Head the crowd's way while closing in on its center */
+  _steerWithCrowd(delta) {
+    const members = this.crowd.members.filter(m => m.alive);
+    _center.set(0, 0, 0);
+    for (const m of members) _center.add(m.mesh.position);
+    _center.divideScalar(members.length);
 
-    // Animate based on whether we have the GLB or primitive
+    _steer.subVectors(_center, this.mesh.position).multiplyScalar(HOMEOWNER_CROWD.COHESION);
+    _steer.y = 0;
+    _steer.add(this.crowd.dir).normalize();
+    this.runDir.lerp(_steer, Math.min(1, delta * 4)).normalize();
+  }
+
+  _animatePanic() {
     if (this.leftArm) {
       // Primitive: arm-waving animation
       const wave = Math.sin(this.timeAlive * 12) * 1.2;
@@ -116,28 +276,107 @@ export class Homeowner {
       this._modelNode.rotation.z = Math.sin(this.timeAlive * 10) * 0.15;
       this._modelNode.rotation.x = Math.sin(this.timeAlive * 7) * 0.1;
     }
+  }
 
-    // Occasional direction change for erratic movement
-    if (Math.random() < delta * 2) {
-      this.runDir.x += (Math.random() - 0.5) * 0.5;
-      this.runDir.z += (Math.random() - 0.5) * 0.5;
-      this.runDir.normalize();
+  /** Charge the player, wind up, throw the offer back, then panic */
+  _updateCounterOffer(delta, playerPos) {
+    if (this._thrown || !playerPos) {
+      this._updatePanic(delta);
+      return;
     }
 
-    // Drop panic points at intervals
-    this.dropTimer += delta;
-    if (this.dropTimer >= HOMEOWNER.DROP_INTERVAL) {
-      this.dropTimer -= HOMEOWNER.DROP_INTERVAL;
-      this.pendingDrops.push({
-        x: this.mesh.position.x,
-        z: this.mesh.position.z,
-      });
+    const c = this.config;
+    const pos = this.mesh.position;
+
+    if (this._windup > 0) {
+      this._windup -= delta;
+      const t = 1 - Math.max(0, this._windup) / c.WINDUP;
+      if (this.rightArm) this.rightArm.rotation.z = -t * 2.5;
+      else if (this._modelNode) this._modelNode.rotation.x = -t * 0.4;
+      if (this._windup <= 0) {
+        this._thrown = true;
+        this._heldEnvelope.visible = false;
+        this.pendingThrows.push({ x: pos.x, z: pos.z, targetX: playerPos.x });
+        // Bolt back toward the yard
+        this.runDir.set(-this._awayX, 0, -0.5).normalize();
+      }
+      return;
     }
 
-    // Expire after duration
-    if (this.timeAlive >= HOMEOWNER.PANIC_DURATION) {
-      this.alive = false;
+    const gap = playerPos.z - pos.z;
+    if (gap < c.MIN_RANGE) {
+      // Player is already on top of them -- too late to throw
+      this._thrown = true;
+      this._heldEnvelope.visible = false;
+      return;
+    }
+    if (gap < c.THROW_RANGE) {
+      this._windup = c.WINDUP;
+      return;
+    }
+
+    this.runDir.set(playerPos.x - pos.x, 0, gap).normalize();
+    pos.addScaledVector(this.runDir, c.RUN_SPEED * delta);
+    this._animatePanic();
+  }
+
+  /** Stagger, keel over and spill a ring of panic points in one spot */
+  _updateFainter(delta) {
+    const c = this.config;
+    if (this.timeAlive < c.FAINT_DELAY) {
+      this.mesh.position.addScaledVector(this.runDir, HOMEOWNER.SPEED * 0.5 * delta);
+      this._animatePanic();
+      return;
+    }
+
+    if (!this._fainted) {
+      this._fainted = true;
+      const { x, z } = this.mesh.position;
+      for (let i = 0; i < c.CLUSTER_COUNT; i++) {
+        const a = (i / c.CLUSTER_COUNT) * Math.PI * 2;
+        this.pendingDrops.push({
+          x: x + Math.cos(a) * c.CLUSTER_RADIUS,
+          z: z + Math.sin(a) * c.CLUSTER_RADIUS,
+        });
+      }
     }
+
+    const t = Math.min(1, (this.timeAlive - c.FAINT_DELAY) / c.FALL_TIME);
+    this.mesh.rotation.x = -t * Math.PI / 2;
+  }
+
+  /** Not interested: sit back and sip */
+  _updateLawnChair() {
+    const sip = Math.max(0, Math.sin(this.timeAlive * 1.5)) * 0.15;
+    this._drink.position.y = 0.45 + sip;
+    if (this.headMesh) this.headMesh.rotation.x = -sip;
+  }
+
+  /** Panicking and free to be rallied into a crowd */
+  get canRally() {
+    return this.alive && this.behaviour === 'panic';
+  }
+
+  /**
+   * Join `other`'s crowd, or start one with them. Everyone in it panics
+   * for the full duration again, together. @returns {number} crowd size
+   */
+  rallyWith(other) {
+    const crowd = other.crowd || { dir: other.runDir.clone(), members: [other] };
+    crowd.members = crowd.members.filter(m => m.alive);
+    crowd.members.push(this);
+    for (const m of crowd.members) {
+      m.crowd = crowd;
+      m.timeAlive = 0;
+    }
+    return crowd.members.length;
+  }
+
+  /** Returns and clears pending counter-offer throws */
+  consumeThrows() {
+    const throws = this.pendingThrows;
+    this.pendingThrows = [];
+    return throws;
   }
 
   /** Returns and clears pending panic point drop positions */
@@ -147,7 +386,16 @@ export class Homeowner {
     return drops;
   }
 
-  dispose(scene) {
+  /** Back to the pool -- out of the scene and out of any crowd */
+  release() {
+    if (this.crowd) this.crowd.members = this.crowd.members.filter(m => m !== this);
+    this.crowd = null;
+    this.home = null;
+    this.mesh.removeFromParent();
+    this.mesh.userData.prevPos = null;
+  }
+
+  dispose() {
     this.mesh.traverse((child) => {
       if (child.isMesh) {
         child.geometry.dispose();
@@ -155,6 +403,7 @@ export class Homeowner {
         else child.material.dispose();
       }
     });
-    scene.remove(this.mesh);
   }
 }
+
+export const homeownerPool = new ObjectPool('homeowner', () => new Homeowner());
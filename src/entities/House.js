@@ -1,153 +1,486 @@
 import * as THREE from 'three';
-import { HOUSE } from '../core/Constants.js';
+import { HOUSE, HOUSE_TYPES, BIOME, INSTANCING } from '../core/Constants.js';
+import { rng } from '../core/Random.js';
+import { InstancedBatch } from '../level/InstancedBatch.js';
 
+const _matrix = new THREE.Matrix4();
+
+/**
+ * Shared batches every house draws into (one draw call per batch). Unit
+ * shapes -- each part scales them to size and carries its own color.
+ *   body:   walls and mansion wings (the parts that flash and go grey)
+ *   roof:   pyramid roofs, snow caps, pediments
+ *   box:    other shadow-casting blocks (flat roofs, kennels)
+ *   detail: windows, doors, trim, boards, signs, stilts, chimneys
+ *   column: porch columns
+ */
+export function createHouseBatches(scene) {
+  const cap = INSTANCING.CAPACITY;
+  const box = new THREE.BoxGeometry(1, 1, 1);
+  const lambert = (options) => new THREE.MeshLambertMaterial({ color: 0xffffff, ...options });
+  return {
+    body: new InstancedBatch(scene, box, lambert(), cap.body, { castShadow: true, receiveShadow: true }),
+    roof: new InstancedBatch(scene, createRoofGeometry(1, 1, 1), lambert({ side: THREE.DoubleSide }), cap.roof,
+      { castShadow: true }),
+    box: new InstancedBatch(scene, box, lambert(), cap.box, { castShadow: true }),
+    detail: new InstancedBatch(scene, box, lambert(), cap.detail),
+    column: new InstancedBatch(scene, new THREE.CylinderGeometry(1, 1, 1, 8), lambert(), cap.column),
+  };
+}
+
+/** Four-sided pyramid roof (plus underside) over a hw x hd footprint */
+export function createRoofGeometry(hw, hd, rh) {
+  const vertices = new Float32Array([
+    // Front face
+    -hw, 0, hd,
+     hw, 0, hd,
+     0,  rh, 0,
+    // Back face
+    -hw, 0, -hd,
+     hw, 0, -hd,
+     0,  rh, 0,
+    // Left face
+    -hw, 0, hd,
+    -hw, 0, -hd,
+     0,  rh, 0,
+    // Right face
+     hw, 0, hd,
+     hw, 0, -hd,
+     0,  rh, 0,
+    // Bottom face (two triangles)
+    -hw, 0, hd,
+     hw, 0, hd,
+    -hw, 0, -hd,
+     hw, 0, hd,
+     hw, 0, -hd,
+    -hw, 0, -hd,
+  ]);
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+/**
+ * A house is a group of empty anchors: each carries one part's transform
+ * (children hang off it -- the tarp on the sagging roof, boards on a window)
+ * and the part itself is an instance in one of the shared batches. Houses
+ * come from StreetGenerator's pool: reset() lays out a new house on the
+ * anchors and part records left over from earlier ones.
+ */
 export class House {
-  constructor(x, z, side) {
+  /** @param {object} batches - createHouseBatches() result */
+  constructor(batches) {
+    this.batches = batches;
+    this.mesh = new THREE.Group();
+    this._anchors = []; // every anchor built so far; the first _anchorCount are in use
+    this._anchorCount = 0;
+    this._parts = []; // { batch, anchor, size, color, index }; the first _partCount are in use
+    this._partCount = 0;
+    this._bodyParts = [];
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} z
+   * @param {'left'|'right'} side
+   * @param {object} [biome] - BIOME.TYPES entry: palette and HOUSE_STYLE
+   * @param {string} [type] - HOUSE_TYPES key: hit rules, value and extras
+   */
+  reset(x, z, side, biome = BIOME.TYPES.suburbs, type = 'standard') {
     this.isHit = false;
     this.side = side; // 'left' or 'right'
-    this.width = HOUSE.WIDTH;
+    this.type = type;
+    this.config = HOUSE_TYPES[type];
+    this.hitsLeft = this.config.HITS;
+    this.style = biome.HOUSE_STYLE;
+    this.dims = HOUSE.STYLES[this.style];
+    this.width = this.dims.WIDTH;
+    this._baseY = this.dims.STILT_HEIGHT || 0;
+    // Local Z of each front door; homeowners come out of these
+    this.doorZs = type === 'duplex' ? [-this.config.DOOR_Z, this.config.DOOR_Z] : [0];
+    this.soldSign = null;
+    this._bodyParts.length = 0;
 
-    // Pick random colors
-    const bodyColor = HOUSE.COLORS[Math.floor(Math.random() * HOUSE.COLORS.length)];
-    const roofColor = HOUSE.ROOF_COLORS[Math.floor(Math.random() * HOUSE.ROOF_COLORS.length)];
+    // Pick random colors from the district palette
+    const bodyColor = rng.pick(biome.COLORS);
+    const roofColor = rng.pick(biome.ROOF_COLORS);
 
-    // Container group
-    this.mesh = new THREE.Group();
     this.mesh.position.set(x, 0, z);
 
-    // House body
-    const bodyGeo = new THREE.BoxGeometry(HOUSE.WIDTH, HOUSE.HEIGHT, HOUSE.DEPTH);
-    const bodyMat = new THREE.MeshLambertMaterial({ color: bodyColor });
-    this.body = new THREE.Mesh(bodyGeo, bodyMat);
-    this.body.position.y = HOUSE.HEIGHT / 2;
-    this.body.castShadow = true;
-    this.body.receiveShadow = true;
-    this.mesh.add(this.body);
-
-    // Door (darker rectangle on front face)
-    const doorGeo = new THREE.BoxGeometry(0.4, 0.8, 0.05);
-    const doorMat = new THREE.MeshLambertMaterial({ color: 0x5c3317 });
-    const door = new THREE.Mesh(doorGeo, doorMat);
-    door.position.set(0, 0.4, HOUSE.DEPTH / 2 + 0.02);
-    // Rotate door to face the street
-    if (side === 'left') {
-      door.position.set(-HOUSE.WIDTH / 2 - 0.02, 0.4, 0);
-      door.rotation.y = -Math.PI / 2;
-    } else {
-      door.position.set(HOUSE.WIDTH / 2 + 0.02, 0.4, 0);
-      door.rotation.y = Math.PI / 2;
-    }
-    this.mesh.add(door);
-
-    // Window (lighter square)
-    const windowGeo = new THREE.BoxGeometry(0.4, 0.4, 0.05);
-    const windowMat = new THREE.MeshLambertMaterial({ color: 0xadd8e6 });
-    const win1 = new THREE.Mesh(windowGeo, windowMat);
-    if (side === 'left') {
-      win1.position.set(-HOUSE.WIDTH / 2 - 0.02, 1.5, -0.5);
-      win1.rotation.y = -Math.PI / 2;
-    } else {
-      win1.position.set(HOUSE.WIDTH / 2 + 0.02, 1.5, -0.5);
-      win1.rotation.y = Math.PI / 2;
+    switch (this.style) {
+      case 'condo': this._buildCondo(bodyColor, roofColor); break;
+      case 'estate': this._buildEstate(bodyColor, roofColor); break;
+      case 'beachHut': this._buildBeachHut(bodyColor, roofColor); break;
+      case 'cabin': this._buildCabin(bodyColor, roofColor, biome.SNOW_CAP_COLOR); break;
+      default: this._buildGabled(bodyColor, roofColor); break;
     }
-    this.mesh.add(win1);
 
-    const win2 = win1.clone();
-    if (side === 'left') {
-      win2.position.set(-HOUSE.WIDTH / 2 - 0.02, 1.5, 0.5);
-    } else {
-      win2.position.set(HOUSE.WIDTH / 2 + 0.02, 1.5, 0.5);
+    switch (type) {
+      case 'mansion': this._decorateMansion(bodyColor); break;
+      case 'duplex': this._decorateDuplex(rng.pick(biome.COLORS)); break;
+      case 'fixerUpper': this._decorateFixerUpper(); break;
+      case 'guardDog': this._decorateGuardDog(); break;
+      case 'sold': this._decorateSold(); break;
     }
-    this.mesh.add(win2);
-
-    // Triangular roof using BufferGeometry
-    const roofShape = this._createRoofGeometry();
-    const roofMat = new THREE.MeshLambertMaterial({ color: roofColor, side: THREE.DoubleSide });
-    this.roof = new THREE.Mesh(roofShape, roofMat);
-    this.roof.position.y = HOUSE.HEIGHT;
-    this.roof.castShadow = true;
-    this.mesh.add(this.roof);
 
     // Shake/flash state
     this._shakeTimer = 0;
     this._flashTimer = 0;
     this._originalBodyColor = bodyColor;
-    this._baseX = x;
-  }
-
-  _createRoofGeometry() {
-    const hw = HOUSE.WIDTH / 2 + 0.2; // slight overhang
-    const hd = HOUSE.DEPTH / 2 + 0.2;
-    const rh = HOUSE.ROOF_HEIGHT;
-
-    const vertices = new Float32Array([
-      // Front face
-      -hw, 0, hd,
-       hw, 0, hd,
-       0,  rh, 0,
-      // Back face
-      -hw, 0, -hd,
-       hw, 0, -hd,
-       0,  rh, 0,
-      // Left face
-      -hw, 0, hd,
-      -hw, 0, -hd,
-       0,  rh, 0,
-      // Right face
-       hw, 0, hd,
-       hw, 0, -hd,
-       0,  rh, 0,
-      // Bottom face (two triangles)
-      -hw, 0, hd,
-       hw, 0, hd,
-      -hw, 0, -hd,
-       hw, 0, hd,
-       hw, 0, -hd,
-      -hw, 0, -hd,
-    ]);
-
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-    geometry.computeVertexNormals();
-    return geometry;
+
+    this._syncParts();
+  }
+
+  // --- Styles ---
+
+  _buildGabled(bodyColor, roofColor) {
+    const d = this.dims;
+    this._addBody(bodyColor, 0);
+    this._addDoors(0);
+    this._addWindow(1.5, -0.5);
+    this._addWindow(1.5, 0.5);
+
+    this.roof = this._part(this.batches.roof, d.WIDTH / 2 + 0.2, d.ROOF_HEIGHT, d.DEPTH / 2 + 0.2, roofColor);
+    this.roof.position.y = d.HEIGHT;
+  }
+
+  /** Downtown condo tower: tall block, grid of windows, flat roof slab */
+  _buildCondo(bodyColor, roofColor) {
+    const d = this.dims;
+    this._addBody(bodyColor, 0);
+    this._addDoors(0);
+    for (let y = d.FLOOR_HEIGHT * 0.8; y < d.HEIGHT - 0.5; y += d.FLOOR_HEIGHT) {
+      this._addWindow(y, -0.8);
+      this._addWindow(y, 0);
+      this._addWindow(y, 0.8);
+    }
+
+    this.roof = this._part(this.batches.box, d.WIDTH + 0.2, d.ROOF_HEIGHT, d.DEPTH + 0.2, roofColor);
+    this.roof.position.y = d.HEIGHT + d.ROOF_HEIGHT / 2;
+  }
+
+  /** Gated-community estate: wide, hipped roof, columns by the door */
+  _buildEstate(bodyColor, roofColor) {
+    const d = this.dims;
+    this._addBody(bodyColor, 0);
+    this._addDoors(0);
+    for (const z of [-1.4, -0.7, 0.7, 1.4]) this._addWindow(1.9, z);
+
+    for (const z of [-0.45, 0.45]) {
+      const col = this._part(this.batches.column, 0.1, d.HEIGHT * 0.9, 0.1, d.COLUMN_COLOR);
+      col.position.set(this._facadeX(0.3), d.HEIGHT * 0.45, z);
+    }
+
+    this.roof = this._part(this.batches.roof, d.WIDTH / 2 + 0.3, d.ROOF_HEIGHT, d.DEPTH / 2 + 0.3, roofColor);
+    this.roof.position.y = d.HEIGHT;
+  }
+
+  /** Beach hut: raised on stilts with a flat, slightly pitched roof */
+  _buildBeachHut(bodyColor, roofColor) {
+    const d = this.dims;
+    this._addBody(bodyColor, d.STILT_HEIGHT);
+    this._addDoors(d.STILT_HEIGHT);
+    this._addWindow(d.STILT_HEIGHT + 1.3, 0.6);
+
+    for (const sx of [-1, 1]) {
+      for (const sz of [-1, 1]) {
+        const stilt = this._part(this.batches.detail, 0.15, d.STILT_HEIGHT, 0.15, 0x8d6e63);
+        stilt.position.set(sx * (d.WIDTH / 2 - 0.15), d.STILT_HEIGHT / 2, sz * (d.DEPTH / 2 - 0.15));
+      }
+    }
+
+    this.roof = this._part(this.batches.box, d.WIDTH + 0.5, d.ROOF_HEIGHT, d.DEPTH + 0.5, roofColor);
+    this.roof.position.y = d.STILT_HEIGHT + d.HEIGHT + 0.15;
+    this.roof.rotation.z = 0.12;
+  }
+
+  /** Snowy cabin: steep roof with a snow cap and a chimney */
+  _buildCabin(bodyColor, roofColor, snowColor) {
+    const d = this.dims;
+    this._addBody(bodyColor, 0);
+    this._addDoors(0);
+    this._addWindow(1.4, -0.6);
+    this._addWindow(1.4, 0.6);
+
+    const hw = d.WIDTH / 2 + 0.3;
+    const hd = d.DEPTH / 2 + 0.3;
+    this.roof = this._part(this.batches.roof, hw, d.ROOF_HEIGHT, hd, roofColor);
+    this.roof.position.y = d.HEIGHT;
+
+    // Snow on the upper part of the roof
+    const capScale = 0.55;
+    const cap = this._part(this.batches.roof,
+      hw * capScale + 0.05, d.ROOF_HEIGHT * capScale + 0.05, hd * capScale + 0.05, snowColor);
+    cap.position.y = d.HEIGHT + d.ROOF_HEIGHT * (1 - capScale);
+
+    const chimney = this._part(this.batches.detail, 0.4, 1.2, 0.4, 0x6d6d6d);
+    chimney.position.set(0, d.HEIGHT + d.ROOF_HEIGHT * 0.6, -hd * 0.45);
+  }
+
+  // --- Archetype extras ---
+
+  /** Mansion: low side wings, gold trim and a columned portico */
+  _decorateMansion(bodyColor) {
+    const d = this.dims;
+    const c = this.config;
+    const b = this.batches;
+    const base = this._baseY;
+
+    const wingW = d.WIDTH * 0.7;
+    const wingH = d.HEIGHT * 0.65;
+    for (const sz of [-1, 1]) {
+      const z = sz * (d.DEPTH / 2 + c.WING_DEPTH / 2);
+      const x = this._facadeX(-wingW / 2 - 0.02);
+      const wing = this._part(b.body, wingW, wingH, c.WING_DEPTH, bodyColor);
+      this._bodyParts.push(this._parts[this._partCount - 1]); // shares the body flash
+      wing.position.set(x, base + wingH / 2, z);
+      const cap = this._part(b.detail, wingW + 0.1, 0.12, c.WING_DEPTH + 0.1, c.TRIM_COLOR);
+      cap.position.set(x, base + wingH + 0.06, z);
+      this._addWindow(base + wingH * 0.55, z);
+    }
+
+    const band = this._part(b.detail, d.WIDTH + 0.1, 0.15, d.DEPTH + 0.1, c.TRIM_COLOR);
+    band.position.y = base + d.HEIGHT - 0.08;
+
+    // Portico: four columns under a gold pediment
+    const colH = Math.min(d.HEIGHT * 0.9, 2.6);
+    for (const z of [-1, -0.5, 0.5, 1]) {
+      const col = this._part(b.column, 0.09, colH, 0.09, c.COLUMN_COLOR);
+      col.position.set(this._facadeX(0.5), base + colH / 2, z);
+    }
+    const pediment = this._part(b.roof, 0.35, 0.5, 1.25, c.TRIM_COLOR);
+    pediment.position.set(this._facadeX(0.5), base + colH, 0);
+  }
+
+  /** Duplex: a party wall down the middle, each half its own color and door */
+  _decorateDuplex(altColor) {
+    const d = this.dims;
+    const wall = this._part(this.batches.detail, 0.2, d.HEIGHT + 0.2, 0.15, this.config.TRIM_COLOR);
+    wall.position.set(this._facadeX(0.08), this._baseY + d.HEIGHT / 2 + 0.1, 0);
+
+    // Second unit's siding, one half of the street face
+    const siding = this._part(this.batches.detail, 0.02, d.HEIGHT, d.DEPTH / 2 - 0.08, altColor);
+    siding.position.set(this._facadeX(-0.01), this._baseY + d.HEIGHT / 2, d.DEPTH / 4 + 0.04);
+  }
+
+  /** Fixer-upper: sagging roof with a tarp patch (windows are boarded up) */
+  _decorateFixerUpper() {
+    const d = this.dims;
+    const c = this.config;
+    const out = Math.sign(this._facadeX());
+    this.roof.rotation.z = -out * c.ROOF_SAG;
+
+    // Tarp lying on the street-facing slope
+    const hw = d.WIDTH / 2 + 0.2;
+    const slope = Math.atan2(d.ROOF_HEIGHT, hw);
+    const tarp = this._part(this.batches.detail, hw * 0.6, 0.03, 1.2, c.TARP_COLOR, this.roof);
+    tarp.position.set(out * hw * 0.45, d.ROOF_HEIGHT * 0.55 + 0.03, 0.3);
+    tarp.rotation.z = -out * slope;
+  }
+
+  /** Guard dog: a kennel and a warning sign in the side yard */
+  _decorateGuardDog() {
+    const c = this.config;
+    const x = this._facadeX(-0.5);
+    const z = this.dims.DEPTH / 2 + 0.8;
+
+    const kennel = this._part(this.batches.box, 0.8, 0.6, 0.8, c.KENNEL_COLOR);
+    kennel.position.set(x, this._baseY + 0.3, z);
+    const kennelRoof = this._part(this.batches.roof, 0.5, 0.35, 0.5, 0x8b0000);
+    kennelRoof.position.set(x, this._baseY + 0.6, z);
+    const opening = this._part(this.batches.detail, 0.3, 0.35, 0.02, 0x111111);
+    opening.position.set(x, this._baseY + 0.22, z + 0.41);
+
+    this._addYardSign(x + Math.sign(x) * 0.7, z, c.SIGN_COLOR, 0.5, 0.35);
+  }
+
+  /** Already sold: SOLD rider on the yard sign, shutters closed */
+  _decorateSold() {
+    const c = this.config;
+    const sign = this._addYardSign(this._facadeX(0.4), this.dims.DEPTH / 2 + 0.7, c.SIGN_COLOR, 0.8, 0.5);
+    const rider = this._part(this.batches.detail, 0.06, 0.18, 0.8, c.RIDER_COLOR, sign);
+    rider.position.y = 0.38;
+    this.soldSign = sign;
+  }
+
+  // --- Shared parts ---
+
+  /** Next free anchor, back at the origin under `parent` */
+  _anchor(parent) {
+    let anchor = this._anchors[this._anchorCount++];
+    if (!anchor) {
+      anchor = new THREE.Object3D();
+      this._anchors.push(anchor);
+    }
+    anchor.position.set(0, 0, 0);
+    anchor.rotation.set(0, 0, 0);
+    parent.add(anchor);
+    return anchor;
+  }
+
+  /**
+   * One instanced part: an empty anchor in the house (or `parent`) carries
+   * its transform, `sx/sy/sz` scale the batch's unit shape.
+   * @returns {THREE.Object3D} the anchor
+   */
+  _part(batch, sx, sy, sz, color, parent = this.mesh) {
+    let part = this._parts[this._partCount++];
+    if (!part) {
+      part = { batch: null, anchor: null, size: new THREE.Vector3(), color: 0, index: -1 };
+      this._parts.push(part);
+    }
+    part.batch = batch;
+    part.anchor = this._anchor(parent);
+    part.size.set(sx, sy, sz);
+    part.color = color;
+    part.index = -1;
+    return part.anchor;
+  }
+
+  /**
+   * Copy every anchor's world transform into its batch slot. `shakeX` only
+   * moves the drawn instances -- mesh.position (what aiming and collisions
+   * read) stays put.
+   */
+  _syncParts(shakeX = 0) {
+    this.mesh.updateMatrixWorld(true);
+    for (let i = 0; i < this._partCount; i++) {
+      const part = this._parts[i];
+      _matrix.makeScale(part.size.x, part.size.y, part.size.z).premultiply(part.anchor.matrixWorld);
+      _matrix.elements[12] += shakeX;
+      if (part.index < 0) part.index = part.batch.add(_matrix, part.color);
+      else part.batch.setMatrix(part.index, _matrix);
+    }
+  }
+
+  _setBodyColor(color) {
+    for (const part of this._bodyParts) part.batch.setColor(part.index, color);
+  }
+
+  _addBody(color, baseY) {
+    const d = this.dims;
+    this.body = this._part(this.batches.body, d.WIDTH, d.HEIGHT, d.DEPTH, color);
+    this.body.position.y = baseY + d.HEIGHT / 2;
+    this._bodyParts.push(this._parts[this._partCount - 1]);
   }
 
+  /** X of the street-facing wall, pushed `out` further toward the street */
+  _facadeX(out = 0) {
+    const x = this.dims.WIDTH / 2 + 0.02 + out;
+    return this.side === 'left' ? x : -x;
+  }
+
+  /** Y rotation that turns a z-facing panel toward the street */
+  _facadeRotation() {
+    return this.side === 'left' ? Math.PI / 2 : -Math.PI / 2;
+  }
+
+  _addDoors(baseY) {
+    // Darker rectangles, rotated to face the street
+    for (const z of this.doorZs) {
+      const door = this._part(this.batches.detail, 0.4, 0.8, 0.05, 0x5c3317);
+      door.position.set(this._facadeX(), baseY + 0.4, z);
+      door.rotation.y = this._facadeRotation();
+    }
+  }
+
+  _addWindow(y, z) {
+    if (this.type === 'duplex' && z === 0) return; // party wall goes there
+
+    // Lighter square
+    const detail = this.batches.detail;
+    const win = this._part(detail, 0.4, 0.4, 0.05, 0xadd8e6);
+    win.position.set(this._facadeX(), y, z);
+    win.rotation.y = this._facadeRotation();
+
+    if (this.type === 'fixerUpper') {
+      // Two planks nailed across in an X
+      for (const tilt of [-0.7, 0.7]) {
+        const board = this._part(detail, 0.56, 0.07, 0.03, this.config.BOARD_COLOR, win);
+        board.position.z = 0.04;
+        board.rotation.z = tilt;
+      }
+    } else if (this.type === 'sold') {
+      // Closed shutters either side
+      for (const sx of [-0.11, 0.11]) {
+        const shutter = this._part(detail, 0.2, 0.44, 0.03, this.config.SHUTTER_COLOR, win);
+        shutter.position.set(sx, 0, 0.04);
+      }
+    }
+  }
+
+  /** Board on a post, facing the street. @returns {THREE.Object3D} the sign */
+  _addYardSign(x, z, color, width, height) {
+    const sign = this._anchor(this.mesh);
+    sign.position.set(x, this._baseY, z);
+    const post = this._part(this.batches.detail, 0.06, 0.9, 0.06, 0x777777, sign);
+    post.position.y = 0.45;
+    const board = this._part(this.batches.detail, 0.04, height, width, color, sign);
+    board.position.y = 0.9 - height / 2 + 0.05;
+    return sign;
+  }
+
+  /**
+   * Take one envelope.
+   * @returns {'sold'|'damaged'|'rejected'|null} 'damaged' while a
+   *   multi-hit house still holds out; 'rejected' for an already-sold house
+   */
   hit() {
-    if (this.isHit) return;
-    this.isHit = true;
+    if (this.isHit) return null;
     this._shakeTimer = HOUSE.SHAKE_DURATION;
     this._flashTimer = HOUSE.FLASH_DURATION;
-    this.body.material.color.setHex(0xffff00); // flash yellow
+
+    if (this.config.REJECTS) {
+      // Springs once, then the house is out of play like any other sold one
+      this.isHit = true;
+      this._setBodyColor(0xff3333); // flash red
+      if (this.soldSign) this.soldSign.rotation.x = 0.35;
+      return 'rejected';
+    }
+
+    this._setBodyColor(0xffff00); // flash yellow
+    this.hitsLeft--;
+    if (this.hitsLeft > 0) return 'damaged';
+    this.isHit = true;
+    return 'sold';
   }
 
   update(delta) {
-    // Shake effect
+    // Shake effect (render-only: a targetable mansion keeps its position)
     if (this._shakeTimer > 0) {
       this._shakeTimer -= delta;
       const intensity = HOUSE.SHAKE_INTENSITY * (this._shakeTimer / HOUSE.SHAKE_DURATION);
-      this.mesh.position.x = this._baseX + (Math.random() - 0.5) * intensity * 2;
+      let shakeX = (Math.random() - 0.5) * intensity * 2;
       if (this._shakeTimer <= 0) {
-        this.mesh.position.x = this._baseX;
+        shakeX = 0;
+        if (this.soldSign) this.soldSign.rotation.x = 0;
       }
+      this._syncParts(shakeX);
     }
 
     // Flash effect — restore color after flash duration
     if (this._flashTimer > 0) {
       this._flashTimer -= delta;
       if (this._flashTimer <= 0) {
-        // Dim the house color to show it's been "sold"
-        this.body.material.color.setHex(0x999999);
+        // Dim the house color to show it's been "sold"; a mansion still
+        // holding out goes back to its own color
+        this._setBodyColor(this.isHit ? 0x999999 : this._originalBodyColor);
       }
     }
   }
 
-  dispose(scene) {
-    this.mesh.traverse((child) => {
-      if (child.isMesh) {
-        child.geometry.dispose();
-        child.material.dispose();
-      }
-    });
-    scene.remove(this.mesh);
+  /** Back to the pool: free the batch slots and detach the anchors */
+  release() {
+    for (let i = 0; i < this._partCount; i++) this._parts[i].batch.remove(this._parts[i].index);
+    for (let i = 0; i < this._anchorCount; i++) this._anchors[i].removeFromParent();
+    this._partCount = 0;
+    this._anchorCount = 0;
+    this._bodyParts.length = 0;
+    this.mesh.removeFromParent();
   }
+
+  /** Nothing to free -- the parts live in the shared batches */
+  dispose() {}
 }
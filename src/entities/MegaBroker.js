@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+import { AGENT } from '../core/Constants.js';
+import { Boss } from './Boss.js';
+
+/**
+ * The Mega-Broker: a giant agent with a billboard-sized FOR SALE sign.
+ * Attacks: 'volley' hurls signs down two lanes, 'minions' drops a pair of
+ * agents into two lanes. Either way one lane stays open.
+ */
+export class MegaBroker extends Boss {
+  constructor(playerZ, encounter) {
+    super('megaBroker', playerZ, encounter);
+    this._time = 0;
+    this._build();
+  }
+
+  _build() {
+    const c = this.config;
+    this._body = new THREE.Group();
+    this._body.scale.setScalar(c.SCALE);
+    this.rig.add(this._body);
+
+    const suitMat = new THREE.MeshLambertMaterial({ color: c.COLOR });
+    const body = new THREE.Mesh(
+      new THREE.BoxGeometry(AGENT.BODY_WIDTH, AGENT.BODY_HEIGHT, AGENT.BODY_DEPTH), suitMat);
+    body.position.y = AGENT.BODY_HEIGHT / 2 + 0.1;
+    body.castShadow = true;
+    this._body.add(body);
+
+    const head = new THREE.Mesh(new THREE.SphereGeometry(AGENT.HEAD_RADIUS, 10, 8),
+      new THREE.MeshLambertMaterial({ color: AGENT.COLOR_HEAD }));
+    head.position.y = AGENT.BODY_HEIGHT + AGENT.HEAD_RADIUS + 0.15;
+    this._body.add(head);
+
+    // Power tie, facing the player
+    const tie = new THREE.Mesh(new THREE.BoxGeometry(0.1, AGENT.BODY_HEIGHT * 0.6, 0.02),
+      new THREE.MeshLambertMaterial({ color: c.TIE_COLOR }));
+    tie.position.set(0, AGENT.BODY_HEIGHT * 0.6, AGENT.BODY_DEPTH / 2 + 0.01);
+    this._body.add(tie);
+
+    // Oversized FOR SALE sign held up on one side
+    this._sign = new THREE.Mesh(
+      new THREE.BoxGeometry(AGENT.SIGN_WIDTH * 2, AGENT.SIGN_HEIGHT * 2, AGENT.SIGN_DEPTH),
+      new THREE.MeshLambertMaterial({ color: AGENT.COLOR_SIGN }));
+    this._signBaseY = AGENT.BODY_HEIGHT + 0.2;
+    this._sign.position.set(AGENT.BODY_WIDTH / 2 + AGENT.SIGN_WIDTH, this._signBaseY, 0);
+    this._body.add(this._sign);
+  }
+
+  _animate(delta) {
+    // Heavy stomping bob
+    this._time += delta;
+    if (this.state === 'fight' && !this.isTelegraphing) {
+      this._body.position.y = Math.abs(Math.sin(this._time * 5)) * 0.15;
+    }
+  }
+
+  _animateTelegraph(t) {
+    if (this._pendingAttack === 'volley') {
+      // Lean back and hoist the sign overhead
+      this.rig.rotation.x = -0.35 * t;
+      this._sign.position.y = this._signBaseY + 0.6 * t;
+    } else {
+      // Wind up a ground stomp
+      this.rig.position.y = 0.6 * Math.sin(t * Math.PI / 2);
+    }
+  }
+
+  _endTelegraphPose() {
+    super._endTelegraphPose();
+    this._sign.position.y = this._signBaseY;
+  }
+
+  _performAttack(attack) {
+    const { x, z } = this.mesh.position;
+    for (const laneX of this._lanesWithGap()) {
+      if (attack === 'volley') {
+        this._queueAttack({ kind: 'sign', x, z: z + 1, targetX: laneX });
+      } else {
+        this._queueAttack({ kind: 'agent', x: laneX, z: z + 2 });
+      }
+    }
+  }
+}
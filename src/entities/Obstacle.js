@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+import { OBSTACLE, PLAYER } from '../core/Constants.js';
+import { rng } from '../core/Random.js';
+
+/**
+ * Static street obstacle -- parked car, trash can, sprinkler, tricycle or a
+ * district hazard (hydrant, sandcastle, ice patch). Type settings live in
+ * OBSTACLE.TYPES; meshes are built from primitives.
+ */
+export class Obstacle {
+  /**
+   * @param {'car'|'trashCan'|'sprinkler'|'tricycle'|'hydrant'|'sandcastle'|'icePatch'} type
+   * @param {number} x
+   * @param {number} z
+   */
+  constructor(type, x, z) {
+    this.type = type;
+    this.config = OBSTACLE.TYPES[type];
+    this.alive = true;
+    this.hasCollided = false;
+
+    this.mesh = new THREE.Group();
+    this.mesh.position.set(x, 0, z);
+
+    this._animTime = Math.random() * Math.PI * 2;
+    this._tipTimer = 0;
+
+    switch (type) {
+      case 'car': this._buildCar(); break;
+      case 'trashCan': this._buildTrashCan(); break;
+      case 'sprinkler': this._buildSprinkler(); break;
+      case 'tricycle': this._buildTricycle(); break;
+      case 'hydrant': this._buildHydrant(); break;
+      case 'sandcastle': this._buildSandcastle(); break;
+      case 'icePatch': this._buildIcePatch(); break;
+    }
+  }
+
+  _buildCar() {
+    const c = this.config;
+    const bodyMat = new THREE.MeshLambertMaterial({ color: rng.pick(c.COLORS) });
+
+    // Lower body
+    const bodyGeo = new THREE.BoxGeometry(c.WIDTH, c.HEIGHT * 0.5, c.LENGTH);
+    const body = new THREE.Mesh(bodyGeo, bodyMat);
+    body.position.y = c.HEIGHT * 0.25 + 0.15;
+    body.castShadow = true;
+    this.mesh.add(body);
+
+    // Cabin
+    const cabinGeo = new THREE.BoxGeometry(c.WIDTH * 0.85, c.HEIGHT * 0.4, c.LENGTH * 0.5);
+    const cabin = new THREE.Mesh(cabinGeo, bodyMat);
+    cabin.position.set(0, c.HEIGHT * 0.7 + 0.05, c.LENGTH * 0.05);
+    cabin.castShadow = true;
+    this.mesh.add(cabin);
+
+    // Windshield (street-facing, toward the oncoming player)
+    const glassGeo = new THREE.BoxGeometry(c.WIDTH * 0.75, c.HEIGHT * 0.3, 0.05);
+    const glassMat = new THREE.MeshLambertMaterial({ color: 0x223344 });
+    const glass = new THREE.Mesh(glassGeo, glassMat);
+    glass.position.set(0, c.HEIGHT * 0.7 + 0.05, c.LENGTH * 0.3 + 0.01);
+    this.mesh.add(glass);
+
+    // Wheels
+    const wheelGeo = new THREE.CylinderGeometry(0.3, 0.3, 0.2, 10);
+    const wheelMat = new THREE.MeshLambertMaterial({ color: 0x111111 });
+    for (const sx of [-1, 1]) {
+      for (const sz of [-1, 1]) {
+        const wheel = new THREE.Mesh(wheelGeo, wheelMat);
+        wheel.rotation.z = Math.PI / 2;
+        wheel.position.set(sx * c.WIDTH / 2, 0.3, sz * c.LENGTH * 0.32);
+        this.mesh.add(wheel);
+      }
+    }
+  }
+
+  _buildTrashCan() {
+    const c = this.config;
+    // Tip pivot at the base so a knocked can falls over rather than spins
+    this._tipNode = new THREE.Group();
+    this.mesh.add(this._tipNode);
+
+    const canGeo = new THREE.CylinderGeometry(c.RADIUS, c.RADIUS * 0.85, c.HEIGHT * 0.9, 12);
+    const canMat = new THREE.MeshLambertMaterial({ color: c.COLOR });
+    const can = new THREE.Mesh(canGeo, canMat);
+    can.position.y = c.HEIGHT * 0.45;
+    can.castShadow = true;
+    this._tipNode.add(can);
+
+    const lidGeo = new THREE.CylinderGeometry(c.RADIUS * 1.1, c.RADIUS * 1.1, c.HEIGHT * 0.1, 12);
+    const lidMat = new THREE.MeshLambertMaterial({ color: c.LID_COLOR });
+    const lid = new THREE.Mesh(lidGeo, lidMat);
+    lid.position.y = c.HEIGHT * 0.95;
+    this._tipNode.add(lid);
+  }
+
+  _buildSprinkler() {
+    const c = this.config;
+    // Head
+    const headGeo = new THREE.CylinderGeometry(0.08, 0.12, 0.25, 8);
+    const headMat = new THREE.MeshLambertMaterial({ color: c.COLOR });
+    const head = new THREE.Mesh(headGeo, headMat);
+    head.position.y = 0.125;
+    this.mesh.add(head);
+
+    // Spray fan -- translucent half-cone that sweeps back and forth
+    const sprayGeo = new THREE.ConeGeometry(c.RADIUS, c.HEIGHT, 16, 1, true, 0, Math.PI);
+    const sprayMat = new THREE.MeshBasicMaterial({
+      color: c.SPRAY_COLOR,
+      transparent: true,
+      opacity: 0.35,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    this._spray = new THREE.Mesh(sprayGeo, sprayMat);
+    this._spray.rotation.x = Math.PI; // wide end up, like a fan of droplets
+    this._spray.position.y = c.HEIGHT / 2 + 0.2;
+    this.mesh.add(this._spray);
+  }
+
+  _buildTricycle() {
+    const c = this.config;
+    this._tipNode = new THREE.Group();
+    this.mesh.add(this._tipNode);
+
+    const frameMat = new THREE.MeshLambertMaterial({ color: c.COLOR });
+    const wheelMat = new THREE.MeshLambertMaterial({ color: c.WHEEL_COLOR });
+
+    // Frame + seat
+    const frameGeo = new THREE.BoxGeometry(0.08, 0.08, c.LENGTH * 0.8);
+    const frame = new THREE.Mesh(frameGeo, frameMat);
+    frame.position.y = c.HEIGHT * 0.5;
+    frame.castShadow = true;
+    this._tipNode.add(frame);
+
+    const seatGeo = new THREE.BoxGeometry(0.22, 0.06, 0.2);
+    const seat = new THREE.Mesh(seatGeo, frameMat);
+    seat.position.set(0, c.HEIGHT * 0.62, c.LENGTH * 0.1);
+    this._tipNode.add(seat);
+
+    // Handlebar
+    const barGeo = new THREE.BoxGeometry(c.WIDTH * 0.8, 0.05, 0.05);
+    const bar = new THREE.Mesh(barGeo, frameMat);
+    bar.position.set(0, c.HEIGHT, -c.LENGTH * 0.35);
+    this._tipNode.add(bar);
+
+    // Big front wheel, two small rear wheels
+    const frontGeo = new THREE.CylinderGeometry(0.25, 0.25, 0.06, 12);
+    const front = new THREE.Mesh(frontGeo, wheelMat);
+    front.rotation.z = Math.PI / 2;
+    front.position.set(0, 0.25, -c.LENGTH * 0.4);
+    this._tipNode.add(front);
+
+    const rearGeo = new THREE.CylinderGeometry(0.14, 0.14, 0.05, 10);
+    for (const sx of [-1, 1]) {
+      const rear = new THREE.Mesh(rearGeo, wheelMat);
+      rear.rotation.z = Math.PI / 2;
+      rear.position.set(sx * c.WIDTH / 2, 0.14, c.LENGTH * 0.4);
+      this._tipNode.add(rear);
+    }
+  }
+
+  _buildHydrant() {
+    const c = this.config;
+    const mat = new THREE.MeshLambertMaterial({ color: c.COLOR });
+
+    const barrel = new THREE.Mesh(new THREE.CylinderGeometry(c.RADIUS * 0.7, c.RADIUS * 0.8, c.HEIGHT * 0.8, 10), mat);
+    barrel.position.y = c.HEIGHT * 0.4;
+    barrel.castShadow = true;
+    this.mesh.add(barrel);
+
+    const cap = new THREE.Mesh(new THREE.SphereGeometry(c.RADIUS * 0.7, 10, 6, 0, Math.PI * 2, 0, Math.PI / 2),
+      new THREE.MeshLambertMaterial({ color: c.CAP_COLOR }));
+    cap.position.y = c.HEIGHT * 0.8;
+    this.mesh.add(cap);
+
+    // Side outlets
+    const nozzle = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.07, c.RADIUS * 2, 8), mat);
+    nozzle.rotation.z = Math.PI / 2;
+    nozzle.position.y = c.HEIGHT * 0.55;
+    this.mesh.add(nozzle);
+  }
+
+  _buildSandcastle() {
+    const c = this.config;
+    this._tipNode = new THREE.Group();
+    this.mesh.add(this._tipNode);
+    const sandMat = new THREE.MeshLambertMaterial({ color: c.COLOR });
+
+    const keep = new THREE.Mesh(new THREE.CylinderGeometry(c.RADIUS * 0.6, c.RADIUS, c.HEIGHT * 0.7, 10), sandMat);
+    keep.position.y = c.HEIGHT * 0.35;
+    keep.castShadow = true;
+    this._tipNode.add(keep);
+
+    const towerGeo = new THREE.CylinderGeometry(0.09, 0.11, c.HEIGHT * 0.5, 6);
+    for (let i = 0; i < 4; i++) {
+      const a = (i / 4) * Math.PI * 2;
+      const tower = new THREE.Mesh(towerGeo, sandMat);
+      tower.position.set(Math.cos(a) * c.RADIUS * 0.75, c.HEIGHT * 0.25, Math.sin(a) * c.RADIUS * 0.75);
+      this._tipNode.add(tower);
+    }
+
+    const flag = new THREE.Mesh(new THREE.BoxGeometry(0.16, 0.1, 0.01),
+      new THREE.MeshLambertMaterial({ color: c.FLAG_COLOR }));
+    flag.position.set(0.08, c.HEIGHT + 0.05, 0);
+    this._tipNode.add(flag);
+  }
+
+  _buildIcePatch() {
+    const c = this.config;
+    const ice = new THREE.Mesh(new THREE.PlaneGeometry(c.WIDTH, c.LENGTH),
+      new THREE.MeshLambertMaterial({ color: c.COLOR, transparent: true, opacity: 0.75, emissive: 0x223344 }));
+    ice.rotation.x = -Math.PI / 2;
+    ice.position.y = 0.04;
+    this.mesh.add(ice);
+  }
+
+  update(delta, playerZ) {
+    if (!this.alive) return;
+
+    this._animTime += delta;
+    if (this._spray) {
+      // Sweep the spray fan
+      this._spray.rotation.y = Math.sin(this._animTime * 2) * 0.8;
+    }
+    if (this._tipTimer > 0 && this._tipNode) {
+      // Knocked over -- fall forward away from the player
+      this._tipTimer = Math.max(0, this._tipTimer - delta);
+      this._tipNode.rotation.x = -(Math.PI / 2) * (1 - this._tipTimer / OBSTACLE.TIP_DURATION);
+    }
+
+    if (this.mesh.position.z > playerZ + OBSTACLE.CLEANUP_DISTANCE) {
+      this.alive = false;
+    }
+  }
+
+  /**
+   * Does the player's collision shape overlap this obstacle?
+   * @param {THREE.Vector3} playerPos
+   * @param {{ bottom: number, top: number }} extent - Player.getVerticalExtent()
+   */
+  checkPlayer(playerPos, extent) {
+    if (!this.alive || this.hasCollided) return false;
+    const c = this.config;
+    if (extent.bottom >= c.HEIGHT) return false; // jumped over
+
+    const dx = Math.abs(this.mesh.position.x - playerPos.x);
+    const dz = Math.abs(this.mesh.position.z - playerPos.z);
+    const r = PLAYER.COLLISION_RADIUS;
+    if (c.SHAPE === 'circle') {
+      return dx * dx + dz * dz < (c.RADIUS + r) * (c.RADIUS + r);
+    }
+    return dx < c.WIDTH / 2 + r && dz < c.LENGTH / 2 + r;
+  }
+
+  /** Mark as hit (one effect per obstacle) and knock it over if it can tip */
+  hit() {
+    this.hasCollided = true;
+    if (this._tipNode) this._tipTimer = OBSTACLE.TIP_DURATION;
+  }
+
+  dispose(scene) {
+    this.mesh.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        if (Array.isArray(child.material)) child.material.forEach(m => m.dispose());
+        else child.material.dispose();
+      }
+    });
+    scene.remove(this.mesh);
+  }
+}
@@ -0,0 +1,62 @@
+import { AGENT_TYPES } from '../core/Constants.js';
+import { ObjectPool } from '../core/ObjectPool.js';
+import { Agent } from './Agent.js';
+
+const CFG = AGENT_TYPES.openHouse;
+
+/**
+ * Open house crowd member. A crowd gathers on one sidewalk, chatting in
+ * place; when the player approaches they cheer (telegraph) and the eager
+ * ones spill off the curb toward STEP_OUT_X.
+ */
+export class OpenHouseAgent extends Agent {
+  constructor() {
+    super();
+    this.type = 'openHouse';
+    this._tint(CFG.TINT);
+  }
+
+  /**
+   * @param {number} x - spot on the sidewalk
+   * @param {number} z
+   * @param {-1|1} side - sidewalk the crowd is on
+   * @param {boolean} eager - steps into the street after cheering
+   */
+  reset(x, z, side, eager) {
+    super.reset(x, z);
+    this.speed = 0;
+    this._stepX = eager ? side * CFG.STEP_OUT_X : null;
+    this._steppingOut = false;
+    this._alerted = false;
+    this.mesh.rotation.y = -side * 0.6; // face into the street
+  }
+
+  _updateBehaviour(delta, playerZ) {
+    if (!this._alerted && playerZ - this.mesh.position.z < CFG.TELEGRAPH_DISTANCE) {
+      this._alerted = true;
+      this.startTelegraph(CFG.TELEGRAPH);
+    }
+    if (this._steppingOut) {
+      const dx = this._stepX - this.mesh.position.x;
+      const step = CFG.STEP_SPEED * delta;
+      if (Math.abs(dx) <= step) {
+        this.mesh.position.x = this._stepX;
+        this._steppingOut = false;
+      } else {
+        this.mesh.position.x += Math.sign(dx) * step;
+      }
+    }
+  }
+
+  _animateTelegraph(t) {
+    // Excited hops
+    this.rig.position.y = Math.abs(Math.sin(t * Math.PI * 3)) * 0.25;
+  }
+
+  _onTelegraphEnd() {
+    this.rig.position.y = 0;
+    this._steppingOut = this._stepX !== null;
+  }
+}
+
+export const openHousePool = new ObjectPool('openHouse', () => new OpenHouseAgent());
@@ -1,15 +1,12 @@
 import * as THREE from 'three';
 import { PANIC_POINT } from '../core/Constants.js';
+import { ObjectPool } from '../core/ObjectPool.js';
 
 const _ppGeo = new THREE.SphereGeometry(PANIC_POINT.RADIUS, 8, 6);
 
+/** Panic points come from panicPointPool.acquire(x, z) */
 export class PanicPoint {
-  constructor(x, z) {
-    this.alive = true;
-    this.collected = false;
-    this.timeAlive = 0;
-    this._flashTimer = 0;
-
+  constructor() {
     // Green glowing sphere
     const mat = new THREE.MeshLambertMaterial({
       color: PANIC_POINT.COLOR,
@@ -17,7 +14,6 @@ export class PanicPoint {
       emissiveIntensity: 0.3,
     });
     this.mesh = new THREE.Mesh(_ppGeo, mat);
-    this.mesh.position.set(x, PANIC_POINT.FLOAT_HEIGHT, z);
     this.baseY = PANIC_POINT.FLOAT_HEIGHT;
 
     // Add a small inner ring for a $ sign effect
@@ -27,6 +23,18 @@ export class PanicPoint {
     this.mesh.add(this.ring);
   }
 
+  reset(x, z) {
+    this.alive = true;
+    this.collected = false;
+    this.timeAlive = 0;
+    this._flashTimer = 0;
+    this.mesh.position.set(x, PANIC_POINT.FLOAT_HEIGHT, z);
+    this.mesh.rotation.set(0, 0, 0);
+    this.mesh.scale.setScalar(1);
+    this.mesh.material.transparent = false;
+    this.mesh.material.opacity = 1;
+  }
+
   update(delta) {
     if (!this.alive) return;
 
@@ -65,6 +73,21 @@ export class PanicPoint {
     return true;
   }
 
+  /**
+   * Magnet power-up: drift toward the player once within PULL_RADIUS.
+   * @param {{ PULL_RADIUS: number, PULL_SPEED: number }} magnet - POWERUP.TYPES.magnet
+   */
+  pullToward(playerPos, magnet, delta) {
+    if (this.collected || !this.alive) return;
+    const dx = playerPos.x - this.mesh.position.x;
+    const dz = playerPos.z - this.mesh.position.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    if (dist > magnet.PULL_RADIUS || dist < 1e-6) return;
+    const step = Math.min(dist, magnet.PULL_SPEED * delta);
+    this.mesh.position.x += (dx / dist) * step;
+    this.mesh.position.z += (dz / dist) * step;
+  }
+
   checkPlayer(playerPos) {
     if (this.collected || !this.alive) return false;
     const dx = this.mesh.position.x - playerPos.x;
@@ -73,8 +96,12 @@ export class PanicPoint {
     return dist < PANIC_POINT.COLLECT_RADIUS;
   }
 
-  dispose(scene) {
-    scene.remove(this.mesh);
+  release() {
+    this.mesh.removeFromParent();
+    this.mesh.userData.prevPos = null;
+  }
+
+  dispose() {
     this.mesh.material.dispose();
     if (this.ring) {
       this.ring.geometry.dispose();
@@ -82,3 +109,5 @@ export class PanicPoint {
     }
   }
 }
+
+export const panicPointPool = new ObjectPool('panicPoint', () => new PanicPoint());
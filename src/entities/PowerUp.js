@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+import { POWERUP } from '../core/Constants.js';
+
+const _ringGeo = new THREE.TorusGeometry(0.45, 0.04, 6, 20);
+
+/**
+ * Floating power-up pickup. One icon per type inside a glowing ring;
+ * the timed effect itself is handled by PowerUpSystem.
+ */
+export class PowerUp {
+  /**
+   * @param {'magnet'|'shield'|'spread'|'certified'} type
+   * @param {number} x
+   * @param {number} z
+   */
+  constructor(type, x, z) {
+    this.type = type;
+    this.config = POWERUP.TYPES[type];
+    this.alive = true;
+    this.collected = false;
+    this.timeAlive = 0;
+
+    this.mesh = new THREE.Group();
+    this.mesh.position.set(x, POWERUP.FLOAT_HEIGHT, z);
+
+    const ringMat = new THREE.MeshBasicMaterial({ color: this.config.COLOR });
+    this.mesh.add(new THREE.Mesh(_ringGeo, ringMat));
+
+    switch (type) {
+      case 'magnet': this._buildMagnet(); break;
+      case 'shield': this._buildShield(); break;
+      case 'spread': this._buildSpread(); break;
+      case 'certified': this._buildCertified(); break;
+    }
+  }
+
+  _buildMagnet() {
+    // Horseshoe: half torus with silver tips
+    const bodyGeo = new THREE.TorusGeometry(0.2, 0.07, 6, 12, Math.PI);
+    const bodyMat = new THREE.MeshLambertMaterial({ color: this.config.COLOR, emissive: 0x440000 });
+    const body = new THREE.Mesh(bodyGeo, bodyMat);
+    body.rotation.z = Math.PI;
+    this.mesh.add(body);
+
+    const tipGeo = new THREE.BoxGeometry(0.14, 0.1, 0.14);
+    const tipMat = new THREE.MeshLambertMaterial({ color: 0xdddddd });
+    for (const sx of [-1, 1]) {
+      const tip = new THREE.Mesh(tipGeo, tipMat);
+      tip.position.set(sx * 0.2, 0.05, 0);
+      this.mesh.add(tip);
+    }
+  }
+
+  _buildShield() {
+    const geo = new THREE.SphereGeometry(0.25, 12, 8);
+    const mat = new THREE.MeshLambertMaterial({
+      color: this.config.COLOR,
+      emissive: 0x113355,
+      transparent: true,
+      opacity: 0.8,
+    });
+    this.mesh.add(new THREE.Mesh(geo, mat));
+  }
+
+  _buildSpread() {
+    // Three envelopes fanned out
+    const geo = new THREE.BoxGeometry(0.24, 0.16, 0.02);
+    const mat = new THREE.MeshLambertMaterial({ color: this.config.COLOR, emissive: 0x333333 });
+    for (let i = -1; i <= 1; i++) {
+      const env = new THREE.Mesh(geo, mat);
+      env.position.set(i * 0.12, Math.abs(i) * -0.04, i * 0.01);
+      env.rotation.z = -i * 0.4;
+      this.mesh.add(env);
+    }
+  }
+
+  _buildCertified() {
+    // Gold envelope with a red wax seal
+    const envGeo = new THREE.BoxGeometry(0.4, 0.26, 0.03);
+    const envMat = new THREE.MeshLambertMaterial({ color: this.config.COLOR, emissive: 0x443300 });
+    this.mesh.add(new THREE.Mesh(envGeo, envMat));
+
+    const sealGeo = new THREE.CylinderGeometry(0.06, 0.06, 0.02, 10);
+    const sealMat = new THREE.MeshLambertMaterial({ color: 0xcc0000 });
+    const seal = new THREE.Mesh(sealGeo, sealMat);
+    seal.rotation.x = Math.PI / 2;
+    seal.position.z = 0.025;
+    this.mesh.add(seal);
+  }
+
+  update(delta, playerZ) {
+    if (!this.alive) return;
+
+    this.timeAlive += delta;
+    this.mesh.position.y = POWERUP.FLOAT_HEIGHT +
+      Math.sin(this.timeAlive * POWERUP.BOB_SPEED) * POWERUP.BOB_AMPLITUDE;
+    this.mesh.rotation.y += POWERUP.SPIN_SPEED * delta;
+
+    if (this.collected || this.mesh.position.z > playerZ + POWERUP.CLEANUP_DISTANCE) {
+      this.alive = false;
+    }
+  }
+
+  checkPlayer(playerPos) {
+    if (this.collected || !this.alive) return false;
+    const dx = this.mesh.position.x - playerPos.x;
+    const dz = this.mesh.position.z - playerPos.z;
+    return dx * dx + dz * dz < POWERUP.COLLECT_RADIUS * POWERUP.COLLECT_RADIUS;
+  }
+
+  collect() {
+    if (this.collected) return false;
+    this.collected = true;
+    this.mesh.visible = false; // stays in its street chunk until that recycles
+    return true;
+  }
+
+  dispose(scene) {
+    this.mesh.traverse((child) => {
+      if (child.isMesh) {
+        if (child.geometry !== _ringGeo) child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+    scene.remove(this.mesh);
+  }
+}
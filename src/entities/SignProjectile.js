@@ -0,0 +1,64 @@
+import * as THREE from 'three';
+import { AGENT, SIGN_PROJECTILE } from '../core/Constants.js';
+
+const _signGeo = new THREE.BoxGeometry(AGENT.SIGN_WIDTH, AGENT.SIGN_HEIGHT, AGENT.SIGN_DEPTH);
+const _signMat = new THREE.MeshLambertMaterial({ color: AGENT.COLOR_SIGN });
+
+/**
+ * FOR SALE sign hurled by a SignThrowerAgent. Flies toward the player at
+ * chest height while drifting onto the lane the player was in at the throw.
+ */
+export class SignProjectile {
+  /**
+   * @param {number} x - thrower position
+   * @param {number} z
+   * @param {number} targetX - player X when thrown
+   */
+  constructor(x, z, targetX) {
+    this.mesh = new THREE.Mesh(_signGeo, _signMat);
+    this.mesh.position.set(x, SIGN_PROJECTILE.HEIGHT, z);
+    this.targetX = targetX;
+    this.alive = true;
+    this.hasCollided = false;
+    this.distanceTraveled = 0;
+  }
+
+  update(delta, playerZ) {
+    if (!this.alive) return;
+
+    const move = SIGN_PROJECTILE.SPEED * delta;
+    this.mesh.position.z += move;
+    this.distanceTraveled += move;
+
+    // Drift onto the target lane at half the forward speed
+    const dx = this.targetX - this.mesh.position.x;
+    const step = move * 0.5;
+    this.mesh.position.x += Math.max(-step, Math.min(step, dx));
+
+    // Frisbee spin
+    this.mesh.rotation.y += SIGN_PROJECTILE.SPIN_SPEED * delta;
+
+    if (this.hasCollided ||
+        this.distanceTraveled > SIGN_PROJECTILE.MAX_DISTANCE ||
+        this.mesh.position.z > playerZ + 10) {
+      this.alive = false;
+    }
+  }
+
+  /**
+   * @param {THREE.Vector3} playerPos
+   * @param {{ bottom: number, top: number }} extent - player's vertical extent
+   */
+  checkPlayer(playerPos, extent) {
+    if (!this.alive || this.hasCollided) return false;
+    const dx = this.mesh.position.x - playerPos.x;
+    const dz = this.mesh.position.z - playerPos.z;
+    if (dx * dx + dz * dz > SIGN_PROJECTILE.RADIUS * SIGN_PROJECTILE.RADIUS) return false;
+    return extent.bottom < SIGN_PROJECTILE.HEIGHT + SIGN_PROJECTILE.HALF_HEIGHT &&
+      extent.top > SIGN_PROJECTILE.HEIGHT - SIGN_PROJECTILE.HALF_HEIGHT;
+  }
+
+  dispose(scene) {
+    scene.remove(this.mesh);
+  }
+}
@@ -0,0 +1,73 @@
+import { AGENT_TYPES } from '../core/Constants.js';
+import { ObjectPool } from '../core/ObjectPool.js';
+import { Agent } from './Agent.js';
+
+const CFG = AGENT_TYPES.thrower;
+
+/**
+ * Sign thrower: walks in until THROW_DISTANCE, stops, winds up with the
+ * FOR SALE sign over its head (telegraph) and hurls it down the player's
+ * lane. The throw is queued for StreetGenerator via consumeThrows(), which
+ * turns it into a SignProjectile. Stunning it mid wind-up cancels the throw.
+ */
+export class SignThrowerAgent extends Agent {
+  constructor() {
+    super();
+    this.type = 'thrower';
+    this._throws = [];
+    this._signBaseY = this.sign ? this.sign.position.y : 0;
+    this._tint(CFG.TINT);
+  }
+
+  reset(x, z) {
+    super.reset(x, z);
+    this._throws.length = 0;
+    this._playerX = 0;
+    this._playerZ = 0;
+  }
+
+  _updateBehaviour(delta, playerZ, playerX) {
+    this._playerX = playerX;
+    this._playerZ = playerZ;
+    if (this.isTelegraphing) return;
+
+    if (this.hasSign && playerZ - this.mesh.position.z < CFG.THROW_DISTANCE) {
+      this.startTelegraph(CFG.TELEGRAPH);
+      return;
+    }
+    this.mesh.position.z += this.speed * delta;
+  }
+
+  _animateTelegraph(t) {
+    // Lean back and hoist the sign
+    this.rig.rotation.x = -0.5 * Math.sin(t * Math.PI / 2);
+    if (this.sign) this.sign.position.y = this._signBaseY + 0.6 * t;
+  }
+
+  _onTelegraphEnd() {
+    this.rig.rotation.x = 0;
+    this._throws.push({
+      x: this.mesh.position.x,
+      z: this.mesh.position.z,
+      targetX: this._playerX,
+      targetZ: this._playerZ,
+    });
+    this._loseSign();
+  }
+
+  /** The sign left with the throw -- nothing to drop if stunned later */
+  _loseSign() {
+    this.hasSign = false;
+    if (this.sign) this.rig.remove(this.sign, this._post);
+    this.sign = null;
+  }
+
+  consumeThrows() {
+    if (this._throws.length === 0) return this._throws;
+    const throws = this._throws;
+    this._throws = [];
+    return throws;
+  }
+}
+
+export const throwerPool = new ObjectPool('thrower', () => new SignThrowerAgent());
@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+import { CHARACTER, GHOST } from '../core/Constants.js';
+import { loadAnimatedModel } from '../level/AssetLoader.js';
+
+const _q = new THREE.Quaternion();
+const _up = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Samples the player's X/Z every GHOST.SAMPLE_INTERVAL seconds of simulation
+ * time. Stored as a flat [x0, z0, x1, z1, ...] array to keep saves small.
+ */
+export class GhostRecorder {
+  constructor() {
+    this.start();
+  }
+
+  start() {
+    this.path = [];
+    this._timer = 0;
+  }
+
+  /** Call once per simulation step with the player's position */
+  sample(delta, pos) {
+    if (this.path.length >= GHOST.MAX_SAMPLES * 2) return;
+    if (this.path.length > 0) {
+      this._timer += delta;
+      if (this._timer < GHOST.SAMPLE_INTERVAL) return;
+      this._timer -= GHOST.SAMPLE_INTERVAL;
+    }
+    this.path.push(_round(pos.x), _round(pos.z));
+  }
+}
+
+/** @returns {{ score: number, path: number[] }|null} the saved best-run ghost */
+export function loadGhostRun() {
+  try {
+    const data = JSON.parse(localStorage.getItem(GHOST.STORAGE_KEY));
+    if (data && Array.isArray(data.path) && data.path.length >= 4) return data;
+  } catch (_) { /* missing or corrupt -- no ghost */ }
+  return null;
+}
+
+export function saveGhostRun(score, path) {
+  try {
+    localStorage.setItem(GHOST.STORAGE_KEY, JSON.stringify({ score, path }));
+  } catch (_) { /* storage full or unavailable */ }
+}
+
+/**
+ * Translucent RobotExpressive clone that replays a recorded best-run path.
+ * Built like Player._loadModel, with see-through materials and no shadows.
+ */
+export class Ghost {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {{ score: number, path: number[] }} run - from loadGhostRun()
+   */
+  constructor(scene, run) {
+    this.scene = scene;
+    this.score = run.score;
+    this._path = run.path;
+    this._sampleCount = run.path.length / 2;
+    this.time = 0;
+    this.finished = false;
+    this.mixer = null;
+
+    this.mesh = new THREE.Group();
+    this.mesh.position.set(this._path[0], 0, this._path[1]);
+    this.scene.add(this.mesh);
+
+    this._loadModel();
+  }
+
+  async _loadModel() {
+    try {
+      const { model, clips } = await loadAnimatedModel(CHARACTER.path);
+      model.scale.setScalar(CHARACTER.scale);
+      model.position.y = CHARACTER.offsetY;
+      model.traverse((child) => {
+        if (child.isMesh) {
+          child.material = child.material.clone();
+          child.material.transparent = true;
+          child.material.opacity = GHOST.OPACITY;
+          child.material.depthWrite = false;
+          if (child.material.color) child.material.color.lerp(new THREE.Color(GHOST.TINT), 0.5);
+          child.castShadow = false;
+          child.receiveShadow = false;
+        }
+      });
+
+      // Face forward (-Z) like the player
+      _q.setFromAxisAngle(_up, (CHARACTER.facingOffset || 0) + Math.PI);
+      model.quaternion.copy(_q);
+
+      this.model = model;
+      this.mesh.add(model);
+
+      this.mixer = new THREE.AnimationMixer(model);
+      const runClip = clips.find(c => c.name === CHARACTER.clipMap.run);
+      if (runClip) this.mixer.clipAction(runClip).play();
+    } catch (err) {
+      console.warn('Ghost model failed, running without ghost:', err.message);
+    }
+  }
+
+  /** Advance along the recorded path (simulation step) */
+  update(delta) {
+    if (this.finished) return;
+    this.time += delta;
+
+    const f = this.time / GHOST.SAMPLE_INTERVAL;
+    const i = Math.floor(f);
+    if (i >= this._sampleCount - 1) {
+      // The best run ended here -- the ghost drops out
+      this.finished = true;
+      this.mesh.visible = false;
+      return;
+    }
+
+    const t = f - i;
+    const p = this._path;
+    this.mesh.position.x = p[i * 2] + (p[i * 2 + 2] - p[i * 2]) * t;
+    this.mesh.position.z = p[i * 2 + 1] + (p[i * 2 + 3] - p[i * 2 + 1]) * t;
+  }
+
+  /** Skeletal animation only (render rate) */
+  updateAnimation(delta) {
+    if (this.mixer && !this.finished) this.mixer.update(delta);
+  }
+
+  destroy() {
+    if (this.mixer) this.mixer.stopAllAction();
+    this.mesh.traverse((c) => {
+      if (c.isMesh) {
+        c.geometry.dispose();
+        if (Array.isArray(c.material)) c.material.forEach(m => m.dispose());
+        else c.material.dispose();
+      }
+    });
+    this.scene.remove(this.mesh);
+  }
+}
+
+function _round(v) {
+  return Math.round(v * 100) / 100;
+}
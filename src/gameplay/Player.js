@@ -1,9 +1,10 @@
 import * as THREE from 'three';
-import { PLAYER, CHARACTER, STREET, ENVELOPE, GAMEPLAY } from '../core/Constants.js';
+import { PLAYER, CHARACTER, STREET, ENVELOPE_TYPES, GAMEPLAY, POWERUP } from '../core/Constants.js';
 import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
+import { runConfig } from '../core/RunConfig.js';
 import { loadAnimatedModel } from '../level/AssetLoader.js';
-import { Envelope } from '../entities/Envelope.js';
+import { envelopePool } from '../entities/Envelope.js';
 
 const _v = new THREE.Vector3();
 const _q = new THREE.Quaternion();
@@ -20,10 +21,20 @@ export class Player {
 
     // Throwing
     this.envelopes = [];
+    this.envelopeType = ENVELOPE_TYPES.ORDER[0];
     this._throwCooldown = 0;
     this._throwAnimTimer = 0;
     this._isThrowAnim = false;
 
+    // Vertical moves (jump arc on mesh.position.y, timed slide)
+    this._velocityY = 0;
+    this._slideTimer = 0;
+    this._slideQueued = false;
+
+    // Temporary slowdown (sprinklers, tripping)
+    this._slowTimer = 0;
+    this._slowFactor = 1;
+
     // Invincibility
     this._invincibleTimer = 0;
     this._flashAccum = 0;
@@ -33,7 +44,8 @@ export class Player {
     this.mesh.position.set(PLAYER.START_X, PLAYER.START_Y, PLAYER.START_Z);
     this.scene.add(this.mesh);
 
-    this._loadModel();
+    // Resolves once the model (or fallback) is attached -- test mode awaits this
+    this.loaded = this._loadModel();
   }
 
   async _loadModel() {
@@ -50,6 +62,12 @@ export class Player {
       for (const clip of clips) {
         this.actions[clip.name] = this.mixer.clipAction(clip);
       }
+      // Jump plays once and holds its last pose until landing
+      const jumpAction = this.actions[CHARACTER.clipMap.jump];
+      if (jumpAction) {
+        jumpAction.setLoop(THREE.LoopOnce);
+        jumpAction.clampWhenFinished = true;
+      }
 
       // Start running (auto-runner)
       const runClip = CHARACTER.clipMap.run;
@@ -85,29 +103,30 @@ export class Player {
 
   /**
    * @param {THREE.Vector3|null} targetPos - Optional target house position to aim at
+   * @param {object} [options]
+   * @param {number} [options.spreadAngle=0] - also fire two straight envelopes this many radians either side
+   * @param {THREE.Vector3[]} [options.extraTargets=[]] - also fire one aimed envelope at each
+   * @param {number} [options.carrySpeed=0] - runner's forward speed added to the main throw
+   *   (so it can catch a target moving with the player, e.g. a boss)
    */
-  throwEnvelope(targetPos) {
+  throwEnvelope(targetPos, { spreadAngle = 0, extraTargets = [], carrySpeed = 0 } = {}) {
     if (this._throwCooldown > 0) return;
     if (gameState.gameOver) return;
 
-    this._throwCooldown = ENVELOPE.COOLDOWN;
-    gameState.totalThrown++;
-
-    // Compute direction toward target or default forward
-    let dir;
-    if (targetPos) {
-      dir = new THREE.Vector3(
-        targetPos.x - this.mesh.position.x,
-        0,
-        targetPos.z - this.mesh.position.z
-      ).normalize();
-    } else {
-      dir = new THREE.Vector3(0, 0, -1);
-    }
+    this._throwCooldown = ENVELOPE_TYPES[this.envelopeType].COOLDOWN;
 
-    const envelope = new Envelope(this.mesh.position, dir, targetPos);
-    this.scene.add(envelope.mesh);
-    this.envelopes.push(envelope);
+    const dir = this._launchEnvelope(targetPos, null, carrySpeed);
+    let count = 1;
+    if (spreadAngle > 0) {
+      this._launchEnvelope(null, dir.clone().applyAxisAngle(_up, spreadAngle), carrySpeed);
+      this._launchEnvelope(null, dir.clone().applyAxisAngle(_up, -spreadAngle), carrySpeed);
+      count += 2;
+    }
+    for (const extra of extraTargets) {
+      this._launchEnvelope(extra);
+      count++;
+    }
+    gameState.totalThrown += count;
 
     // Play throw (Punch) animation briefly
     this._isThrowAnim = true;
@@ -117,10 +136,120 @@ export class Player {
     eventBus.emit(Events.ENVELOPE_THROWN, {
       x: this.mesh.position.x,
       z: this.mesh.position.z,
+      count,
     });
     eventBus.emit(Events.SPECTACLE_ACTION, { type: 'throw' });
   }
 
+  /**
+   * Spawn one envelope toward targetPos (or along dir / straight ahead).
+   * @returns {THREE.Vector3} the launch direction
+   */
+  _launchEnvelope(targetPos, dir = null, carrySpeed = 0) {
+    if (!dir) {
+      dir = targetPos
+        ? new THREE.Vector3(targetPos.x - this.mesh.position.x, 0, targetPos.z - this.mesh.position.z).normalize()
+        : new THREE.Vector3(0, 0, -1);
+    }
+    this.spawnEnvelope(this.mesh.position, dir, targetPos, this.envelopeType).carrySpeed = carrySpeed;
+    return dir;
+  }
+
+  /** Add an in-flight envelope of any type (also used for bidding war fragments) */
+  spawnEnvelope(fromPos, dir, targetPos, type) {
+    const envelope = envelopePool.acquire(fromPos, dir, targetPos, type);
+    this.scene.add(envelope.mesh);
+    this.envelopes.push(envelope);
+    return envelope;
+  }
+
+  /** Switch to the next envelope type in ENVELOPE_TYPES.ORDER */
+  cycleEnvelopeType() {
+    const order = ENVELOPE_TYPES.ORDER;
+    this.envelopeType = order[(order.indexOf(this.envelopeType) + 1) % order.length];
+    eventBus.emit(Events.ENVELOPE_TYPE_CHANGED, {
+      type: this.envelopeType,
+      label: ENVELOPE_TYPES[this.envelopeType].LABEL,
+    });
+  }
+
+  /** Show or hide the shield power-up bubble */
+  setShieldVisible(visible) {
+    if (visible && !this._shieldMesh) {
+      const geo = new THREE.SphereGeometry(POWERUP.TYPES.shield.BUBBLE_RADIUS, 16, 12);
+      const mat = new THREE.MeshBasicMaterial({
+        color: POWERUP.TYPES.shield.COLOR,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false,
+      });
+      this._shieldMesh = new THREE.Mesh(geo, mat);
+      this._shieldMesh.position.y = PLAYER.HEIGHT / 2;
+      this.mesh.add(this._shieldMesh);
+    }
+    if (this._shieldMesh) this._shieldMesh.visible = visible;
+  }
+
+  /** Run at `factor` of the current speed for `duration` seconds */
+  applySlow(factor, duration) {
+    this._slowFactor = this._slowTimer > 0 ? Math.min(this._slowFactor, factor) : factor;
+    this._slowTimer = Math.max(this._slowTimer, duration);
+  }
+
+  jump() {
+    if (this.isAirborne) return;
+    this._endSlide();
+    this._velocityY = PLAYER.JUMP_VELOCITY;
+    this._isThrowAnim = false;
+    this.fadeToAction('jump', 0.1);
+    eventBus.emit(Events.PLAYER_JUMP, { x: this.mesh.position.x, z: this.mesh.position.z });
+  }
+
+  slide() {
+    if (this.isAirborne) {
+      // Slam down and duck on landing
+      this._velocityY = Math.min(this._velocityY, -PLAYER.FAST_FALL_VELOCITY);
+      this._slideQueued = true;
+      return;
+    }
+    const wasSliding = this.isSliding;
+    this._slideTimer = PLAYER.SLIDE_DURATION;
+    if (!wasSliding) {
+      eventBus.emit(Events.PLAYER_SLIDE, { x: this.mesh.position.x, z: this.mesh.position.z });
+    }
+  }
+
+  _endSlide() {
+    this._slideTimer = 0;
+    this._slideQueued = false;
+    if (this.model) this.model.scale.y = CHARACTER.scale;
+  }
+
+  _updateVertical(delta) {
+    if (this.isAirborne) {
+      this._velocityY -= PLAYER.GRAVITY * delta;
+      this.mesh.position.y += this._velocityY * delta;
+      if (this.mesh.position.y <= PLAYER.START_Y) {
+        // Landed
+        this.mesh.position.y = PLAYER.START_Y;
+        this._velocityY = 0;
+        this.fadeToAction('run', 0.15);
+        if (this._slideQueued) {
+          this._slideQueued = false;
+          this.slide();
+        }
+      }
+    }
+
+    if (this._slideTimer > 0) {
+      this._slideTimer -= delta;
+      if (this._slideTimer <= 0) this._endSlide();
+    }
+    if (this.model) {
+      this.model.scale.y = CHARACTER.scale * (this.isSliding ? PLAYER.SLIDE_SCALE_Y : 1);
+    }
+  }
+
   takeDamage() {
     if (this._invincibleTimer > 0) return;
 
@@ -142,8 +271,12 @@ export class Player {
     }
   }
 
-  update(delta, input) {
+  /** Advance skeletal animation (render-rate, not part of the fixed-step simulation) */
+  updateAnimation(delta) {
     if (this.mixer) this.mixer.update(delta);
+  }
+
+  update(delta, input) {
     if (!this.ready) return;
 
     // Throw cooldown
@@ -156,12 +289,24 @@ export class Player {
       this._throwAnimTimer -= delta;
       if (this._throwAnimTimer <= 0) {
         this._isThrowAnim = false;
-        this.fadeToAction('run', 0.2);
+        if (!this.isAirborne) this.fadeToAction('run', 0.2);
       }
     }
 
+    if (input.cyclePressed) this.cycleEnvelopeType();
+
+    // Jump / slide
+    if (input.jumpPressed) this.jump();
+    if (input.slidePressed) this.slide();
+    this._updateVertical(delta);
+
     // Auto-run forward (negative Z direction)
-    this.mesh.position.z -= gameState.currentSpeed * delta;
+    let speed = gameState.currentSpeed;
+    if (this._slowTimer > 0) {
+      this._slowTimer -= delta;
+      speed *= this._slowFactor;
+    }
+    this.mesh.position.z -= speed * delta;
 
     // Left/right lane movement
     let ix = 0;
@@ -201,7 +346,7 @@ export class Player {
     // Remove dead envelopes
     for (let i = this.envelopes.length - 1; i >= 0; i--) {
       if (!this.envelopes[i].alive) {
-        this.envelopes[i].dispose(this.scene);
+        envelopePool.release(this.envelopes[i]);
         this.envelopes.splice(i, 1);
       }
     }
@@ -209,10 +354,10 @@ export class Player {
     // NOTE: Throw input is now handled in Game.animate() so it can find targets
 
     // Increase speed over time
-    if (gameState.currentSpeed < GAMEPLAY.MAX_SPEED) {
-      gameState.currentSpeed += GAMEPLAY.SPEED_INCREASE_RATE * delta;
-      if (gameState.currentSpeed > GAMEPLAY.MAX_SPEED) {
-        gameState.currentSpeed = GAMEPLAY.MAX_SPEED;
+    if (gameState.currentSpeed < runConfig.maxSpeed) {
+      gameState.currentSpeed += runConfig.speedIncreaseRate * runConfig.intensity * delta;
+      if (gameState.currentSpeed > runConfig.maxSpeed) {
+        gameState.currentSpeed = runConfig.maxSpeed;
       }
     }
 
@@ -227,16 +372,42 @@ export class Player {
     return this._invincibleTimer > 0;
   }
 
+  get isSlowed() {
+    return this._slowTimer > 0;
+  }
+
+  get isAirborne() {
+    return this.mesh.position.y > PLAYER.START_Y || this._velocityY > 0;
+  }
+
+  get isSliding() {
+    return this._slideTimer > 0;
+  }
+
+  /**
+   * World-space vertical span of the player's collision box. Low obstacles
+   * are cleared when bottom is above their top; high ones when top is below
+   * their underside.
+   * @returns {{ bottom: number, top: number }}
+   */
+  getVerticalExtent() {
+    const bottom = this.mesh.position.y;
+    return { bottom, top: bottom + (this.isSliding ? PLAYER.SLIDE_HEIGHT : PLAYER.HEIGHT) };
+  }
+
   reset() {
     this.mesh.position.set(PLAYER.START_X, PLAYER.START_Y, PLAYER.START_Z);
     this.mesh.visible = true;
     this._invincibleTimer = 0;
     this._throwCooldown = 0;
     this._isThrowAnim = false;
+    this.envelopeType = ENVELOPE_TYPES.ORDER[0];
+    this._velocityY = 0;
+    this._endSlide();
+    this._slowTimer = 0;
+    this.setShieldVisible(false);
     // Clean up envelopes
-    for (const env of this.envelopes) {
-      env.dispose(this.scene);
-    }
+    for (const env of this.envelopes) envelopePool.release(env);
     this.envelopes = [];
     // Restart run animation
     if (this.ready) {
@@ -246,9 +417,7 @@ export class Player {
 
   destroy() {
     if (this.mixer) this.mixer.stopAllAction();
-    for (const env of this.envelopes) {
-      env.dispose(this.scene);
-    }
+    for (const env of this.envelopes) envelopePool.release(env);
     this.envelopes = [];
     this.mesh.traverse((c) => {
       if (c.isMesh) {
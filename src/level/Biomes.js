@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+import { BIOME, PLAYER } from '../core/Constants.js';
+
+// Districts are laid out by distance along the street, so a given world Z
+// is always the same district (and blend) on every run.
+
+const _tmp = new THREE.Color();
+const _COLOR_FIELDS = [
+  ['sky', 'SKY'],
+  ['ground', 'GROUND'],
+  ['street', 'STREET'],
+  ['sidewalk', 'SIDEWALK'],
+];
+
+/** Meters along the street for a world Z */
+export function distanceAtZ(z) {
+  return Math.max(0, PLAYER.START_Z - z);
+}
+
+/** Which district (counting repeats) a distance falls in */
+export function biomeIndexAt(distance) {
+  return Math.floor(distance / BIOME.LENGTH);
+}
+
+export function biomeKeyAt(index) {
+  return BIOME.ORDER[index % BIOME.ORDER.length];
+}
+
+/**
+ * District at `distance` and the one after it, with t (0..1) ramping over
+ * the last BIOME.BLEND meters of the district.
+ * @returns {{ from: object, to: object, t: number, index: number }}
+ */
+export function biomeBlendAt(distance) {
+  const index = biomeIndexAt(distance);
+  const local = distance - index * BIOME.LENGTH;
+  const t = Math.min(1, Math.max(0, (local - (BIOME.LENGTH - BIOME.BLEND)) / BIOME.BLEND));
+  return {
+    from: BIOME.TYPES[biomeKeyAt(index)],
+    to: BIOME.TYPES[biomeKeyAt(index + 1)],
+    t,
+    index,
+  };
+}
+
+/**
+ * Blended sky / ground / fog settings at `distance`, written into `out`
+ * (reused every tick to avoid allocation).
+ */
+export function sampleAtmosphere(distance, out = createAtmosphere()) {
+  const { from, to, t } = biomeBlendAt(distance);
+  for (const [key, field] of _COLOR_FIELDS) {
+    out[key].setHex(from[field]).lerp(_tmp.setHex(to[field]), t);
+  }
+  out.fogNear = from.FOG_NEAR + (to.FOG_NEAR - from.FOG_NEAR) * t;
+  out.fogFar = from.FOG_FAR + (to.FOG_FAR - from.FOG_FAR) * t;
+  return out;
+}
+
+export function createAtmosphere() {
+  return {
+    sky: new THREE.Color(),
+    ground: new THREE.Color(),
+    street: new THREE.Color(),
+    sidewalk: new THREE.Color(),
+    fogNear: 0,
+    fogFar: 0,
+  };
+}
@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+
+const _hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+const _color = new THREE.Color();
+
+/**
+ * One InstancedMesh shared by many owners (every house body, every lane
+ * dash...). add() hands out a slot with its own matrix and color, remove()
+ * hides it and recycles the slot. The buffer doubles when it runs out, so the
+ * capacity is a starting size rather than a hard cap.
+ */
+export class InstancedBatch {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.BufferGeometry} geometry - unit-sized; instances scale it
+   * @param {THREE.Material} material - white; instances carry the color
+   * @param {number} capacity - starting slot count
+   * @param {{castShadow?: boolean, receiveShadow?: boolean}} [shadows]
+   */
+  constructor(scene, geometry, material, capacity, { castShadow = false, receiveShadow = false } = {}) {
+    this.scene = scene;
+    this.geometry = geometry;
+    this.material = material;
+    this._castShadow = castShadow;
+    this._receiveShadow = receiveShadow;
+    this._free = []; // recycled slots below mesh.count
+    this.used = 0;
+    this.mesh = this._build(capacity);
+    scene.add(this.mesh);
+  }
+
+  _build(capacity) {
+    const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+    mesh.count = 0; // high-water mark; freed slots below it are hidden
+    // Instances span the whole street -- the batch's bounds are meaningless
+    mesh.frustumCulled = false;
+    mesh.castShadow = this._castShadow;
+    mesh.receiveShadow = this._receiveShadow;
+    mesh.setColorAt(0, _color.set(0xffffff));
+    return mesh;
+  }
+
+  get capacity() {
+    return this.mesh.instanceMatrix.count;
+  }
+
+  /** @returns {number} the new instance's slot */
+  add(matrix, color) {
+    let index = this._free.pop();
+    if (index === undefined) {
+      if (this.mesh.count === this.capacity) this._grow();
+      index = this.mesh.count++;
+    }
+    this.used++;
+    this.setMatrix(index, matrix);
+    this.setColor(index, color);
+    return index;
+  }
+
+  setMatrix(index, matrix) {
+    this.mesh.setMatrixAt(index, matrix);
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /** @param {number|THREE.Color} color */
+  setColor(index, color) {
+    this.mesh.setColorAt(index, _color.set(color));
+    this.mesh.instanceColor.needsUpdate = true;
+  }
+
+  remove(index) {
+    this.setMatrix(index, _hidden);
+    this._free.push(index);
+    this.used--;
+  }
+
+  /** Drop every instance (new run) */
+  clear() {
+    this.mesh.count = 0;
+    this._free.length = 0;
+    this.used = 0;
+  }
+
+  _grow() {
+    const old = this.mesh;
+    const mesh = this._build(this.capacity * 2);
+    mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+    mesh.instanceColor.array.set(old.instanceColor.array);
+    mesh.count = old.count;
+    this.scene.remove(old);
+    old.dispose(); // frees the old instance buffers; geometry/material are shared
+    this.scene.add(mesh);
+    this.mesh = mesh;
+  }
+
+  get stats() {
+    return { used: this.used, capacity: this.capacity };
+  }
+}
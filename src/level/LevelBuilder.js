@@ -30,8 +30,25 @@ export class LevelBuilder {
     this.scene.add(directional);
   }
 
-  buildFog() {
-    this.scene.fog = new THREE.Fog(LEVEL.FOG_COLOR, LEVEL.FOG_NEAR, LEVEL.FOG_FAR);
+  /** Create the distance fog, or retune it in place (district changes) */
+  buildFog(color = LEVEL.FOG_COLOR, near = LEVEL.FOG_NEAR, far = LEVEL.FOG_FAR) {
+    if (!this.scene.fog) {
+      this.scene.fog = new THREE.Fog(color, near, far);
+      return;
+    }
+    this.scene.fog.color.set(color);
+    this.scene.fog.near = near;
+    this.scene.fog.far = far;
+  }
+
+  /**
+   * Apply a district's sky and fog (see level/Biomes.js sampleAtmosphere).
+   * The fog fades into the sky color so the horizon stays seamless.
+   */
+  applyAtmosphere(atmosphere) {
+    if (!this.scene.background) this.scene.background = new THREE.Color();
+    this.scene.background.copy(atmosphere.sky);
+    this.buildFog(atmosphere.sky, atmosphere.fogNear, atmosphere.fogFar);
   }
 
   /** Update light position to follow the player */
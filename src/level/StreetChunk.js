@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+import { STREET } from '../core/Constants.js';
+
+const _rotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2);
+const _pos = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+
+const DASH_SPACING = STREET.LANE_MARKING_LENGTH + STREET.LANE_MARKING_GAP;
+const DASH_COUNT = Math.ceil(STREET.CHUNK_LENGTH / DASH_SPACING);
+const SIDEWALK_X = STREET.WIDTH / 2 + STREET.SIDEWALK_WIDTH / 2;
+const GRASS_X = STREET.WIDTH / 2 + STREET.SIDEWALK_WIDTH + STREET.GRASS_WIDTH / 2;
+
+/**
+ * One STREET.CHUNK_LENGTH stretch of street in StreetGenerator's ring. Its
+ * road / sidewalk / grass tiles and lane dashes are instance slots claimed
+ * once; place() moves and recolors them for a new stretch. The generator
+ * attaches the stretch's houses, obstacles and pickups here and releases
+ * them when the chunk comes round again.
+ */
+export class StreetChunk {
+  /**
+   * @param {import('./InstancedBatch.js').InstancedBatch} tiles
+   * @param {import('./InstancedBatch.js').InstancedBatch} dashes
+   */
+  constructor(tiles, dashes) {
+    this.tiles = tiles;
+    this.dashes = dashes;
+    this.startZ = 0; // near edge; the chunk runs to startZ - CHUNK_LENGTH
+    this.houses = [];
+    this.obstacles = [];
+    this.pickups = [];
+    _matrix.makeScale(0, 0, 0);
+    this._tileSlots = Array.from({ length: 5 }, () => tiles.add(_matrix, 0xffffff));
+    this._dashSlots = Array.from({ length: DASH_COUNT }, () => dashes.add(_matrix, 0xffffff));
+  }
+
+  get endZ() {
+    return this.startZ - STREET.CHUNK_LENGTH;
+  }
+
+  /**
+   * Move the chunk to start at `startZ`, colored with `atm` (a sampled
+   * atmosphere: street / sidewalk / ground colors)
+   */
+  place(startZ, atm) {
+    this.startZ = startZ;
+    const z = startZ - STREET.CHUNK_LENGTH / 2;
+    const [road, swLeft, swRight, grassLeft, grassRight] = this._tileSlots;
+    this._setTile(this.tiles, road, 0, 0.01, z, STREET.WIDTH, atm.street);
+    this._setTile(this.tiles, swLeft, -SIDEWALK_X, 0.02, z, STREET.SIDEWALK_WIDTH, atm.sidewalk);
+    this._setTile(this.tiles, swRight, SIDEWALK_X, 0.02, z, STREET.SIDEWALK_WIDTH, atm.sidewalk);
+    this._setTile(this.tiles, grassLeft, -GRASS_X, 0, z, STREET.GRASS_WIDTH, atm.ground);
+    this._setTile(this.tiles, grassRight, GRASS_X, 0, z, STREET.GRASS_WIDTH, atm.ground);
+
+    // Lane markings (dashed center line)
+    for (let i = 0; i < DASH_COUNT; i++) {
+      this._setTile(this.dashes, this._dashSlots[i], 0, 0.03, startZ - i * DASH_SPACING,
+        STREET.LANE_MARKING_WIDTH, null, STREET.LANE_MARKING_LENGTH);
+    }
+  }
+
+  /** Lay a flat instance on the ground; `length` defaults to the chunk's */
+  _setTile(batch, index, x, y, z, width, color, length = STREET.CHUNK_LENGTH) {
+    _matrix.compose(_pos.set(x, y, z), _rotation, _scale.set(width, length, 1));
+    batch.setMatrix(index, _matrix);
+    if (color) batch.setColor(index, color);
+  }
+}
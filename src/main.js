@@ -1,9 +1,17 @@
 import { Game } from './core/Game.js';
 import { eventBus, Events } from './core/EventBus.js';
 import { gameState } from './core/GameState.js';
+import { rng } from './core/Random.js';
+import { biomeKeyAt, biomeIndexAt } from './level/Biomes.js';
+import { runConfig } from './core/RunConfig.js';
+import { poolStats } from './core/ObjectPool.js';
 import { initAudioBridge } from './audio/AudioBridge.js';
 import { initPlayFun } from './playfun.js';
 
+// Use touch capability detection (not user-agent) for consistent behavior.
+// Declared before first use -- the mute button layout below depends on it.
+const HAS_TOUCH = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
 const game = new Game();
 
 // --- Audio ---
@@ -18,8 +26,10 @@ function initAudioOnce() {
   if (audioInitDone) return;
   audioInitDone = true;
   eventBus.emit(Events.AUDIO_INIT);
-  // Start gameplay music after init (game auto-starts, no title screen)
-  if (gameState.started && !gameState.gameOver) {
+  // Start the music for whatever screen is up once audio is allowed
+  if (gameState.mode === 'menu') {
+    eventBus.emit(Events.MUSIC_MENU);
+  } else if (gameState.mode === 'playing') {
     eventBus.emit(Events.MUSIC_GAMEPLAY);
   }
 }
@@ -27,13 +37,25 @@ window.addEventListener('click', initAudioOnce, { once: false });
 window.addEventListener('touchstart', initAudioOnce, { once: false });
 window.addEventListener('keydown', initAudioOnce, { once: false });
 
-// M key toggles mute
+// M key toggles mute, Escape / P toggles pause
 window.addEventListener('keydown', (e) => {
   if (e.key === 'm' || e.key === 'M') {
     eventBus.emit(Events.AUDIO_TOGGLE_MUTE);
   }
+  if ((e.code === 'Escape' || e.code === 'KeyP') && !e.repeat) {
+    eventBus.emit(gameState.paused ? Events.GAME_RESUME : Events.GAME_PAUSE, { reason: 'key' });
+  }
 });
 
+// Auto-pause when the tab is hidden or the window loses focus. Skipped in
+// test mode, where time only moves through advanceTime() anyway.
+if (!game.testMode) {
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) eventBus.emit(Events.GAME_PAUSE, { reason: 'blur' });
+  });
+  window.addEventListener('blur', () => eventBus.emit(Events.GAME_PAUSE, { reason: 'blur' }));
+}
+
 // Mute button click handler
 const muteBtn = document.getElementById('mute-btn');
 if (muteBtn) {
@@ -48,11 +70,13 @@ if (muteBtn) {
   }
 }
 
-// On touch devices, shift mute button up above joystick zone
+// On touch devices, shift mute button up above joystick zone and show pause button
 if (HAS_TOUCH) {
   if (muteBtn) {
     muteBtn.style.bottom = 'max(140px, calc(3vh + 120px))';
   }
+  const pauseBtn = document.getElementById('pause-btn');
+  if (pauseBtn) pauseBtn.style.display = 'flex';
 }
 
 // Expose for Playwright testing
@@ -60,14 +84,20 @@ window.__GAME__ = game;
 window.__GAME_STATE__ = gameState;
 window.__EVENT_BUS__ = eventBus;
 window.__EVENTS__ = Events;
+window.__RNG__ = rng;
+
+// --- Replays ---
+// exportReplay() returns the current run's log (seed + per-tick input);
+// playReplay(log) restarts and feeds that log back through InputSystem.
+window.exportReplay = () => game.recorder.toJSON();
+window.playReplay = (log) => game.playReplay(log);
+window.exportRunConfig = () => ({ ...runConfig.toJSON(), seed: game.recorder.seed });
 
 // --- Combo HUD ---
 // NOTE: Combo display updates (text, visible, mega classes) are handled
 // by SpectacleSystem._onComboChanged via EventBus. No duplicate listener needed.
 
 // --- Mobile UI ---
-// Use touch capability detection (not user-agent) for consistent behavior
-const HAS_TOUCH = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
 if (HAS_TOUCH) {
   const throwBtn = document.getElementById('throw-btn');
   const hints = document.getElementById('mobile-hints');
@@ -87,17 +117,32 @@ window.render_game_to_text = () => {
   const payload = {
     // Coordinate system: x increases rightward, y increases upward, z toward camera (player runs -Z)
     coords: 'origin:center x:right y:up z:toward-camera player-runs:-Z',
-    mode: gameState.gameOver ? 'game_over' : gameState.started ? 'playing' : 'menu',
+    mode: gameState.mode,
+    seed: rng.seedValue, // replay this layout with ?seed=<value>
+    tick: game.recorder.ticks,
+    replaying: game.input.isReplaying,
     score: gameState.score,
-    bestScore: gameState.bestScore,
     lives: gameState.lives,
     combo: gameState.combo,
-    bestCombo: gameState.bestCombo,
     currentSpeed: Math.round(gameState.currentSpeed * 100) / 100,
     housesHit: gameState.housesHit,
     totalThrown: gameState.totalThrown,
+    panicCollected: gameState.panicCollected,
+    distance: Math.round(gameState.distance),
+    run: { mode: runConfig.mode, date: runConfig.date, modifiers: runConfig.modifiers },
+    difficulty: { preset: runConfig.difficulty, adaptive: runConfig.adaptive, ...game.director.stats },
+    district: biomeKeyAt(biomeIndexAt(gameState.distance)),
+    pools: poolStats(), // per entity pool: active, free, created, reused
   };
 
+  // Bests and missions depend on this machine's save profile (missions are
+  // rolled with Math.random) -- left out of test mode so snapshots reproduce
+  if (!game.testMode) {
+    payload.bestScore = gameState.bestScore;
+    payload.bestCombo = gameState.bestCombo;
+    payload.missions = game.missions.active.map(m => ({ label: m.label, progress: m.progress, target: m.target }));
+  }
+
   // Add player info when in gameplay
   if (gameState.started && game.player?.mesh) {
     const pos = game.player.mesh.position;
@@ -106,7 +151,24 @@ window.render_game_to_text = () => {
       y: Math.round(pos.y * 100) / 100,
       z: Math.round(pos.z * 100) / 100,
       invincible: game.player.isInvincible,
+      airborne: game.player.isAirborne,
+      sliding: game.player.isSliding,
+      slowed: game.player.isSlowed,
+      powerUps: Object.fromEntries(
+        [...game.powerUps.active].map(([type, t]) => [type, Math.round(t * 10) / 10])
+      ),
       envelopes: game.player.envelopes.length,
+      envelopeType: game.player.envelopeType,
+    };
+  }
+
+  // Ghost of the best run (position along its recorded path)
+  if (gameState.started && game.ghost && !game.ghost.finished) {
+    const gp = game.ghost.mesh.position;
+    payload.ghost = {
+      x: Math.round(gp.x * 100) / 100,
+      z: Math.round(gp.z * 100) / 100,
+      bestScore: game.ghost.score,
     };
   }
 
@@ -120,20 +182,86 @@ window.render_game_to_text = () => {
       .map(h => ({
         x: Math.round(h.mesh.position.x),
         z: Math.round(h.mesh.position.z),
+        type: h.type,
         hit: h.isHit,
+        hitsLeft: h.hitsLeft,
         side: h.side,
       }));
     if (nearHouses.length > 0) payload.houses = nearHouses;
 
     // Nearby agents (within 20 units)
     const nearAgents = game.streetGen.agents
-      .filter(a => a.alive && Math.abs(a.mesh.position.z - pz) < 20)
+      .filter(a => a.alive && !a.knockedOut && Math.abs(a.mesh.position.z - pz) < 20)
       .map(a => ({
+        type: a.type,
         x: Math.round(a.mesh.position.x * 10) / 10,
         z: Math.round(a.mesh.position.z * 10) / 10,
+        stunned: a.isStunned,
+        telegraphing: a.isTelegraphing,
       }));
     if (nearAgents.length > 0) payload.agents = nearAgents;
 
+    // Active boss
+    const boss = game.bosses.boss;
+    if (boss) {
+      payload.boss = {
+        type: boss.type,
+        state: boss.state,
+        health: boss.health,
+        maxHealth: boss.maxHealth,
+        x: Math.round(boss.mesh.position.x * 10) / 10,
+        z: Math.round(boss.mesh.position.z * 10) / 10,
+        telegraphing: boss.isTelegraphing,
+      };
+    }
+
+    // Thrown FOR SALE signs in flight
+    const nearSigns = game.streetGen.projectiles
+      .filter(p => p.alive && !p.hasCollided && Math.abs(p.mesh.position.z - pz) < 30)
+      .map(p => ({
+        x: Math.round(p.mesh.position.x * 10) / 10,
+        z: Math.round(p.mesh.position.z * 10) / 10,
+      }));
+    if (nearSigns.length > 0) payload.signs = nearSigns;
+
+    // Homeowners out on the street and offers they threw back
+    const nearHomeowners = game.homeowners
+      .filter(h => h.alive && Math.abs(h.mesh.position.z - pz) < 30)
+      .map(h => ({
+        behaviour: h.behaviour,
+        crowd: h.crowd ? h.crowd.members.length : 0,
+        x: Math.round(h.mesh.position.x * 10) / 10,
+        z: Math.round(h.mesh.position.z * 10) / 10,
+      }));
+    if (nearHomeowners.length > 0) payload.homeowners = nearHomeowners;
+    const nearCounterOffers = game.counterOffers
+      .filter(o => o.alive && !o.hasCollided)
+      .map(o => ({
+        x: Math.round(o.mesh.position.x * 10) / 10,
+        z: Math.round(o.mesh.position.z * 10) / 10,
+      }));
+    if (nearCounterOffers.length > 0) payload.counterOffers = nearCounterOffers;
+
+    // Nearby obstacles (within 20 units)
+    const nearObstacles = game.streetGen.obstacles
+      .filter(o => o.alive && !o.hasCollided && Math.abs(o.mesh.position.z - pz) < 20)
+      .map(o => ({
+        type: o.type,
+        x: Math.round(o.mesh.position.x * 10) / 10,
+        z: Math.round(o.mesh.position.z * 10) / 10,
+      }));
+    if (nearObstacles.length > 0) payload.obstacles = nearObstacles;
+
+    // Nearby power-up pickups (within 30 units)
+    const nearPickups = game.streetGen.pickups
+      .filter(p => p.alive && !p.collected && Math.abs(p.mesh.position.z - pz) < 30)
+      .map(p => ({
+        type: p.type,
+        x: Math.round(p.mesh.position.x * 10) / 10,
+        z: Math.round(p.mesh.position.z * 10) / 10,
+      }));
+    if (nearPickups.length > 0) payload.powerUps = nearPickups;
+
     // Nearby panic points (within 15 units)
     const nearPP = game.panicPoints
       .filter(pp => pp.alive && !pp.collected && Math.abs(pp.mesh.position.z - pz) < 15)
@@ -148,7 +276,11 @@ window.render_game_to_text = () => {
 };
 
 // --- Deterministic time-stepping hook ---
+// In test mode (?test=1) the real loop is suspended and this steps the
+// simulation by exact fixed increments, so scripts replay byte-identically.
+// Otherwise it just waits for real frames until `ms` of wall-clock time passes.
 window.advanceTime = (ms) => {
+  if (game.testMode) return game.advanceTime(ms);
   return new Promise((resolve) => {
     const start = performance.now();
     function step() {
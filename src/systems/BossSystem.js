@@ -0,0 +1,117 @@
+// =============================================================================
+// BossSystem.js -- Boss encounters for the current run
+//
+// Watches houses hit and distance run; every BOSS.TRIGGER_HOUSES houses or
+// BOSS.TRIGGER_DISTANCE meters it spawns the next boss in BOSS.ORDER and
+// suspends StreetGenerator's agent / obstacle spawning until the boss is
+// beaten or escapes. Boss attacks are spawned through StreetGenerator so
+// the usual collision checks in Game apply to them. Game routes envelope
+// and player collisions here and awards the defeat bonus.
+// =============================================================================
+
+import { BOSS } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { gameState } from '../core/GameState.js';
+import { walkerPool } from '../entities/Agent.js';
+import { MegaBroker } from '../entities/MegaBroker.js';
+import { HoaGolfCart } from '../entities/HoaGolfCart.js';
+
+export class BossSystem {
+  constructor(scene) {
+    this.scene = scene;
+    /** @type {import('../entities/Boss.js').Boss|null} */
+    this.boss = null;
+    this.reset();
+  }
+
+  /** The boss while it can still be hit, else null */
+  get target() {
+    return this.boss && this.boss.isVulnerable ? this.boss : null;
+  }
+
+  update(delta, playerPos, streetGen) {
+    if (!this.boss) {
+      if (gameState.housesHit >= this._nextHouses || gameState.distance >= this._nextDistance) {
+        this._spawn(playerPos.z, streetGen);
+      }
+      return;
+    }
+
+    const boss = this.boss;
+    boss.update(delta, playerPos.z, playerPos.x);
+
+    for (const a of boss.consumeAttacks()) {
+      switch (a.kind) {
+        case 'sign': streetGen.addProjectile(a.x, a.z, a.targetX); break;
+        case 'agent': streetGen.addAgent(walkerPool.acquire(a.x, a.z)); break;
+        case 'obstacle': streetGen.addObstacle(a.type, a.x, a.z); break;
+      }
+    }
+
+    if (boss.state === 'fight' && boss.fightTime >= BOSS.TIME_LIMIT) {
+      boss.escape();
+      eventBus.emit(Events.BOSS_ESCAPED, { type: boss.type, label: boss.config.LABEL });
+    }
+
+    if (!boss.alive) this._finish(streetGen);
+  }
+
+  _spawn(playerZ, streetGen) {
+    const type = BOSS.ORDER[this._encounters % BOSS.ORDER.length];
+    this.boss = type === 'hoaCart'
+      ? new HoaGolfCart(playerZ, this._encounters)
+      : new MegaBroker(playerZ, this._encounters);
+    this._encounters++;
+    this.scene.add(this.boss.mesh);
+    streetGen.spawningSuspended = true;
+
+    eventBus.emit(Events.BOSS_SPAWNED, {
+      type,
+      label: this.boss.config.LABEL,
+      health: this.boss.health,
+      maxHealth: this.boss.maxHealth,
+      x: this.boss.mesh.position.x,
+      z: this.boss.mesh.position.z,
+    });
+  }
+
+  /** Boss is gone: hand spawning back and schedule the next one */
+  _finish(streetGen) {
+    this.boss.dispose(this.scene);
+    this.boss = null;
+    streetGen.spawningSuspended = false;
+    this._nextHouses = gameState.housesHit + BOSS.TRIGGER_HOUSES;
+    this._nextDistance = gameState.distance + BOSS.TRIGGER_DISTANCE;
+  }
+
+  /**
+   * Envelope vs boss. @returns {'hit'|'defeated'|null}
+   */
+  checkEnvelope(envelope) {
+    const boss = this.target;
+    if (!boss || !boss.checkEnvelope(envelope)) return null;
+
+    const defeated = boss.takeHit(envelope.config.BOSS_DAMAGE || 1);
+    eventBus.emit(Events.BOSS_DAMAGED, {
+      type: boss.type,
+      health: boss.health,
+      maxHealth: boss.maxHealth,
+      x: envelope.mesh.position.x,
+      y: envelope.mesh.position.y,
+      z: envelope.mesh.position.z,
+    });
+    return defeated ? 'defeated' : 'hit';
+  }
+
+  checkPlayer(playerPos) {
+    return !!this.boss && this.boss.checkPlayer(playerPos);
+  }
+
+  reset() {
+    if (this.boss) this.boss.dispose(this.scene);
+    this.boss = null;
+    this._encounters = 0;
+    this._nextHouses = BOSS.TRIGGER_HOUSES;
+    this._nextDistance = BOSS.TRIGGER_DISTANCE;
+  }
+}
@@ -0,0 +1,106 @@
+import { DIRECTOR } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { gameState } from '../core/GameState.js';
+import { runConfig } from '../core/RunConfig.js';
+
+// Total of a [time, amount] event log
+const sum = (log) => log.reduce((total, [, amount]) => total + amount, 0);
+
+/**
+ * Adaptive difficulty. Keeps the last DIRECTOR.WINDOW seconds of lives lost,
+ * near misses and envelope accuracy, and steers runConfig.intensity toward a
+ * target inside the preset's MIN/MAX_INTENSITY -- easing off quickly when the
+ * player struggles, pushing slowly while they cope. Idle when the run's
+ * config isn't adaptive.
+ *
+ * Everything is timed on simulation steps, so a replay steers identically.
+ */
+export class DifficultyDirector {
+  constructor() {
+    this.reset();
+
+    eventBus.on(Events.PLAYER_HIT, () => this._onLifeLost());
+    eventBus.on(Events.SPECTACLE_NEAR_MISS, () => this._onNearMiss());
+    eventBus.on(Events.ENVELOPE_THROWN, ({ count }) => this._note(this._throws, count));
+    eventBus.on(Events.HOUSE_HIT, () => this._note(this._hits));
+    eventBus.on(Events.HOUSE_DAMAGED, () => this._note(this._hits));
+    eventBus.on(Events.AGENT_STUNNED, () => this._note(this._hits));
+    eventBus.on(Events.BOSS_DAMAGED, () => this._note(this._hits));
+  }
+
+  /** New run: forget history; intensity starts where runConfig set it */
+  reset() {
+    this.time = 0;
+    this.target = runConfig.intensity;
+    this._calmSince = 0;
+    this._lastNearMiss = -Infinity;
+    // [time, amount] pairs inside the window
+    this._livesLost = [];
+    this._nearMisses = [];
+    this._throws = [];
+    this._hits = [];
+  }
+
+  /** Called once per simulation step */
+  update(delta) {
+    if (!runConfig.adaptive || !gameState.started || gameState.gameOver) return;
+    this.time += delta;
+    const from = this.time - DIRECTOR.WINDOW;
+    for (const log of [this._livesLost, this._nearMisses, this._throws, this._hits]) {
+      while (log.length > 0 && log[0][0] < from) log.shift();
+    }
+
+    const { min, max } = runConfig.intensityRange;
+    this.target = Math.min(max, Math.max(min, min + this._pressure()));
+
+    const current = runConfig.intensity;
+    if (current < this.target) {
+      runConfig.intensity = Math.min(this.target, current + DIRECTOR.PUSH_RATE * delta);
+    } else if (current > this.target) {
+      runConfig.intensity = Math.max(this.target, current - DIRECTOR.EASE_RATE * delta);
+    }
+  }
+
+  /** How far above the preset's floor the player has earned */
+  _pressure() {
+    const calm = Math.min(this.time - this._calmSince, DIRECTOR.WINDOW);
+    let pressure = calm * DIRECTOR.CALM_PUSH;
+    pressure -= sum(this._livesLost) * DIRECTOR.LIFE_LOST_WEIGHT;
+    pressure -= sum(this._nearMisses) * DIRECTOR.NEAR_MISS_WEIGHT;
+    const thrown = sum(this._throws);
+    if (thrown >= DIRECTOR.MIN_THROWS) {
+      const accuracy = Math.min(1, sum(this._hits) / thrown);
+      pressure += (accuracy - DIRECTOR.TARGET_ACCURACY) * DIRECTOR.ACCURACY_WEIGHT;
+    }
+    return pressure;
+  }
+
+  _note(log, amount = 1) {
+    if (!runConfig.adaptive) return;
+    log.push([this.time, amount]);
+  }
+
+  _onLifeLost() {
+    this._calmSince = this.time;
+    this._note(this._livesLost);
+  }
+
+  _onNearMiss() {
+    // Fires every step an agent is close -- one brush counts once
+    if (this.time - this._lastNearMiss < DIRECTOR.NEAR_MISS_GAP) return;
+    this._lastNearMiss = this.time;
+    this._note(this._nearMisses);
+  }
+
+  /** Snapshot for render_game_to_text */
+  get stats() {
+    const thrown = sum(this._throws);
+    return {
+      intensity: Math.round(runConfig.intensity * 100) / 100,
+      target: Math.round(this.target * 100) / 100,
+      livesLost: sum(this._livesLost),
+      nearMisses: sum(this._nearMisses),
+      accuracy: thrown > 0 ? Math.round(Math.min(1, sum(this._hits) / thrown) * 100) / 100 : null,
+    };
+  }
+}
@@ -0,0 +1,88 @@
+// =============================================================================
+// InputRecorder.js -- Per-tick input logs for run recording and replay
+//
+// Each fixed simulation step latches one INPUT_BITS mask (see InputSystem.
+// beginTick). The recorder stores those masks run-length encoded as
+// [mask, tickCount] pairs next to the RNG seed and run config, which together
+// reproduce a run exactly. InputReplay feeds a log back one tick at a time.
+// =============================================================================
+
+import { GAME, REPLAY } from '../core/Constants.js';
+
+export class InputRecorder {
+  constructor() {
+    this.start(0);
+  }
+
+  /**
+   * Begin a fresh log for a run seeded with `seed`
+   * @param {object} [config] - runConfig.toJSON() of the run (mode, modifiers)
+   */
+  start(seed, config = null) {
+    this.seed = seed;
+    this.config = config;
+    this.ticks = 0;
+    this._runs = [];
+  }
+
+  /** Append one simulation tick's input mask */
+  record(mask) {
+    const last = this._runs[this._runs.length - 1];
+    if (last && last[0] === mask) {
+      last[1]++;
+    } else {
+      this._runs.push([mask, 1]);
+    }
+    this.ticks++;
+  }
+
+  /** Serializable replay log (what "SAVE REPLAY" downloads) */
+  toJSON() {
+    return {
+      version: REPLAY.VERSION,
+      seed: this.seed,
+      config: this.config,
+      tickRate: Math.round(1 / GAME.FIXED_TIMESTEP),
+      ticks: this.ticks,
+      inputs: this._runs.map(([mask, count]) => [mask, count]),
+    };
+  }
+}
+
+export class InputReplay {
+  /**
+   * @param {object|string} log - output of InputRecorder.toJSON() (or its JSON text)
+   */
+  constructor(log) {
+    const data = typeof log === 'string' ? JSON.parse(log) : log;
+    if (!data || data.version !== REPLAY.VERSION || !Array.isArray(data.inputs)) {
+      throw new Error(`Unsupported replay log (expected version ${REPLAY.VERSION})`);
+    }
+    if (data.tickRate !== Math.round(1 / GAME.FIXED_TIMESTEP)) {
+      console.warn(`[Replay] Recorded at ${data.tickRate} Hz, simulating at ${Math.round(1 / GAME.FIXED_TIMESTEP)} Hz -- may desync`);
+    }
+
+    this.seed = data.seed;
+    this.config = data.config || null;
+    this.ticks = data.ticks;
+    this._runs = data.inputs;
+    this._runIndex = 0;
+    this._runTick = 0;
+  }
+
+  get done() {
+    return this._runIndex >= this._runs.length;
+  }
+
+  /** Input mask for the next tick (0 once the log is exhausted) */
+  next() {
+    if (this.done) return 0;
+    const [mask, count] = this._runs[this._runIndex];
+    this._runTick++;
+    if (this._runTick >= count) {
+      this._runIndex++;
+      this._runTick = 0;
+    }
+    return mask;
+  }
+}
@@ -1,28 +1,52 @@
 // =============================================================================
 // InputSystem.js -- Keyboard + touch input for auto-runner
 //
-// WASD / Arrow keys for left/right lane movement.
-// Space for throwing envelopes.
-// Virtual joystick for mobile movement, dedicated throw button for mobile throw.
+// A/D / Left/Right arrows for lane movement, W / Up to jump, S / Down to slide.
+// Space for throwing envelopes, Q to cycle the envelope type.
+// Virtual joystick for mobile movement, dedicated throw and envelope-type
+// buttons, swipe up/down anywhere else to jump/slide.
+//
+// Gameplay reads a per-tick snapshot latched by beginTick() once per fixed
+// simulation step. With a replay attached, that snapshot comes from the
+// recorded log instead of the keyboard/touch state.
 // =============================================================================
 
+import { INPUT_BITS, SWIPE } from '../core/Constants.js';
+
 const HAS_TOUCH = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
 
+const JUMP_KEYS = ['KeyW', 'ArrowUp'];
+const SLIDE_KEYS = ['KeyS', 'ArrowDown'];
+const CYCLE_KEYS = ['KeyQ'];
+
 export class InputSystem {
   constructor() {
     this.keys = {};
     this._throwJustPressed = false;
     this._throwConsumed = false;
+    this._jumpJustPressed = false;
+    this._slideJustPressed = false;
+    this._cycleJustPressed = false;
     this._gameActive = false;
 
+    // Per-tick latched input mask (INPUT_BITS) and optional replay source
+    this._tickMask = 0;
+    this._replay = null;
+
     // Keyboard
     window.addEventListener('keydown', (e) => {
       this.keys[e.code] = true;
       if (e.code.startsWith('Arrow') || e.code === 'Space') e.preventDefault();
-      if (e.code === 'Space' && !this._throwConsumed) {
+      if (e.code === 'Space' && !this._throwConsumed && this._gameActive) {
         this._throwJustPressed = true;
         this._throwConsumed = true;
       }
+      // Jump / slide fire once per press (ignore key auto-repeat)
+      if (!e.repeat && this._gameActive) {
+        if (JUMP_KEYS.includes(e.code)) this._jumpJustPressed = true;
+        if (SLIDE_KEYS.includes(e.code)) this._slideJustPressed = true;
+        if (CYCLE_KEYS.includes(e.code)) this._cycleJustPressed = true;
+      }
     });
     window.addEventListener('keyup', (e) => {
       this.keys[e.code] = false;
@@ -44,6 +68,7 @@ export class InputSystem {
     if (HAS_TOUCH) {
       this._setupJoystick();
       this._setupThrowButton();
+      this._setupSwipe();
     }
   }
 
@@ -134,38 +159,143 @@ export class InputSystem {
         this._throwJustPressed = true;
       }
     }, { passive: false });
+
+    const cycleBtn = document.getElementById('envelope-btn');
+    if (!cycleBtn) return;
+    cycleBtn.style.display = 'flex';
+    cycleBtn.addEventListener('touchstart', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (this._gameActive) {
+        this._cycleJustPressed = true;
+      }
+    }, { passive: false });
+  }
+
+  /** Vertical swipes outside the joystick and buttons trigger jump / slide */
+  _setupSwipe() {
+    this._swipeStarts = new Map(); // touch id -> { x, y, t }
+
+    window.addEventListener('touchstart', (e) => {
+      for (const touch of e.changedTouches) {
+        if (touch.target.closest && touch.target.closest('#joystick-zone, button')) continue;
+        this._swipeStarts.set(touch.identifier, { x: touch.clientX, y: touch.clientY, t: performance.now() });
+      }
+    }, { passive: true });
+
+    const endHandler = (e) => {
+      for (const touch of e.changedTouches) {
+        const start = this._swipeStarts.get(touch.identifier);
+        if (!start) continue;
+        this._swipeStarts.delete(touch.identifier);
+        if (e.type === 'touchcancel' || !this._gameActive) continue;
+
+        const dx = touch.clientX - start.x;
+        const dy = touch.clientY - start.y;
+        if (performance.now() - start.t > SWIPE.MAX_DURATION) continue;
+        if (Math.abs(dy) < SWIPE.MIN_DISTANCE || Math.abs(dy) < Math.abs(dx)) continue;
+        if (dy < 0) this._jumpJustPressed = true;
+        else this._slideJustPressed = true;
+      }
+    };
+    window.addEventListener('touchend', endHandler, { passive: true });
+    window.addEventListener('touchcancel', endHandler, { passive: true });
   }
 
   isDown(code) { return !!this.keys[code]; }
 
   setGameActive(active) {
     this._gameActive = active;
+    if (!active) {
+      this._throwJustPressed = false;
+      this._jumpJustPressed = false;
+      this._slideJustPressed = false;
+      this._cycleJustPressed = false;
+    }
+  }
+
+  /** Drive input from a recorded log (InputReplay) instead of keyboard/touch */
+  setReplay(replay) {
+    this._replay = replay;
+  }
+
+  clearReplay() {
+    this._replay = null;
+  }
+
+  get isReplaying() {
+    return !!this._replay && !this._replay.done;
+  }
+
+  /** This run is a replay (still true once its log has run out) */
+  get hasReplay() {
+    return !!this._replay;
   }
 
   update() {
-    // throwPressed is consumed once per frame via the getter
+    // Live state is sampled per simulation tick in beginTick()
   }
 
-  /** Consume the throw input -- returns true only once per press */
-  get throwPressed() {
+  /**
+   * Latch input for one simulation tick.
+   * @returns {number} INPUT_BITS mask the tick will see (for the recorder)
+   */
+  beginTick() {
+    if (this.isReplaying) {
+      this._tickMask = this._replay.next();
+      // Live presses are ignored during replay
+      this._throwJustPressed = false;
+      this._jumpJustPressed = false;
+      this._slideJustPressed = false;
+      this._cycleJustPressed = false;
+      return this._tickMask;
+    }
+
+    let mask = 0;
+    if (this._liveLeft) mask |= INPUT_BITS.LEFT;
+    if (this._liveRight) mask |= INPUT_BITS.RIGHT;
     if (this._throwJustPressed) {
+      // Consume the throw -- one throw per press
       this._throwJustPressed = false;
-      return true;
+      mask |= INPUT_BITS.THROW;
+    }
+    if (this._jumpJustPressed) {
+      this._jumpJustPressed = false;
+      mask |= INPUT_BITS.JUMP;
     }
-    return false;
+    if (this._slideJustPressed) {
+      this._slideJustPressed = false;
+      mask |= INPUT_BITS.SLIDE;
+    }
+    if (this._cycleJustPressed) {
+      this._cycleJustPressed = false;
+      mask |= INPUT_BITS.CYCLE_ENVELOPE;
+    }
+    this._tickMask = mask;
+    return mask;
   }
 
+  /** True on the tick a throw was pressed */
+  get throwPressed() { return (this._tickMask & INPUT_BITS.THROW) !== 0; }
+  /** True on the tick a jump / slide was pressed */
+  get jumpPressed() { return (this._tickMask & INPUT_BITS.JUMP) !== 0; }
+  get slidePressed() { return (this._tickMask & INPUT_BITS.SLIDE) !== 0; }
+  /** True on the tick the envelope type was cycled */
+  get cyclePressed() { return (this._tickMask & INPUT_BITS.CYCLE_ENVELOPE) !== 0; }
+
   get forward() { return false; } // no forward control in auto-runner
   get backward() { return false; } // no backward control in auto-runner
-  get left() {
-    return this.isDown('KeyA') || this.isDown('ArrowLeft') || this._touchLeft;
-  }
-  get right() {
-    return this.isDown('KeyD') || this.isDown('ArrowRight') || this._touchRight;
-  }
+  get left() { return (this._tickMask & INPUT_BITS.LEFT) !== 0; }
+  get right() { return (this._tickMask & INPUT_BITS.RIGHT) !== 0; }
   get shift() { return this.isDown('ShiftLeft') || this.isDown('ShiftRight'); }
-  get jump() { return this.isDown('Space'); }
 
   get moveX() { return (this.right ? 1 : 0) - (this.left ? 1 : 0); }
   get moveZ() { return 0; }
+
+  get _liveLeft() {
+    return this.isDown('KeyA') || this.isDown('ArrowLeft') || this._touchLeft;
+  }
+  get _liveRight() {
+    return this.isDown('KeyD') || this.isDown('ArrowRight') || this._touchRight;
+  }
 }
@@ -0,0 +1,153 @@
+import { MISSIONS } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+import { gameState } from '../core/GameState.js';
+import { saveProfile } from '../core/SaveProfile.js';
+
+const TYPE_KEYS = Object.keys(MISSIONS.TYPES);
+
+// Missions are meta progression, not gameplay -- rolled with Math.random so
+// seeded runs and replays lay out the same street regardless.
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+/** Fill a LABEL template from a mission's fields */
+function labelFor(mission) {
+  const cfg = MISSIONS.TYPES[mission.type];
+  return cfg.LABEL
+    .replace('{n}', mission.target)
+    .replace('{side}', mission.side)
+    .replace('{houseType}', cfg.HOUSE_TYPES ? cfg.HOUSE_TYPES[mission.houseType] : '')
+    .replace('{distance}', mission.distance);
+}
+
+/**
+ * Keeps MISSIONS.ACTIVE_COUNT objectives in the save profile and tracks them
+ * from gameplay events. A completed mission emits MISSION_COMPLETED and is
+ * replaced by a fresh one of a type not already active.
+ */
+export class MissionSystem {
+  constructor() {
+    this._enabled = false; // off for replays and test mode (see startRun)
+    this._cleanFrom = 0; // distance of the last agent contact (agentFree)
+    this._fill();
+
+    eventBus.on(Events.HOUSE_HIT, (data) => this._onHouseHit(data));
+    eventBus.on(Events.PANIC_COLLECTED, () => this._advance('panicClean', 1));
+    eventBus.on(Events.COMBO_CHANGED, ({ combo }) => this._onComboChanged(combo));
+    eventBus.on(Events.AGENT_COLLISION, () => this._onAgentCollision());
+    // Any lost life spoils a clean panic streak, whatever caused it
+    eventBus.on(Events.PLAYER_HIT, () => this._resetProgress('panicClean'));
+    eventBus.on(Events.GAME_OVER, () => saveProfile.save());
+  }
+
+  /** Active missions (persisted objects: type, target, progress, label...) */
+  get active() {
+    return saveProfile.data.missions;
+  }
+
+  /**
+   * New run: per-run missions start over.
+   * @param {boolean} enabled - false for replays and test mode, which must
+   *   neither depend on nor change the saved missions
+   */
+  startRun(enabled) {
+    this._enabled = enabled;
+    this._cleanFrom = 0;
+    if (!enabled) return;
+    for (const m of this.active) {
+      if (MISSIONS.TYPES[m.type].PER_RUN) m.progress = 0;
+    }
+    saveProfile.save();
+  }
+
+  /** Distance-driven missions; called once per simulation step */
+  update() {
+    if (!this._tracking) return;
+    const run = Math.floor(gameState.distance - this._cleanFrom);
+    for (const m of this.active) {
+      if (m.type === 'agentFree' && run > m.progress) this._setProgress(m, run);
+    }
+  }
+
+  get _tracking() {
+    return this._enabled && gameState.started && !gameState.gameOver;
+  }
+
+  _onHouseHit({ x, type }) {
+    const side = x < 0 ? 'left' : 'right';
+    for (const m of this.active.slice()) {
+      switch (m.type) {
+        case 'houses': this._setProgress(m, m.progress + 1); break;
+        case 'housesSide': if (m.side === side) this._setProgress(m, m.progress + 1); break;
+        case 'houseType': if (m.houseType === type) this._setProgress(m, m.progress + 1); break;
+      }
+    }
+  }
+
+  _onComboChanged(combo) {
+    for (const m of this.active.slice()) {
+      if (m.type !== 'comboBefore' || gameState.distance >= m.distance) continue;
+      if (combo > m.progress) this._setProgress(m, combo);
+    }
+  }
+
+  _onAgentCollision() {
+    this._cleanFrom = gameState.distance;
+    this._resetProgress('agentFree');
+  }
+
+  _advance(type, amount) {
+    for (const m of this.active.slice()) {
+      if (m.type === type) this._setProgress(m, m.progress + amount);
+    }
+  }
+
+  _resetProgress(type) {
+    if (!this._tracking) return;
+    for (const m of this.active) {
+      if (m.type === type) m.progress = 0;
+    }
+  }
+
+  _setProgress(mission, progress) {
+    if (!this._tracking) return;
+    mission.progress = Math.min(progress, mission.target);
+    if (mission.progress >= mission.target) this._complete(mission);
+  }
+
+  _complete(mission) {
+    const missions = this.active;
+    const index = missions.indexOf(mission);
+    if (index < 0) return;
+    missions[index] = this._roll();
+    saveProfile.data.missionsCompleted++;
+    saveProfile.save();
+    eventBus.emit(Events.MISSION_COMPLETED, { label: mission.label, index });
+  }
+
+  /** Top up to ACTIVE_COUNT (first launch, or a profile from an older build) */
+  _fill() {
+    const missions = this.active;
+    // Drop anything this build no longer knows how to track
+    for (let i = missions.length - 1; i >= 0; i--) {
+      if (!MISSIONS.TYPES[missions[i].type]) missions.splice(i, 1);
+    }
+    if (missions.length >= MISSIONS.ACTIVE_COUNT) return;
+    while (missions.length < MISSIONS.ACTIVE_COUNT) missions.push(this._roll());
+    saveProfile.save();
+  }
+
+  /** A fresh mission of a type not already active */
+  _roll() {
+    const taken = new Set(this.active.map(m => m.type));
+    const type = pick(TYPE_KEYS.filter(k => !taken.has(k)));
+    const cfg = MISSIONS.TYPES[type];
+    const mission = { type, target: pick(cfg.TARGETS), progress: 0 };
+    switch (type) {
+      case 'housesSide': mission.side = pick(cfg.SIDES); break;
+      case 'houseType': mission.houseType = pick(Object.keys(cfg.HOUSE_TYPES)); break;
+      case 'comboBefore': mission.distance = pick(cfg.DISTANCES); break;
+    }
+    mission.label = labelFor(mission);
+    return mission;
+  }
+}
@@ -0,0 +1,61 @@
+// =============================================================================
+// PowerUpSystem.js -- Timed power-up effects for the current run
+//
+// Tracks remaining time per active power-up type (see POWERUP.TYPES) on the
+// fixed simulation step. Game queries isActive() to change throwing,
+// panic point collection and agent collisions; the HUD follows along via
+// POWERUP_ACTIVATED / POWERUP_TICK / POWERUP_EXPIRED.
+// =============================================================================
+
+import { POWERUP } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
+
+export class PowerUpSystem {
+  constructor() {
+    /** @type {Map<string, number>} type -> seconds remaining */
+    this.active = new Map();
+  }
+
+  /** Start (or refresh) a power-up's timer */
+  activate(type, x = 0, z = 0) {
+    const duration = POWERUP.TYPES[type].DURATION;
+    this.active.set(type, duration);
+    eventBus.emit(Events.POWERUP_ACTIVATED, { type, duration, x, z });
+  }
+
+  isActive(type) {
+    return this.active.has(type);
+  }
+
+  /**
+   * End a power-up early because it was used up (e.g. the shield absorbing
+   * a hit). @returns {boolean} whether it was active
+   */
+  consume(type) {
+    if (!this.active.has(type)) return false;
+    this._expire(type);
+    return true;
+  }
+
+  update(delta) {
+    for (const [type, remaining] of this.active) {
+      const left = remaining - delta;
+      if (left <= 0) {
+        this._expire(type);
+      } else {
+        this.active.set(type, left);
+        eventBus.emit(Events.POWERUP_TICK, { type, remaining: left, duration: POWERUP.TYPES[type].DURATION });
+      }
+    }
+  }
+
+  _expire(type) {
+    this.active.delete(type);
+    eventBus.emit(Events.POWERUP_EXPIRED, { type });
+  }
+
+  /** Drop every effect without events (run teardown) */
+  reset() {
+    this.active.clear();
+  }
+}
@@ -1,7 +1,7 @@
 import * as THREE from 'three';
 import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
-import { SPECTACLE, CAMERA } from '../core/Constants.js';
+import { SPECTACLE, CAMERA, POWERUP } from '../core/Constants.js';
 
 // ---- Shared geometries / materials (allocated once) ----
 const _speedLineGeo = new THREE.BoxGeometry(0.02, 0.02, SPECTACLE.COMBO_SPEED_LINE_LENGTH);
@@ -117,6 +117,9 @@ export class SpectacleSystem {
     this._slowMoDuration = 0;
     this._slowMoOriginalSpeed = 0;
 
+    // ---- Boss defeat sequence (staggered blasts, then the finale) ----
+    this._bossSequence = null;
+
     // ---- Combo HUD element ----
     this._comboEl = document.getElementById('combo-display');
 
@@ -138,6 +141,18 @@ export class SpectacleSystem {
     eventBus.on(Events.PLAYER_HIT, () => this._onPlayerHit());
     eventBus.on(Events.COMBO_CHANGED, (data) => this._onComboChanged(data));
     eventBus.on(Events.HOUSE_HIT, (data) => this._onHouseHit(data));
+    eventBus.on(Events.HOUSE_DAMAGED, (data) => this._onHouseDamaged(data));
+    eventBus.on(Events.HOUSE_REJECTED, (data) => this._onHouseRejected(data));
+    eventBus.on(Events.HOMEOWNER_SPAWNED, (data) => this._onHomeownerSpawned(data));
+    eventBus.on(Events.HOMEOWNER_CROWD, (data) => this._onHomeownerCrowd(data));
+    eventBus.on(Events.COUNTER_OFFER_HIT, (data) => this._onCounterOfferHit(data));
+    eventBus.on(Events.MISSION_COMPLETED, () => this._onMissionCompleted());
+    eventBus.on(Events.POWERUP_ACTIVATED, (data) => this._onPowerUp(data));
+    eventBus.on(Events.SHIELD_BLOCKED, () => this._onShieldBlocked());
+    eventBus.on(Events.AGENT_STUNNED, (data) => this._onAgentStunned(data));
+    eventBus.on(Events.BOSS_SPAWNED, (data) => this._onBossSpawned(data));
+    eventBus.on(Events.BOSS_DAMAGED, (data) => this._onBossDamaged(data));
+    eventBus.on(Events.BOSS_DEFEATED, (data) => this._onBossDefeated(data));
   }
 
   // ============================================================
@@ -456,10 +471,7 @@ export class SpectacleSystem {
     }
 
     // Floating score text
-    const earned = gameState.addScore(0); // read current multiplier without adding
-    const combo = data.combo || 1;
-    const displayScore = Math.max(1, combo);
-    this._spawnFloatingText(pos, `+${displayScore}`, '#ffcc00');
+    this._spawnFloatingText(pos, `+${data.earned}`, '#ffcc00');
 
     // Temp point light at house
     this._addTempLight(pos, 0xffcc00, SPECTACLE.HIT_LIGHT_INTENSITY, SPECTACLE.HIT_LIGHT_DISTANCE, SPECTACLE.HIT_FLASH_DURATION);
@@ -468,6 +480,47 @@ export class SpectacleSystem {
     this._triggerShake(SPECTACLE.HIT_SHAKE_INTENSITY, SPECTACLE.HIT_SHAKE_DURATION);
   }
 
+  /** Mansion still holding out: smaller burst and a countdown */
+  _onHouseDamaged(data) {
+    const pos = new THREE.Vector3(data.x, 1.5, data.z);
+    this.burst(pos, Math.ceil(SPECTACLE.HIT_BURST_COUNT / 2), 0xffcc00, 3, 0.5);
+    this._spawnFloatingText(pos, `${data.hitsLeft} MORE`, '#ffffff');
+  }
+
+  _onHouseRejected(data) {
+    const pos = new THREE.Vector3(data.x, 1.5, data.z);
+    this.burst(pos, Math.ceil(SPECTACLE.HIT_BURST_COUNT / 2), 0x999999, 2, 0.5);
+    this._spawnFloatingText(pos, 'ALREADY SOLD', '#ff4444');
+  }
+
+  /** Call out the reactions that don't explain themselves */
+  _onHomeownerSpawned(data) {
+    const pos = new THREE.Vector3(data.x, 2.5, data.z);
+    if (data.behaviour === 'lawnChair') this._spawnFloatingText(pos, 'NOT INTERESTED', '#cccccc');
+    else if (data.behaviour === 'counterOffer') this._spawnFloatingText(pos, 'COUNTER-OFFER!', '#ff6666');
+  }
+
+  _onHomeownerCrowd(data) {
+    const pos = new THREE.Vector3(data.x, 2, data.z);
+    this.burst(pos, SPECTACLE.PANIC_BURST_COUNT, 0x00ff00, 3, 0.6);
+    this._spawnFloatingText(pos, `PANIC CROWD x${data.size}`, '#66ff66');
+  }
+
+  _onCounterOfferHit(data) {
+    const pos = new THREE.Vector3(data.x, 1.5, data.z);
+    this.burst(pos, SPECTACLE.PANIC_BURST_COUNT, 0xffffff, 3, 0.5);
+    this._spawnFloatingText(pos, 'COUNTERED!', '#ff4444');
+    this._triggerFlash(0xff0000, 0.15, SPECTACLE.PANIC_FLASH_DURATION);
+  }
+
+  _onMissionCompleted() {
+    if (!this._lastPlayerPos) return;
+    const pos = this._lastPlayerPos.clone();
+    pos.y += 2.5;
+    this.burst(pos, SPECTACLE.PANIC_BURST_COUNT, 0xffcc00, 4, 0.7);
+    this._spawnFloatingText(pos, 'MISSION COMPLETE!', '#ffcc00');
+  }
+
   _onPanicCollected(data) {
     if (!this._lastPlayerPos) return;
     const pos = this._lastPlayerPos.clone();
@@ -548,6 +601,103 @@ export class SpectacleSystem {
     this._triggerShake(SPECTACLE.DAMAGE_SHAKE_INTENSITY, SPECTACLE.DAMAGE_SHAKE_DURATION);
   }
 
+  _onPowerUp({ type }) {
+    if (!this._lastPlayerPos) return;
+    const pos = this._lastPlayerPos.clone();
+    pos.y += 1;
+    const color = POWERUP.TYPES[type].COLOR;
+
+    this.burst(pos, SPECTACLE.POWERUP_BURST_COUNT, color, 4, 0.8);
+    this._triggerFlash(color, 0.2, 0.25);
+    this._spawnFloatingText(pos, POWERUP.TYPES[type].LABEL, '#' + color.toString(16).padStart(6, '0'));
+  }
+
+  _onShieldBlocked() {
+    if (!this._lastPlayerPos) return;
+    const pos = this._lastPlayerPos.clone();
+    pos.y += 1;
+
+    // Blue shatter instead of the red damage burst
+    this.burst(pos, SPECTACLE.DAMAGE_BURST_COUNT, POWERUP.TYPES.shield.COLOR, 6, 0.7);
+    this._triggerFlash(POWERUP.TYPES.shield.COLOR, 0.3, 0.3);
+    this._triggerShake(SPECTACLE.HIT_SHAKE_INTENSITY, SPECTACLE.HIT_SHAKE_DURATION);
+  }
+
+  _onAgentStunned(data) {
+    const pos = new THREE.Vector3(data.x, 1.2, data.z);
+
+    if (data.knockedOut) {
+      // Big red/white KO burst
+      for (let i = 0; i < SPECTACLE.AGENT_KO_BURST_COUNT; i++) {
+        this.burst(pos, 1, i % 2 ? 0xff2222 : 0xffffff, 6, 0.8);
+      }
+      this._triggerShake(SPECTACLE.HIT_SHAKE_INTENSITY * 2, SPECTACLE.HIT_SHAKE_DURATION);
+      this._spawnFloatingText(pos, `KO +${data.earned}`, '#ff4444');
+    } else {
+      // Dizzy stars
+      this.burst(pos, SPECTACLE.AGENT_STUN_BURST_COUNT, 0xffee44, 3, 0.6);
+      this._spawnFloatingText(pos, `+${data.earned}`, '#ffee44');
+    }
+  }
+
+  _onBossSpawned(data) {
+    const pos = new THREE.Vector3(data.x, 3, data.z);
+    this._triggerFlash(0xff0000, 0.3, 0.5);
+    this._triggerShake(SPECTACLE.COMBO_SHAKE_INTENSITY, 0.6);
+    this._addTempLight(pos, 0xff2222, SPECTACLE.HIT_LIGHT_INTENSITY * 2, SPECTACLE.HIT_LIGHT_DISTANCE * 2, 0.6);
+    this._spawnFloatingText(pos, 'BOSS!', '#ff4444');
+  }
+
+  _onBossDamaged(data) {
+    const pos = new THREE.Vector3(data.x, data.y, data.z);
+    for (let i = 0; i < SPECTACLE.BOSS_HIT_BURST_COUNT; i++) {
+      this.burst(pos, 1, i % 2 ? 0xffffff : 0xff3344, 5, 0.6);
+    }
+    this._triggerShake(SPECTACLE.HIT_SHAKE_INTENSITY, SPECTACLE.HIT_SHAKE_DURATION);
+  }
+
+  _onBossDefeated(data) {
+    this._bossSequence = {
+      pos: new THREE.Vector3(data.x, 2, data.z),
+      blasts: SPECTACLE.BOSS_DEFEAT_BLASTS,
+      timer: 0,
+      earned: data.earned,
+    };
+  }
+
+  /** Staggered explosions around the boss, then a gold finale with the bonus */
+  _updateBossSequence(delta) {
+    const seq = this._bossSequence;
+    if (!seq) return;
+    seq.timer -= delta;
+    if (seq.timer > 0) return;
+    seq.timer = SPECTACLE.BOSS_DEFEAT_BLAST_INTERVAL;
+
+    if (seq.blasts > 0) {
+      seq.blasts--;
+      const pos = seq.pos.clone();
+      pos.x += (Math.random() - 0.5) * 3;
+      pos.y += (Math.random() - 0.5) * 2;
+      this.burst(pos, SPECTACLE.HIT_BURST_COUNT, Math.random() > 0.5 ? 0xff8800 : 0xffee44, 5, 0.7);
+      this._addTempLight(pos, 0xff8800, SPECTACLE.HIT_LIGHT_INTENSITY, SPECTACLE.HIT_LIGHT_DISTANCE, 0.2);
+      this._triggerShake(SPECTACLE.COMBO_SHAKE_INTENSITY, SPECTACLE.BOSS_DEFEAT_BLAST_INTERVAL);
+      return;
+    }
+
+    // Finale
+    const rainbowColors = [0xff0000, 0xff8800, 0xffff00, 0x00ff00, 0x0088ff, 0x8800ff, 0xff00ff];
+    for (let i = 0; i < SPECTACLE.BOSS_DEFEAT_BURST_COUNT; i++) {
+      this.burst(seq.pos, 1, rainbowColors[i % rainbowColors.length], 8, 1.4);
+    }
+    this._triggerFlash(0xffd700, 0.5, 0.6);
+    this._triggerShake(SPECTACLE.DAMAGE_SHAKE_INTENSITY, 0.5);
+    this._spawnFloatingText(seq.pos, `+${seq.earned}`, '#ffd700');
+    this._zoomPulseAmount = SPECTACLE.STREAK_ZOOM_AMOUNT;
+    this._zoomPulseTimer = SPECTACLE.STREAK_ZOOM_DURATION;
+    this._zoomPulseDuration = SPECTACLE.STREAK_ZOOM_DURATION;
+    this._bossSequence = null;
+  }
+
   _onComboChanged(data) {
     if (!this._comboEl) return;
 
@@ -602,6 +752,9 @@ export class SpectacleSystem {
     // ---- Speed lines ----
     this._updateSpeedLines(delta);
 
+    // ---- Boss defeat sequence ----
+    this._updateBossSequence(delta);
+
     // ---- Entrance camera tween ----
     if (this._entranceTween > 0) {
       this._entranceTween -= delta;
@@ -654,7 +807,7 @@ export class SpectacleSystem {
     if (envelopes && envelopes.length > 0) {
       for (const env of envelopes) {
         if (env.alive && env.mesh) {
-          this.trail(env.mesh.position, 0xffffff, 0.4);
+          this.trail(env.mesh.position, env.config.TRAIL_COLOR, 0.4);
         }
       }
     }
@@ -731,5 +884,6 @@ export class SpectacleSystem {
     this._slowMoTimer = 0;
     this._trailAccum = 0;
     this._speedLineSpawnTimer = 0;
+    this._bossSequence = null;
   }
 }
@@ -1,136 +1,186 @@
 import * as THREE from 'three';
-import { STREET, HOUSE, AGENT, LEVEL } from '../core/Constants.js';
+import { STREET, HOUSE, HOUSE_TYPES, AGENT, AGENT_TYPES, OBSTACLE, POWERUP, GAMEPLAY, BIOME, INSTANCING } from '../core/Constants.js';
+import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
-import { House } from '../entities/House.js';
-import { Agent } from '../entities/Agent.js';
+import { runConfig } from '../core/RunConfig.js';
+import { rng } from '../core/Random.js';
+import { SpatialHash } from '../core/SpatialHash.js';
+import { ObjectPool } from '../core/ObjectPool.js';
+import { House, createHouseBatches } from '../entities/House.js';
+import { walkerPool } from '../entities/Agent.js';
+import { chaserPool } from '../entities/ChaserAgent.js';
+import { blockerPool } from '../entities/BlockerAgent.js';
+import { throwerPool } from '../entities/SignThrowerAgent.js';
+import { openHousePool } from '../entities/OpenHouseAgent.js';
+import { SignProjectile } from '../entities/SignProjectile.js';
+import { InstancedBatch } from '../level/InstancedBatch.js';
+import { StreetChunk } from '../level/StreetChunk.js';
+import { distanceAtZ, biomeIndexAt, biomeKeyAt, biomeBlendAt, sampleAtmosphere, createAtmosphere } from '../level/Biomes.js';
+import { Obstacle } from '../entities/Obstacle.js';
+import { PowerUp } from '../entities/PowerUp.js';
+
+const POWERUP_TYPES = Object.keys(POWERUP.TYPES);
+const AGENT_TYPE_KEYS = Object.keys(AGENT_TYPES);
+const HOUSE_TYPE_KEYS = Object.keys(HOUSE_TYPES);
+const LANES = [STREET.LANE_LEFT, STREET.LANE_CENTER, STREET.LANE_RIGHT];
+const CHUNK_COUNT = Math.ceil((HOUSE.SPAWN_DISTANCE + HOUSE.CLEANUP_DISTANCE) / STREET.CHUNK_LENGTH);
+const ROWS_PER_CHUNK = STREET.CHUNK_LENGTH / HOUSE.SPACING_Z;
 
 export class StreetGenerator {
   constructor(scene) {
     this.scene = scene;
     this.houses = [];
     this.agents = [];
-    this.streetSegments = [];
+    this.obstacles = [];
+    this.pickups = [];
+    this.projectiles = []; // thrown FOR SALE signs
+    this.spawningSuspended = false; // set by BossSystem while a boss fight runs
+    this.props = []; // loose meshes left behind by entities (dropped signs)
+
+    // Z-bucketed indexes behind the *InRange queries; the arrays above stay
+    // the update / iteration lists
+    this._houseCells = new SpatialHash();
+    this._agentCells = new SpatialHash();
+    this._obstacleCells = new SpatialHash();
+    this._pickupCells = new SpatialHash();
+    this._projectileCells = new SpatialHash();
 
-    // Track how far we have generated (houses)
-    this._generatedZ = 10;
-    // Track how far ahead street surface extends
-    this._lastStreetEnd = -HOUSE.SPAWN_DISTANCE - 20;
+    // Where the next obstacle row / power-up goes; each chunk lays out the
+    // ones that fall inside it
+    this._obstacleZ = OBSTACLE.FIRST_Z;
+    this._pickupZ = POWERUP.FIRST_Z;
     this._agentTimer = AGENT.SPAWN_INTERVAL;
 
-    // Shared materials (reuse for performance)
-    this._streetMat = new THREE.MeshLambertMaterial({ color: LEVEL.STREET_COLOR });
-    this._sidewalkMat = new THREE.MeshLambertMaterial({ color: LEVEL.SIDEWALK_COLOR });
-    this._grassMat = new THREE.MeshLambertMaterial({ color: LEVEL.GROUND_COLOR });
-    this._lineMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
+    // Instanced batches: every house part, street tile and lane dash is one
+    // instance, so the whole street draws in a handful of calls. Tiles carry
+    // their district's surface color per instance.
+    const cap = INSTANCING.CAPACITY;
+    this.houseBatches = createHouseBatches(scene);
+    this._housePool = new ObjectPool('house', () => new House(this.houseBatches));
+    this._tiles = new InstancedBatch(scene, new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshLambertMaterial({ color: 0xffffff }), cap.tile, { receiveShadow: true });
+    this._dashes = new InstancedBatch(scene, new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshBasicMaterial({ color: 0xffffff }), cap.dash);
+
+    // Fixed ring of street chunks: the one falling behind the player is
+    // moved to the front with fresh content. _rearChunk indexes the rearmost.
+    this.chunks = Array.from({ length: CHUNK_COUNT }, () => new StreetChunk(this._tiles, this._dashes));
+    this._rearChunk = 0;
+
+    // District tracking (see level/Biomes.js)
+    this._biomeIndex = 0;
+    this._atmosphere = createAtmosphere();
 
     this._generateInitial();
   }
 
   _generateInitial() {
-    // Generate house rows from z=+10 to z=-SPAWN_DISTANCE
-    while (this._generatedZ > -HOUSE.SPAWN_DISTANCE) {
-      this._generateRow(this._generatedZ);
-      this._generatedZ -= HOUSE.SPACING_Z;
-    }
-    // Generate initial street surface
-    this._generateStreetSurface(20, this._lastStreetEnd);
-  }
-
-  _generateStreetSurface(startZ, endZ) {
-    const length = startZ - endZ;
-    const centerZ = (startZ + endZ) / 2;
-
-    // Main road
-    const roadGeo = new THREE.PlaneGeometry(STREET.WIDTH, length);
-    const road = new THREE.Mesh(roadGeo, this._streetMat);
-    road.rotation.x = -Math.PI / 2;
-    road.position.set(0, 0.01, centerZ);
-    road.receiveShadow = true;
-    this.scene.add(road);
-    this.streetSegments.push(road);
-
-    // Left sidewalk
-    const swGeo = new THREE.PlaneGeometry(STREET.SIDEWALK_WIDTH, length);
-    const swLeft = new THREE.Mesh(swGeo, this._sidewalkMat);
-    swLeft.rotation.x = -Math.PI / 2;
-    swLeft.position.set(-(STREET.WIDTH / 2 + STREET.SIDEWALK_WIDTH / 2), 0.02, centerZ);
-    swLeft.receiveShadow = true;
-    this.scene.add(swLeft);
-    this.streetSegments.push(swLeft);
-
-    // Right sidewalk
-    const swRight = new THREE.Mesh(swGeo, this._sidewalkMat);
-    swRight.rotation.x = -Math.PI / 2;
-    swRight.position.set(STREET.WIDTH / 2 + STREET.SIDEWALK_WIDTH / 2, 0.02, centerZ);
-    swRight.receiveShadow = true;
-    this.scene.add(swRight);
-    this.streetSegments.push(swRight);
-
-    // Left grass strip
-    const grassGeo = new THREE.PlaneGeometry(8, length);
-    const grassLeft = new THREE.Mesh(grassGeo, this._grassMat);
-    grassLeft.rotation.x = -Math.PI / 2;
-    grassLeft.position.set(-(STREET.WIDTH / 2 + STREET.SIDEWALK_WIDTH + 4), 0, centerZ);
-    grassLeft.receiveShadow = true;
-    this.scene.add(grassLeft);
-    this.streetSegments.push(grassLeft);
-
-    // Right grass strip
-    const grassRight = new THREE.Mesh(grassGeo, this._grassMat);
-    grassRight.rotation.x = -Math.PI / 2;
-    grassRight.position.set(STREET.WIDTH / 2 + STREET.SIDEWALK_WIDTH + 4, 0, centerZ);
-    grassRight.receiveShadow = true;
-    this.scene.add(grassRight);
-    this.streetSegments.push(grassRight);
-
-    // Lane markings (dashed center line)
-    for (let z = startZ; z > endZ; z -= (STREET.LANE_MARKING_LENGTH + STREET.LANE_MARKING_GAP)) {
-      const lineGeo = new THREE.PlaneGeometry(STREET.LANE_MARKING_WIDTH, STREET.LANE_MARKING_LENGTH);
-      const line = new THREE.Mesh(lineGeo, this._lineMat);
-      line.rotation.x = -Math.PI / 2;
-      line.position.set(0, 0.03, z);
-      this.scene.add(line);
-      this.streetSegments.push(line);
-    }
-  }
-
-  _generateRow(z) {
+    this._rearChunk = 0;
+    this.chunks.forEach((chunk, i) => this._placeChunk(chunk, STREET.FIRST_CHUNK_Z - i * STREET.CHUNK_LENGTH));
+  }
+
+  /**
+   * Move a chunk to start at startZ: recolor its surface and swap its
+   * houses, obstacle rows and power-ups for ones laid out along the new stretch
+   */
+  _placeChunk(chunk, startZ) {
+    this._releaseContent(chunk);
+    chunk.place(startZ, sampleAtmosphere(distanceAtZ(startZ - STREET.CHUNK_LENGTH / 2), this._atmosphere));
+    for (let row = 0; row < ROWS_PER_CHUNK; row++) {
+      this._generateRow(chunk, startZ - HOUSE.SPACING_Z * (row + 0.5));
+    }
+    while (this._obstacleZ > chunk.endZ) {
+      if (!this.spawningSuspended) this._generateObstacleRow(chunk, this._obstacleZ);
+      this._obstacleZ -= this._obstacleSpacing();
+    }
+    while (this._pickupZ > chunk.endZ) {
+      this._spawnPickup(chunk, this._pickupZ);
+      this._pickupZ -= POWERUP.SPACING_MIN + rng.next() * (POWERUP.SPACING_MAX - POWERUP.SPACING_MIN);
+    }
+  }
+
+  _releaseContent(chunk) {
+    for (const house of chunk.houses) {
+      this._houseCells.remove(house);
+      this.houses.splice(this.houses.indexOf(house), 1);
+      this._housePool.release(house);
+    }
+    for (const obstacle of chunk.obstacles) {
+      this._obstacleCells.remove(obstacle);
+      this.obstacles.splice(this.obstacles.indexOf(obstacle), 1);
+      obstacle.dispose(this.scene);
+    }
+    for (const pickup of chunk.pickups) {
+      this._pickupCells.remove(pickup);
+      this.pickups.splice(this.pickups.indexOf(pickup), 1);
+      pickup.dispose(this.scene);
+    }
+    chunk.houses.length = 0;
+    chunk.obstacles.length = 0;
+    chunk.pickups.length = 0;
+  }
+
+  /** Recycle chunks that fell behind the player to the front of the ring */
+  _advanceChunks(playerZ) {
+    let rear = this.chunks[this._rearChunk];
+    while (rear.endZ > playerZ + HOUSE.CLEANUP_DISTANCE) {
+      const front = this.chunks[(this._rearChunk + CHUNK_COUNT - 1) % CHUNK_COUNT];
+      this._placeChunk(rear, front.endZ);
+      this._rearChunk = (this._rearChunk + 1) % CHUNK_COUNT;
+      rear = this.chunks[this._rearChunk];
+    }
+  }
+
+  /**
+   * District used for content at world Z. Inside a transition the next
+   * district's houses and hazards mix in with probability t.
+   */
+  _biomeAtZ(z) {
+    const { from, to, t } = biomeBlendAt(distanceAtZ(z));
+    return t > 0 && rng.next() < t ? to : from;
+  }
+
+  _generateRow(chunk, z) {
+    const biome = this._biomeAtZ(z);
+
     // Left house (random chance to skip for gaps)
-    if (Math.random() > 0.2) {
-      const house = new House(-STREET.HOUSE_OFFSET_X, z, 'left');
-      this.scene.add(house.mesh);
-      this.houses.push(house);
+    if (rng.next() > 0.2 && runConfig.houseSides.includes('left')) {
+      this._addHouse(chunk, -STREET.HOUSE_OFFSET_X, z, 'left', biome);
     }
 
     // Right house
-    if (Math.random() > 0.2) {
-      const house = new House(STREET.HOUSE_OFFSET_X, z, 'right');
-      this.scene.add(house.mesh);
-      this.houses.push(house);
+    if (rng.next() > 0.2 && runConfig.houseSides.includes('right')) {
+      this._addHouse(chunk, STREET.HOUSE_OFFSET_X, z, 'right', biome);
     }
   }
 
-  update(delta, playerZ) {
-    // Generate new houses ahead of player
-    while (this._generatedZ > playerZ - HOUSE.SPAWN_DISTANCE) {
-      this._generateRow(this._generatedZ);
-      this._generatedZ -= HOUSE.SPACING_Z;
-    }
+  _addHouse(chunk, x, z, side, biome) {
+    const house = this._housePool.acquire(x, z, side, biome, this._pickHouseType());
+    this.scene.add(house.mesh);
+    this.houses.push(house);
+    this._houseCells.insert(house);
+    chunk.houses.push(house);
+  }
 
-    // Extend street surface as player advances
-    if (playerZ - 40 < this._lastStreetEnd) {
-      const newEnd = this._lastStreetEnd - STREET.SEGMENT_LENGTH;
-      this._generateStreetSurface(this._lastStreetEnd, newEnd);
-      this._lastStreetEnd = newEnd;
+  update(delta, playerZ, playerX = 0) {
+    // Announce entering a new district
+    const biomeIndex = biomeIndexAt(distanceAtZ(playerZ));
+    if (biomeIndex !== this._biomeIndex) {
+      this._biomeIndex = biomeIndex;
+      const key = biomeKeyAt(biomeIndex);
+      eventBus.emit(Events.BIOME_CHANGED, { biome: key, label: BIOME.TYPES[key].LABEL, index: biomeIndex });
     }
 
+    // Recycle the street (and everything on it) from behind the player to ahead
+    this._advanceChunks(playerZ);
+
     // Update houses
     for (const house of this.houses) {
       house.update(delta);
     }
 
     // Spawn agents
-    this._agentTimer -= delta;
+    if (!this.spawningSuspended) this._agentTimer -= delta;
     if (this._agentTimer <= 0) {
       this._spawnAgent(playerZ);
       // Decrease interval as speed increases, but clamp
@@ -138,13 +188,27 @@ export class StreetGenerator {
       const interval = Math.max(
         AGENT.MIN_SPAWN_INTERVAL,
         AGENT.SPAWN_INTERVAL * (1 - speedRatio * 0.5)
-      );
-      this._agentTimer = interval + (Math.random() - 0.5) * interval * 0.5;
+      ) / (runConfig.agentDensity * runConfig.intensity);
+      this._agentTimer = interval + (rng.next() - 0.5) * interval * 0.5;
     }
 
-    // Update agents
+    // Update agents, launching any signs they threw
     for (const agent of this.agents) {
-      agent.update(delta, playerZ);
+      agent.update(delta, playerZ, playerX);
+      this._agentCells.update(agent);
+      for (const t of agent.consumeThrows()) this.addProjectile(t.x, t.z, t.targetX);
+    }
+    for (const sign of this.projectiles) {
+      sign.update(delta, playerZ);
+      this._projectileCells.update(sign);
+    }
+
+    // Update obstacles and pickups
+    for (const obstacle of this.obstacles) {
+      obstacle.update(delta, playerZ);
+    }
+    for (const pickup of this.pickups) {
+      pickup.update(delta, playerZ);
     }
 
     // Cleanup entities behind the player
@@ -152,68 +216,267 @@ export class StreetGenerator {
   }
 
   _spawnAgent(playerZ) {
-    // Spawn on a random lane position ahead of player
-    const laneX = (Math.random() - 0.5) * (STREET.WIDTH - 1);
     const spawnZ = playerZ - AGENT.SPAWN_DISTANCE;
-    const agent = new Agent(laneX, spawnZ);
+    const type = this._pickAgentType();
+
+    switch (type) {
+      case 'chaser':
+        this.addAgent(chaserPool.acquire(rng.pick(LANES), spawnZ));
+        break;
+      case 'blocker': {
+        const laneX = rng.pick(LANES);
+        const partner = blockerPool.acquire(laneX, spawnZ, 1);
+        partner.quietTelegraph = true;
+        this.addAgent(blockerPool.acquire(laneX, spawnZ, -1));
+        this.addAgent(partner);
+        break;
+      }
+      case 'thrower':
+        this.addAgent(throwerPool.acquire(rng.pick(LANES), spawnZ));
+        break;
+      case 'openHouse': {
+        // Crowd clustered on one sidewalk; roughly every other one is eager
+        const cfg = AGENT_TYPES.openHouse;
+        const side = rng.next() < 0.5 ? -1 : 1;
+        const count = cfg.CROWD_MIN + rng.int(cfg.CROWD_MAX - cfg.CROWD_MIN + 1);
+        for (let i = 0; i < count; i++) {
+          const x = side * (STREET.WIDTH / 2 + 0.4 + rng.next() * (STREET.SIDEWALK_WIDTH - 0.8));
+          const z = spawnZ - i * 0.9 + (rng.next() - 0.5) * 0.5;
+          const member = openHousePool.acquire(x, z, side, rng.next() < 0.5);
+          member.quietTelegraph = i > 0;
+          this.addAgent(member);
+        }
+        break;
+      }
+      default: {
+        // Walker: random spot across the road
+        const laneX = (rng.next() - 0.5) * (STREET.WIDTH - 1);
+        this.addAgent(walkerPool.acquire(laneX, spawnZ));
+      }
+    }
+  }
+
+  addAgent(agent) {
     this.scene.add(agent.mesh);
     this.agents.push(agent);
+    this._agentCells.insert(agent);
   }
 
-  _cleanup(playerZ) {
-    // Remove houses far behind the player
-    for (let i = this.houses.length - 1; i >= 0; i--) {
-      if (this.houses[i].mesh.position.z > playerZ + HOUSE.CLEANUP_DISTANCE) {
-        this.houses[i].dispose(this.scene);
-        this.houses.splice(i, 1);
+  /** Launch a FOR SALE sign from (x, z) that drifts onto targetX */
+  addProjectile(x, z, targetX) {
+    const sign = new SignProjectile(x, z, targetX);
+    this.scene.add(sign.mesh);
+    this.projectiles.push(sign);
+    this._projectileCells.insert(sign);
+    eventBus.emit(Events.SIGN_THROWN, { x, z });
+  }
+
+  /** Weighted pick from AGENT_TYPES among archetypes unlocked at the current difficulty */
+  _pickAgentType() {
+    return this._pickUnlocked(AGENT_TYPES, AGENT_TYPE_KEYS) || 'walker';
+  }
+
+  /** Weighted pick from HOUSE_TYPES, same unlock rule as agents */
+  _pickHouseType() {
+    return this._pickUnlocked(HOUSE_TYPES, HOUSE_TYPE_KEYS) || 'standard';
+  }
+
+  _pickUnlocked(table, keys) {
+    const d = this._difficulty();
+    const weights = keys.map((type) =>
+      (d >= table[type].MIN_DIFFICULTY ? table[type].WEIGHT : 0));
+    let roll = rng.next() * weights.reduce((sum, w) => sum + w, 0);
+    for (let i = 0; i < keys.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return keys[i];
+    }
+    return null;
+  }
+
+  /**
+   * Run difficulty: 0 at the default starting speed .. 1 at the default max
+   * speed. Measured on GAMEPLAY, not runConfig, so a pinned speed still rates.
+   */
+  _difficulty() {
+    return Math.min(1, Math.max(0,
+      (gameState.currentSpeed - GAMEPLAY.AUTO_SPEED) / (GAMEPLAY.MAX_SPEED - GAMEPLAY.AUTO_SPEED)));
+  }
+
+  /** Gap to the next obstacle row -- tightens as the run speeds up */
+  _obstacleSpacing() {
+    const t = this._difficulty();
+    const min = OBSTACLE.SPACING_MIN + (OBSTACLE.SPACING_MIN_FAST - OBSTACLE.SPACING_MIN) * t;
+    const max = OBSTACLE.SPACING_MAX + (OBSTACLE.SPACING_MAX_FAST - OBSTACLE.SPACING_MAX) * t;
+    return min + rng.next() * (max - min);
+  }
+
+  /** Weighted pick from the district's HAZARDS */
+  _pickObstacleType(z) {
+    const hazards = this._biomeAtZ(z).HAZARDS;
+    const types = Object.keys(hazards);
+    let roll = rng.next() * types.reduce((sum, t) => sum + hazards[t], 0);
+    for (const type of types) {
+      roll -= hazards[type];
+      if (roll < 0) return type;
+    }
+    return types[types.length - 1];
+  }
+
+  /**
+   * One obstacle group per row, placed by type so there is always a way
+   * through: cars double-park in a lane, trash cans line a curb, sprinklers
+   * spray in from a sidewalk, tricycles are left anywhere on the road.
+   * District hazards follow suit: hydrants on a curb, sandcastles anywhere,
+   * ice patches over one lane.
+   */
+  _generateObstacleRow(chunk, z) {
+    const type = this._pickObstacleType(z);
+    const side = rng.next() < 0.5 ? -1 : 1;
+
+    switch (type) {
+      case 'car':
+        this._addObstacle(chunk, type, rng.pick([STREET.LANE_LEFT, STREET.LANE_CENTER, STREET.LANE_RIGHT]), z);
+        break;
+      case 'trashCan': {
+        // A short row of cans along one curb
+        const cans = OBSTACLE.TYPES.trashCan;
+        const count = 1 + rng.int(cans.ROW_MAX);
+        for (let i = 0; i < count; i++) {
+          this._addObstacle(chunk, type, side * OBSTACLE.CURB_X, z - i * cans.GAP);
+        }
+        break;
       }
+      case 'sprinkler':
+        this._addObstacle(chunk, type, side * (STREET.WIDTH / 2 + STREET.SIDEWALK_WIDTH / 2), z);
+        break;
+      case 'tricycle':
+      case 'sandcastle':
+        this._addObstacle(chunk, type, STREET.LANE_MIN + rng.next() * (STREET.LANE_MAX - STREET.LANE_MIN), z);
+        break;
+      case 'hydrant':
+        this._addObstacle(chunk, type, side * OBSTACLE.CURB_X, z);
+        break;
+      case 'icePatch':
+        this._addObstacle(chunk, type, rng.pick([STREET.LANE_LEFT, STREET.LANE_CENTER, STREET.LANE_RIGHT]), z);
+        break;
+    }
+  }
+
+  /** Drop an obstacle at (x, z) -- it belongs to whichever chunk holds z */
+  addObstacle(type, x, z) {
+    this._addObstacle(this._chunkAt(z), type, x, z);
+  }
+
+  _addObstacle(chunk, type, x, z) {
+    const obstacle = new Obstacle(type, x, z);
+    this.scene.add(obstacle.mesh);
+    this.obstacles.push(obstacle);
+    this._obstacleCells.insert(obstacle);
+    chunk.obstacles.push(obstacle);
+  }
+
+  _spawnPickup(chunk, z) {
+    const type = rng.pick(POWERUP_TYPES);
+    const x = rng.pick([STREET.LANE_LEFT, STREET.LANE_CENTER, STREET.LANE_RIGHT]);
+    const pickup = new PowerUp(type, x, z);
+    this.scene.add(pickup.mesh);
+    this.pickups.push(pickup);
+    this._pickupCells.insert(pickup);
+    chunk.pickups.push(pickup);
+  }
+
+  /** Chunk covering world Z (the nearest end of the ring if z is off it) */
+  _chunkAt(z) {
+    for (let i = 0; i < CHUNK_COUNT; i++) {
+      const chunk = this.chunks[(this._rearChunk + i) % CHUNK_COUNT];
+      if (z > chunk.endZ) return chunk;
     }
+    return this.chunks[(this._rearChunk + CHUNK_COUNT - 1) % CHUNK_COUNT];
+  }
 
-    // Remove dead agents
+  _cleanup(playerZ) {
+    // Remove dead agents (their dropped signs stay in the street)
     for (let i = this.agents.length - 1; i >= 0; i--) {
       if (!this.agents[i].alive) {
-        this.agents[i].dispose(this.scene);
+        if (this.agents[i].droppedSign) {
+          this.props.push(this.agents[i].droppedSign);
+          this.agents[i].droppedSign = null;
+        }
+        this._agentCells.remove(this.agents[i]);
+        this.agents[i].pool.release(this.agents[i]);
         this.agents.splice(i, 1);
       }
     }
 
-    // Remove street segments far behind player
-    for (let i = this.streetSegments.length - 1; i >= 0; i--) {
-      const seg = this.streetSegments[i];
-      if (seg.position.z > playerZ + 40) {
-        seg.geometry.dispose();
-        this.scene.remove(seg);
-        this.streetSegments.splice(i, 1);
+    // Remove thrown signs that hit or missed
+    for (let i = this.projectiles.length - 1; i >= 0; i--) {
+      if (!this.projectiles[i].alive) {
+        this._projectileCells.remove(this.projectiles[i]);
+        this.projectiles[i].dispose(this.scene);
+        this.projectiles.splice(i, 1);
+      }
+    }
+
+    // Obstacles and pickups go with their chunk (_releaseContent)
+
+    // Remove props behind the player
+    for (let i = this.props.length - 1; i >= 0; i--) {
+      if (this.props[i].position.z > playerZ + HOUSE.CLEANUP_DISTANCE) {
+        this._disposeProp(this.props[i]);
+        this.props.splice(i, 1);
       }
     }
   }
 
+  _disposeProp(prop) {
+    // Dropped signs share one geometry/material (Agent.js) -- just detach
+    this.scene.remove(prop);
+  }
+
   /** Get houses within range for collision checks */
   getHousesInRange(z, range) {
-    return this.houses.filter(h =>
-      !h.isHit && Math.abs(h.mesh.position.z - z) < range
-    );
+    return this._houseCells.query(z, range, h => !h.isHit);
   }
 
   /** Get agents within range for collision checks */
   getAgentsInRange(z, range) {
-    return this.agents.filter(a =>
-      a.alive && !a.hasCollided && Math.abs(a.mesh.position.z - z) < range
-    );
+    return this._agentCells.query(z, range, a => a.alive && !a.hasCollided);
+  }
+
+  /** Blended sky / ground / fog at world Z (reused object -- copy if kept) */
+  atmosphereAt(z) {
+    return sampleAtmosphere(distanceAtZ(z), this._atmosphere);
+  }
+
+  /** Get thrown signs within range for collision checks */
+  getProjectilesInRange(z, range) {
+    return this._projectileCells.query(z, range, p => p.alive && !p.hasCollided);
+  }
+
+  /** Get obstacles within range for collision checks */
+  getObstaclesInRange(z, range) {
+    return this._obstacleCells.query(z, range, o => o.alive && !o.hasCollided);
+  }
+
+  /** Get uncollected power-ups within range for pickup checks */
+  getPickupsInRange(z, range) {
+    return this._pickupCells.query(z, range, p => p.alive && !p.collected);
   }
 
   reset() {
-    for (const house of this.houses) house.dispose(this.scene);
-    for (const agent of this.agents) agent.dispose(this.scene);
-    for (const seg of this.streetSegments) {
-      seg.geometry.dispose();
-      this.scene.remove(seg);
-    }
-    this.houses = [];
+    for (const chunk of this.chunks) this._releaseContent(chunk);
+    for (const agent of this.agents) agent.pool.release(agent);
+    for (const sign of this.projectiles) sign.dispose(this.scene);
+    for (const prop of this.props) this._disposeProp(prop);
     this.agents = [];
-    this.streetSegments = [];
-    this._generatedZ = 10;
-    this._lastStreetEnd = -HOUSE.SPAWN_DISTANCE - 20;
+    this.projectiles = [];
+    this.props = [];
+    for (const cells of [this._houseCells, this._agentCells, this._obstacleCells, this._pickupCells,
+      this._projectileCells]) cells.clear();
+    this.spawningSuspended = false;
+    this._biomeIndex = 0;
+    this._obstacleZ = OBSTACLE.FIRST_Z;
+    this._pickupZ = POWERUP.FIRST_Z;
     this._agentTimer = AGENT.SPAWN_INTERVAL;
     this._generateInitial();
   }
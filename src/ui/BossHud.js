@@ -0,0 +1,35 @@
+import { eventBus, Events } from '../core/EventBus.js';
+
+/**
+ * Boss name and health bar across the top of the screen, shown for the
+ * length of an encounter. Driven purely by BOSS_* events.
+ */
+export class BossHud {
+  constructor() {
+    this.el = document.getElementById('boss-hud');
+    this.nameEl = document.getElementById('boss-name');
+    this.fillEl = document.getElementById('boss-bar-fill');
+    if (!this.el) return;
+
+    eventBus.on(Events.BOSS_SPAWNED, ({ label, health, maxHealth }) => {
+      this.nameEl.textContent = label;
+      this._setHealth(health, maxHealth);
+      this.el.classList.remove('hidden');
+    });
+    eventBus.on(Events.BOSS_DAMAGED, ({ health, maxHealth }) => this._setHealth(health, maxHealth));
+    eventBus.on(Events.BOSS_DEFEATED, () => this.hide());
+    eventBus.on(Events.BOSS_ESCAPED, () => this.hide());
+    eventBus.on(Events.GAME_START, () => this.hide());
+    eventBus.on(Events.GAME_RESTART, () => this.hide());
+    eventBus.on(Events.GAME_OVER, () => this.hide());
+    eventBus.on(Events.MENU_SHOWN, () => this.hide());
+  }
+
+  _setHealth(health, maxHealth) {
+    this.fillEl.style.transform = `scaleX(${Math.max(0, health / maxHealth)})`;
+  }
+
+  hide() {
+    this.el.classList.add('hidden');
+  }
+}
@@ -0,0 +1,26 @@
+import { eventBus, Events } from '../core/EventBus.js';
+
+/** Flashes the district name across the screen on BIOME_CHANGED */
+export class DistrictBanner {
+  constructor() {
+    this.el = document.getElementById('district-banner');
+    if (!this.el) return;
+
+    eventBus.on(Events.BIOME_CHANGED, ({ label }) => this._show(label));
+    eventBus.on(Events.GAME_START, () => this.hide());
+    eventBus.on(Events.GAME_RESTART, () => this.hide());
+    eventBus.on(Events.MENU_SHOWN, () => this.hide());
+  }
+
+  _show(label) {
+    this.el.textContent = label;
+    // Restart the CSS animation
+    this.el.classList.remove('show');
+    void this.el.offsetWidth;
+    this.el.classList.add('show');
+  }
+
+  hide() {
+    this.el.classList.remove('show');
+  }
+}
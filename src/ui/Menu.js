@@ -1,21 +1,78 @@
 import { eventBus, Events } from '../core/EventBus.js';
 import { gameState } from '../core/GameState.js';
+import { saveProfile } from '../core/SaveProfile.js';
+import { runConfig, dailyDate, dailySetup } from '../core/RunConfig.js';
+import { ENVELOPE_TYPES, DAILY, DIFFICULTY } from '../core/Constants.js';
 
 export class Menu {
   constructor() {
     this.gameoverOverlay = document.getElementById('gameover-overlay');
     this.restartBtn = document.getElementById('restart-btn');
+    this.exportReplayBtn = document.getElementById('export-replay-btn');
     this.finalScoreEl = document.getElementById('final-score');
     this.bestScoreEl = document.getElementById('best-score');
     this.housesHitEl = document.getElementById('houses-hit');
     this.bestComboEl = document.getElementById('best-combo');
+    this.runDistanceEl = document.getElementById('run-distance');
+    this.lifetimeEl = document.getElementById('lifetime-stats');
+    this.missionsEl = document.getElementById('gameover-missions');
+    this.dailyResultEl = document.getElementById('daily-result');
+    this.dailyInfoEl = document.getElementById('daily-info');
     this.livesEl = document.getElementById('lives-display');
 
+    // Pause overlay
+    this.pauseOverlay = document.getElementById('pause-overlay');
+    this.pauseSettings = document.getElementById('pause-settings');
+
+    // Title screen
+    this.titleOverlay = document.getElementById('title-overlay');
+    this.statsBestScoreEl = document.getElementById('stats-best-score');
+    this.statsBestComboEl = document.getElementById('stats-best-combo');
+    this.statsLifetimeEl = document.getElementById('stats-lifetime');
+    this.statsMissionsEl = document.getElementById('stats-missions');
+
+    // Missions finished during the current run, for the game over screen
+    this._missionsDone = [];
+    eventBus.on(Events.MISSION_COMPLETED, ({ label }) => this._missionsDone.push(label));
+    eventBus.on(Events.GAME_START, () => { this._missionsDone = []; });
+    eventBus.on(Events.GAME_RESTART, () => { this._missionsDone = []; });
+
     this.restartBtn.addEventListener('click', () => {
       this.gameoverOverlay.classList.add('hidden');
       eventBus.emit(Events.GAME_RESTART);
     });
 
+    if (this.exportReplayBtn) {
+      this.exportReplayBtn.addEventListener('click', () => eventBus.emit(Events.REPLAY_EXPORT));
+    }
+    const exportRunBtn = document.getElementById('export-run-btn');
+    if (exportRunBtn) exportRunBtn.addEventListener('click', () => eventBus.emit(Events.RUN_EXPORT));
+
+    const menuBtn = document.getElementById('gameover-menu-btn');
+    if (menuBtn) menuBtn.addEventListener('click', () => eventBus.emit(Events.GAME_MENU));
+
+    // Restarts can also come from outside the overlay (e.g. starting a replay)
+    eventBus.on(Events.GAME_RESTART, () => {
+      this.gameoverOverlay.classList.add('hidden');
+      this._hidePause();
+      this._hideTitle();
+    });
+
+    this._bindPause();
+    this._bindTitle();
+
+    // Sound toggle labels (title + pause settings). Deferred so the label reads
+    // the state after AudioBridge has flipped it.
+    eventBus.on(Events.AUDIO_TOGGLE_MUTE, () => queueMicrotask(() => this._updateSoundLabels()));
+    for (const btn of document.querySelectorAll('.settings-sound-btn')) {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        eventBus.emit(Events.AUDIO_TOGGLE_MUTE);
+      });
+    }
+    this._updateSoundLabels();
+    this._bindDifficulty();
+
     eventBus.on(Events.GAME_OVER, ({ score, housesHit, bestCombo }) =>
       this.showGameOver(score, housesHit, bestCombo)
     );
@@ -25,6 +82,24 @@ export class Menu {
 
     // Initialize lives display
     this.updateLives(gameState.lives);
+
+    // Current envelope type (shown only during a run)
+    this.envelopeEl = document.getElementById('envelope-display');
+    eventBus.on(Events.ENVELOPE_TYPE_CHANGED, ({ type }) => this.updateEnvelopeType(type));
+    const showEnvelope = () => this.updateEnvelopeType(ENVELOPE_TYPES.ORDER[0], true);
+    const hideEnvelope = () => this.envelopeEl && this.envelopeEl.classList.remove('visible');
+    eventBus.on(Events.GAME_START, showEnvelope);
+    eventBus.on(Events.GAME_RESTART, showEnvelope);
+    eventBus.on(Events.GAME_OVER, hideEnvelope);
+    eventBus.on(Events.MENU_SHOWN, hideEnvelope);
+  }
+
+  updateEnvelopeType(type, show = false) {
+    if (!this.envelopeEl) return;
+    const config = ENVELOPE_TYPES[type];
+    this.envelopeEl.textContent = config.LABEL;
+    this.envelopeEl.style.borderColor = '#' + config.TRAIL_COLOR.toString(16).padStart(6, '0');
+    if (show) this.envelopeEl.classList.add('visible');
   }
 
   showGameOver(score, housesHit, bestCombo) {
@@ -36,9 +111,187 @@ export class Menu {
     if (this.bestComboEl) {
       this.bestComboEl.textContent = `Best Combo: ${bestCombo || 0}x`;
     }
+
+    // Flag records broken this run (profile was updated on PLAYER_DIED)
+    const last = saveProfile.lastRun;
+    this.bestScoreEl.classList.toggle('new-best', !!last?.newBestScore);
+    if (last?.newBestScore) this.bestScoreEl.textContent += ' NEW BEST!';
+    if (this.bestComboEl) {
+      this.bestComboEl.classList.toggle('new-best', !!last?.newBestCombo);
+      if (last?.newBestCombo) this.bestComboEl.textContent += ' NEW BEST!';
+    }
+    if (this.runDistanceEl) {
+      this.runDistanceEl.textContent = `Distance: ${Math.round(gameState.distance)} m`;
+    }
+    this._renderDailyResult();
+    this._renderMissions(this.missionsEl, this._missionsDone);
+    this._renderLifetime(this.lifetimeEl);
+
     this.gameoverOverlay.classList.remove('hidden');
   }
 
+  /** Daily Blitz date and the day's best (profile updated on PLAYER_DIED) */
+  _renderDailyResult() {
+    if (!this.dailyResultEl) return;
+    const daily = runConfig.mode === 'daily';
+    this.dailyResultEl.classList.toggle('hidden', !daily);
+    if (!daily) return;
+    const newBest = !!saveProfile.lastRun?.newDailyBest;
+    this.dailyResultEl.textContent =
+      `Daily Blitz ${runConfig.date} -- Today's Best: ${saveProfile.dailyBest(runConfig.date)}` +
+      (newBest ? ' NEW BEST!' : '');
+    this.dailyResultEl.classList.toggle('new-best', newBest);
+  }
+
+  /** Today's modifiers and best under the DAILY BLITZ button */
+  _renderDailyInfo() {
+    if (!this.dailyInfoEl) return;
+    const daily = dailySetup(dailyDate());
+    const mods = daily.modifiers.map(key => DAILY.MODIFIERS[key].LABEL).join(' + ');
+    const best = saveProfile.dailyBest(daily.date);
+    this.dailyInfoEl.textContent = `${daily.date}: ${mods}` + (best > 0 ? ` -- Best: ${best}` : '');
+  }
+
+  /** Active missions with progress, after any completed this run */
+  _renderMissions(el, completed = []) {
+    if (!el) return;
+    const lines = completed.map(label => `<div class="mission done">&#10003; ${label}</div>`);
+    for (const m of saveProfile.data.missions) {
+      lines.push(`<div class="mission">${m.label}<span>${m.progress}/${m.target}</span></div>`);
+    }
+    el.innerHTML = '<div class="missions-title">MISSIONS</div>' + lines.join('');
+  }
+
+  /** Lifetime totals from the save profile */
+  _renderLifetime(el) {
+    if (!el) return;
+    const d = saveProfile.data;
+    el.innerHTML = [
+      `Runs Played: ${d.runsPlayed}`,
+      `Total Houses Hit: ${d.totalHousesHit}`,
+      `Envelopes Thrown: ${d.totalThrown}`,
+      `Panic Points: ${d.totalPanicCollected}`,
+      `Total Distance: ${d.totalDistance} m`,
+      `Missions Completed: ${d.missionsCompleted}`,
+    ].join('<br>');
+  }
+
+  _bindPause() {
+    const on = (id, fn) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener('click', (e) => { e.stopPropagation(); fn(); });
+    };
+    on('pause-btn', () => eventBus.emit(Events.GAME_PAUSE, { reason: 'button' }));
+    on('resume-btn', () => eventBus.emit(Events.GAME_RESUME));
+    on('pause-restart-btn', () => eventBus.emit(Events.GAME_RESTART));
+    on('pause-settings-btn', () => this.pauseSettings.classList.toggle('hidden'));
+
+    eventBus.on(Events.PAUSE_CHANGED, ({ paused }) => {
+      if (paused) this._showPause();
+      else this._hidePause();
+    });
+  }
+
+  _showPause() {
+    if (!this.pauseOverlay) return;
+    this._updateSoundLabels();
+    this.pauseSettings.classList.add('hidden');
+    this.pauseOverlay.classList.remove('hidden');
+  }
+
+  _hidePause() {
+    if (this.pauseOverlay) this.pauseOverlay.classList.add('hidden');
+  }
+
+  _bindTitle() {
+    if (!this.titleOverlay) return;
+
+    document.getElementById('play-btn').addEventListener('click', () => {
+      eventBus.emit(Events.GAME_START);
+    });
+    const dailyBtn = document.getElementById('daily-btn');
+    if (dailyBtn) dailyBtn.addEventListener('click', () => eventBus.emit(Events.GAME_START, { mode: 'daily' }));
+
+    // How to Play / Settings / Stats -- one panel open at a time
+    const panelBtns = this.titleOverlay.querySelectorAll('[data-panel]');
+    for (const btn of panelBtns) {
+      btn.addEventListener('click', () => {
+        const panel = document.getElementById(btn.dataset.panel);
+        const wasOpen = !panel.classList.contains('hidden');
+        for (const p of this.titleOverlay.querySelectorAll('.menu-panel')) p.classList.add('hidden');
+        if (!wasOpen) {
+          this._updateStats();
+          panel.classList.remove('hidden');
+        }
+      });
+    }
+
+    // Enter / Space starts a run from the title screen
+    window.addEventListener('keydown', (e) => {
+      if (gameState.mode !== 'menu') return;
+      if (e.code === 'Enter' || e.code === 'Space') {
+        e.preventDefault();
+        eventBus.emit(Events.GAME_START);
+      }
+    });
+
+    eventBus.on(Events.MENU_SHOWN, () => this._showTitle());
+    eventBus.on(Events.GAME_START, () => this._hideTitle());
+  }
+
+  _showTitle() {
+    this._renderDailyInfo();
+    this.gameoverOverlay.classList.add('hidden');
+    this._hidePause();
+    for (const p of this.titleOverlay.querySelectorAll('.menu-panel')) p.classList.add('hidden');
+    this.titleOverlay.classList.remove('hidden');
+  }
+
+  _hideTitle() {
+    if (this.titleOverlay) this.titleOverlay.classList.add('hidden');
+  }
+
+  _updateStats() {
+    if (this.statsBestScoreEl) this.statsBestScoreEl.textContent = `Best Score: ${gameState.bestScore}`;
+    if (this.statsBestComboEl) this.statsBestComboEl.textContent = `Best Combo: ${gameState.bestCombo}x`;
+    this._renderMissions(this.statsMissionsEl);
+    this._renderLifetime(this.statsLifetimeEl);
+  }
+
+  /** Difficulty preset + adaptive toggle; both apply from the next standard run */
+  _bindDifficulty() {
+    this.difficultyBtn = document.getElementById('difficulty-btn');
+    this.adaptiveBtn = document.getElementById('adaptive-btn');
+    if (this.difficultyBtn) {
+      this.difficultyBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const order = DIFFICULTY.ORDER;
+        const next = order[(order.indexOf(saveProfile.data.difficulty) + 1) % order.length];
+        saveProfile.setDifficulty(next);
+        this._updateDifficultyLabels();
+      });
+    }
+    if (this.adaptiveBtn) {
+      this.adaptiveBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        saveProfile.setAdaptive(!saveProfile.data.adaptive);
+        this._updateDifficultyLabels();
+      });
+    }
+    this._updateDifficultyLabels();
+  }
+
+  _updateDifficultyLabels() {
+    const preset = DIFFICULTY.PRESETS[saveProfile.data.difficulty] || DIFFICULTY.PRESETS[DIFFICULTY.DEFAULT];
+    if (this.difficultyBtn) this.difficultyBtn.textContent = `DIFFICULTY: ${preset.LABEL}`;
+    if (this.adaptiveBtn) this.adaptiveBtn.textContent = `ADAPTIVE: ${saveProfile.data.adaptive ? 'ON' : 'OFF'}`;
+  }
+
+  _updateSoundLabels() {
+    const label = `SOUND: ${gameState.isMuted ? 'OFF' : 'ON'}`;
+    for (const btn of document.querySelectorAll('.settings-sound-btn')) btn.textContent = label;
+  }
+
   updateLives(lives) {
     if (this.livesEl) {
       // Show hearts for lives
@@ -0,0 +1,58 @@
+import { eventBus, Events } from '../core/EventBus.js';
+import { POWERUP } from '../core/Constants.js';
+
+/**
+ * Active power-up chips (label + draining timer bar) under the lives display.
+ * Driven purely by POWERUP_* events; the bar follows the simulated timer
+ * (POWERUP_TICK), so it stops with pauses and slows with slow motion.
+ */
+export class PowerUpHud {
+  constructor() {
+    this.el = document.getElementById('powerup-hud');
+    /** @type {Map<string, HTMLElement>} */
+    this._chips = new Map();
+    if (!this.el) return;
+
+    eventBus.on(Events.POWERUP_ACTIVATED, ({ type }) => this._show(type));
+    eventBus.on(Events.POWERUP_TICK, ({ type, remaining, duration }) => this._drain(type, remaining / duration));
+    eventBus.on(Events.POWERUP_EXPIRED, ({ type }) => this._remove(type));
+    eventBus.on(Events.GAME_START, () => this.clear());
+    eventBus.on(Events.GAME_RESTART, () => this.clear());
+    eventBus.on(Events.MENU_SHOWN, () => this.clear());
+  }
+
+  _show(type) {
+    // Refreshing a running power-up restarts its bar
+    this._remove(type);
+
+    const color = '#' + POWERUP.TYPES[type].COLOR.toString(16).padStart(6, '0');
+    const chip = document.createElement('div');
+    chip.className = 'powerup-chip';
+    chip.style.borderColor = color;
+    chip.textContent = POWERUP.TYPES[type].LABEL;
+
+    const bar = document.createElement('div');
+    bar.className = 'powerup-bar';
+    bar.style.background = color;
+    chip.appendChild(bar);
+
+    this.el.appendChild(chip);
+    this._chips.set(type, chip);
+  }
+
+  _drain(type, fraction) {
+    const chip = this._chips.get(type);
+    if (chip) chip.querySelector('.powerup-bar').style.transform = `scaleX(${fraction})`;
+  }
+
+  _remove(type) {
+    const chip = this._chips.get(type);
+    if (!chip) return;
+    chip.remove();
+    this._chips.delete(type);
+  }
+
+  clear() {
+    for (const type of [...this._chips.keys()]) this._remove(type);
+  }
+}